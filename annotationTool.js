@@ -0,0 +1,433 @@
+/*********************************************************************************************
+ * Annotation Tool                                                                           *
+ * Attaches notes (title, text, author, date, image links) to points on the current mesh     *
+ * Notes are read from annotations.json, edits are kept in the browser until exported        *
+ *********************************************************************************************/
+
+import InputManager from "./inputManager.js";
+import CameraTool from "./cameraTool.js";
+import MeasurementTool from "./measurementTool.js";
+import MeasurementLog from "./measurementLog.js";
+
+const AnnotationTool = (function () {
+    const annotationsFile = "./annotations.json"; // File next to scenes.json holding the notes of every scene
+    const storageKey = "aqueducts.annotations"; // localStorage key for notes edited in this browser
+
+    var scene; // BabylonJS scene, required to process mouse inputs, for example
+    var advancedTexture; // UI texture the note icons are drawn on
+    var fileAnnotations = {}; // Notes read from annotations.json, by scene name
+    var localAnnotations = {}; // Notes edited in this browser, by scene name, they take precedence over the file
+    var sceneName = null, sceneMesh = null; // Name and root mesh of the current scene
+    var notes = []; // Notes of the current scene
+    var markers = []; // Icons of the notes of the current scene, {note, node, image}
+    var selectedNote = null; // Note currently shown in the details view
+    var placingObserver = null; // Removes the gesture listeners waiting for the tap that places a new note
+    var pendingPosition = null; // Mesh-space position picked for the note being written
+
+    var annButton, annPanel, annCloseButton, annList, annAddButton, annExportButton, annHint; // HTML UI elements
+    var annForm, annTitleInput, annTextInput, annAuthorInput, annImagesInput, annCancelButton; // HTML form to write a note
+    var annDetails; // HTML view of the selected note
+
+    // Opens the annotation panel
+    function enable() {
+        hideButton();
+        if (annPanel) annPanel.classList.add("ann-visible");
+        refreshList();
+    }
+
+    // Closes the annotation panel, the note icons stay visible on the mesh
+    function disable() {
+        stopPlacing();
+        hideForm();
+        if (annPanel) annPanel.classList.remove("ann-visible");
+    }
+
+    // Loads the notes of the given scene, positions are relative to the given mesh
+    function loadScene(name, mesh) {
+        unloadScene();
+        sceneName = name;
+        sceneMesh = mesh;
+        notes = (localAnnotations[name] || fileAnnotations[name] || []).map(note => ({...note}));
+        notes.forEach(createMarker);
+        refreshList();
+    }
+
+    // Replaces the current scene's mesh by another level of detail of the same model, icons follow it
+    function setMesh(mesh) {
+        sceneMesh = mesh;
+        markers.forEach(marker => marker.node.position = toWorld(marker.note.position));
+    }
+
+    // Removes the notes of the current scene (e.g., when going back to the map)
+    function unloadScene() {
+        disable();
+        markers.forEach(marker => {
+            marker.image.dispose();
+            marker.node.dispose();
+        });
+        markers = [];
+        notes = [];
+        selectedNote = null;
+        sceneName = null;
+        sceneMesh = null;
+        showDetails(null);
+    }
+
+    // LOCAL FUNCTION
+    // Converts a mesh-space position into world space, since notes are stored relative to their mesh
+    function toWorld(position) {
+        let local = BABYLON.Vector3.FromArray(position);
+        return sceneMesh ? BABYLON.Vector3.TransformCoordinates(local, sceneMesh.computeWorldMatrix(true)) : local;
+    }
+
+    // LOCAL FUNCTION
+    // Converts a world position into the current mesh's space
+    function toMesh(position) {
+        if (!sceneMesh) return position.clone();
+        return BABYLON.Vector3.TransformCoordinates(position, sceneMesh.computeWorldMatrix(true).clone().invert());
+    }
+
+    // LOCAL FUNCTION
+    // Creates the billboard icon of a note, above its point on the mesh
+    function createMarker(note) {
+        const node = new BABYLON.TransformNode("annotation " + note.id, scene);
+        node.position = toWorld(note.position);
+
+        const image = new BABYLON.GUI.Image("annotation icon " + note.id, "./gui/annotation.png");
+        image.widthInPixels = 32;
+        image.heightInPixels = 32;
+        image.isPointerBlocker = true;
+        image.hoverCursor = "pointer";
+        advancedTexture.addControl(image);
+        image.linkWithMesh(node);
+        image.linkOffsetY = -16; // icon stands above the point instead of being centered on it
+
+        image.onPointerClickObservable.add(() => {
+            enable();
+            select(note);
+        });
+
+        markers.push({note, node, image});
+    }
+
+    // LOCAL FUNCTION
+    // Shows a note in the details view, highlights it in the list and flies the camera to it
+    function select(note) {
+        selectedNote = note;
+        showDetails(note);
+        refreshList();
+        flyTo(note);
+    }
+
+    // LOCAL FUNCTION
+    // Animates the camera so that it looks at the note's point, from a distance fitting the model's size
+    function flyTo(note) {
+        CameraTool.flyToPoint(toWorld(note.position));
+    }
+
+    // LOCAL FUNCTION
+    // Rebuilds the list of notes of the current scene in the side panel
+    function refreshList() {
+        if (!annList) return;
+        annList.replaceChildren();
+
+        if (notes.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "ann-empty";
+            empty.textContent = "No notes for this site yet";
+            annList.appendChild(empty);
+            return;
+        }
+
+        notes.forEach(note => {
+            const item = document.createElement("li");
+            const entry = document.createElement("button");
+            entry.type = "button";
+            entry.className = "ann-entry";
+            entry.classList.toggle("is-selected", note === selectedNote);
+            entry.textContent = note.title || "Untitled note";
+            entry.addEventListener("click", () => select(note));
+            item.appendChild(entry);
+            annList.appendChild(item);
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Fills the details view with a note, or empties it if note is null
+    function showDetails(note) {
+        if (!annDetails) return;
+        annDetails.replaceChildren();
+        annDetails.classList.toggle("ann-visible", note !== null);
+        if (note === null) return;
+
+        const title = document.createElement("h3");
+        title.textContent = note.title || "Untitled note";
+
+        const meta = document.createElement("p");
+        meta.className = "ann-meta";
+        meta.textContent = [note.author, note.date].filter(Boolean).join(", ");
+
+        const text = document.createElement("p");
+        text.className = "ann-text";
+        text.textContent = note.text || "";
+
+        annDetails.append(title, meta, text);
+
+        // Only web pages are linked, other URLs (e.g. "javascript:") are shown as text
+        (note.images || []).forEach(url => {
+            const link = document.createElement(isWebLink(url) ? "a" : "span");
+            if (link.tagName === "A") {
+                link.href = url;
+                link.target = "_blank";
+                link.rel = "noopener";
+            }
+            link.className = "ann-image-link";
+            link.textContent = url;
+            annDetails.appendChild(link);
+        });
+
+        const deleteButton = document.createElement("button");
+        deleteButton.type = "button";
+        deleteButton.className = "mt-action";
+        deleteButton.textContent = "Delete note";
+        deleteButton.addEventListener("click", () => removeNote(note));
+        annDetails.appendChild(deleteButton);
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if a URL (relative to the page) is an http or https link
+    function isWebLink(url) {
+        try {
+            return ["http:", "https:"].includes(new URL(url, document.baseURI).protocol);
+        } catch (error) {
+            return false; // malformed URL
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Waits for a click on the mesh, then opens the form to write a note at the clicked point
+    function startPlacing() {
+        if (placingObserver || !sceneName) return;
+        hideForm();
+        if (annHint) annHint.classList.add("ann-visible");
+
+        // Taps (or short stationary left clicks) on the mesh place the note, same rules as the measurement tool
+        // Meanwhile, the measurement and section tools don't receive the taps
+        placingObserver = InputManager.createGestureRecognizer(scene.getEngine().getRenderingCanvas(), {
+            onTap: (gesture) => {
+                if(gesture.button !== 0) return;
+                // Notes go on the model, like measurement points, not on the tools' objects
+                const pick = scene.pick(gesture.x, gesture.y, MeasurementTool.isMeasurableMesh);
+                if(!pick.hit || !pick.pickedPoint) return;
+
+                pendingPosition = toMesh(pick.pickedPoint);
+                stopPlacing();
+                showForm();
+            }
+        }, {exclusive: true});
+    }
+
+    // LOCAL FUNCTION
+    // Stops waiting for the click that places a new note
+    function stopPlacing() {
+        if (placingObserver) {
+            placingObserver();
+            placingObserver = null;
+        }
+        if (annHint) annHint.classList.remove("ann-visible");
+    }
+
+    // LOCAL FUNCTION
+    // Opens an empty form for the note being placed
+    function showForm() {
+        if (!annForm) return;
+        annForm.reset();
+        annForm.classList.add("ann-visible");
+        annTitleInput.focus();
+    }
+
+    // LOCAL FUNCTION
+    // Closes the note form, dropping the picked point
+    function hideForm() {
+        pendingPosition = null;
+        if (annForm) annForm.classList.remove("ann-visible");
+    }
+
+    // LOCAL FUNCTION
+    // Creates a note from the form's content at the picked point
+    function submitForm() {
+        if (!pendingPosition) return;
+
+        const note = {
+            id: Date.now().toString(36),
+            title: annTitleInput.value.trim(),
+            text: annTextInput.value.trim(),
+            author: annAuthorInput.value.trim(),
+            date: new Date().toISOString().slice(0, 10),
+            images: annImagesInput.value.split(/[\s,]+/).filter(Boolean),
+            position: pendingPosition.asArray()
+        };
+
+        notes.push(note);
+        createMarker(note);
+        hideForm();
+        save();
+        select(note);
+    }
+
+    // LOCAL FUNCTION
+    // Deletes a note and its icon
+    function removeNote(note) {
+        notes = notes.filter(it => it !== note);
+
+        const marker = markers.find(it => it.note === note);
+        if (marker) {
+            marker.image.dispose();
+            marker.node.dispose();
+            markers = markers.filter(it => it !== marker);
+        }
+
+        if (selectedNote === note) {
+            selectedNote = null;
+            showDetails(null);
+        }
+        save();
+        refreshList();
+    }
+
+    // LOCAL FUNCTION
+    // Keeps the notes of the current scene in the browser, until they are exported to annotations.json
+    function save() {
+        if (!sceneName) return;
+        localAnnotations[sceneName] = notes;
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(localAnnotations));
+        } catch (error) {
+            console.error("Failed to store annotations", error);
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Downloads the notes of every scene as an annotations.json file, meant to replace the one next to scenes.json
+    function exportFile() {
+        const content = JSON.stringify({...fileAnnotations, ...localAnnotations}, null, 2);
+        MeasurementLog.download("annotations.json", content, "application/json");
+    }
+
+    // LOCAL FUNCTION
+    // Reads annotations.json and the notes edited in this browser
+    async function loadAnnotations() {
+        try {
+            const response = await fetch(annotationsFile);
+            if (response.ok) fileAnnotations = validateAnnotations(await response.json(), "annotations.json");
+            else console.error("Failed to load annotations.json");
+        } catch (error) {
+            console.error("Failed to load annotations.json", error);
+        }
+
+        try {
+            localAnnotations = validateAnnotations(JSON.parse(localStorage.getItem(storageKey)) || {}, "the browser");
+        } catch (error) {
+            localAnnotations = {};
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Keeps the notes that can be shown, by scene name, the others are reported with where they come from
+    function validateAnnotations(annotations, source) {
+        if (!annotations || typeof annotations !== "object" || Array.isArray(annotations)) {
+            console.error(`Ignored the annotations of ${source}, they are not notes by scene name`);
+            return {};
+        }
+
+        const valid = {};
+        Object.entries(annotations).forEach(([name, sceneNotes]) => {
+            if (!Array.isArray(sceneNotes)) {
+                console.error(`Ignored the annotations of ${name} in ${source}, they are not a list of notes`);
+                return;
+            }
+            valid[name] = sceneNotes.filter((note, index) => {
+                const error = validateNote(note);
+                if (error) console.error(`Ignored note ${index + 1} of ${name} in ${source}, it ${error}`);
+                return !error;
+            });
+        });
+        return valid;
+    }
+
+    // LOCAL FUNCTION
+    // Checks that a note can be placed and shown, returns what is wrong with it or null if it is valid
+    function validateNote(note) {
+        if (!note || typeof note !== "object") return "is not an object";
+        if (typeof note.id !== "string" || note.id === "") return "has no id";
+        const isNumber = (value) => typeof value === "number" && isFinite(value);
+        if (!Array.isArray(note.position) || note.position.length !== 3 || !note.position.every(isNumber)) {
+            return "has no position of three numbers";
+        }
+        if (["title", "text", "author", "date"].some(field => field in note && typeof note[field] !== "string")) return "has a field that isn't text";
+        if ("images" in note && (!Array.isArray(note.images) || !note.images.every(url => typeof url === "string"))) return "has images that aren't URLs";
+        return null;
+    }
+
+    // Initializes the annotation tool in the given scene, attaching the note icons to the given AdvancedTexture
+    async function init(babylonScene, texture) {
+        scene = babylonScene;
+        advancedTexture = texture;
+
+        annButton = document.getElementById("annActivateButton");
+        annPanel = document.getElementById("annPanel");
+        annCloseButton = document.getElementById("annCloseButton");
+        annList = document.getElementById("annList");
+        annAddButton = document.getElementById("annAddButton");
+        annExportButton = document.getElementById("annExportButton");
+        annHint = document.getElementById("annHint");
+        annForm = document.getElementById("annForm");
+        annTitleInput = document.getElementById("ann-title-input");
+        annTextInput = document.getElementById("ann-text-input");
+        annAuthorInput = document.getElementById("ann-author-input");
+        annImagesInput = document.getElementById("ann-images-input");
+        annCancelButton = document.getElementById("annCancelButton");
+        annDetails = document.getElementById("annDetails");
+
+        annButton.addEventListener("click", enable);
+
+        annCloseButton.addEventListener("click", () => {
+            disable();
+            showButton();
+        });
+
+        annAddButton.addEventListener("click", startPlacing);
+        annExportButton.addEventListener("click", exportFile);
+        annCancelButton.addEventListener("click", hideForm);
+
+        annForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            submitForm();
+        });
+
+        await loadAnnotations();
+
+        // Annotations are disabled by default since there's no mesh
+        disable();
+    }
+
+    const showButton = () => {
+        annButton.classList.add("ann-visible");
+    };
+    const hideButton = () => {
+        annButton.classList.remove("ann-visible");
+    };
+
+    return {
+        showButton,
+        hideButton,
+        enable,
+        disable,
+        init,
+        loadScene,
+        unloadScene,
+        setMesh
+    };
+})();
+
+export default AnnotationTool;
@@ -0,0 +1,169 @@
+/*********************************************************************************************
+ * Aqueduct Routes                                                                           *
+ * Draws the aqueducts listed in scenes.json (routes) on the map with a legend, and lets the  *
+ * user walk an aqueduct from site to site in the 3D view                                    *
+ *********************************************************************************************/
+
+import InputManager from "./inputManager.js";
+
+const AqueductRoutes = (function () {
+    const svgNamespace = "http://www.w3.org/2000/svg";
+    const palette = ["#e4572e", "#29b6f6", "#ffc914", "#76b041", "#c879ff", "#ff8fab"]; // Colors of the routes without one
+
+    var svg, legend, legendList; // HTML map UI elements
+    var routeBar, routeSelect, routeSwatch, routePosition, previousButton, nextButton; // HTML 3D view UI elements
+    var routes = []; // Routes as validated by SceneCatalog, with their color
+    var lines = new Map(); // Polyline of each route on the map, by name
+    var currentSite = null; // Name of the scene shown in the 3D view, null on the map
+    var currentRoute = null; // Route walked in the 3D view, null if the scene is on none
+    var onNavigate = () => {}; // Called with the name of the scene to open
+
+    /* Draws the routes on the map (size in map pixels) and prepares the navigation bar of the 3D view
+    /  onNavigateToSite is called with the name of the scene to open when the user steps along a route */
+    function init(routeList, mapSize, onNavigateToSite) {
+        routes = routeList.map((route, index) => ({...route, color: route.color || palette[index % palette.length]}));
+        onNavigate = onNavigateToSite;
+
+        svg = document.getElementById("mapRoutes");
+        legend = document.getElementById("routeLegend");
+        legendList = document.getElementById("routeLegendList");
+        routeBar = document.getElementById("routeBar");
+        routeSelect = document.getElementById("routeSelect");
+        routeSwatch = document.getElementById("routeSwatch");
+        routePosition = document.getElementById("routePosition");
+        previousButton = document.getElementById("routePreviousButton");
+        nextButton = document.getElementById("routeNextButton");
+
+        if (mapSize) drawRoutes(mapSize);
+        createLegend();
+
+        routeSelect.addEventListener("change", () => {
+            currentRoute = routes.find(route => route.name === routeSelect.value) || null;
+            refreshBar();
+        });
+        previousButton.addEventListener("click", () => step(-1));
+        nextButton.addEventListener("click", () => step(1));
+
+        const group = "Aqueduct routes";
+        InputManager.registerAction("route.previous", {label: "Previous site on the aqueduct", group, keys: ["["]}, () => step(-1));
+        InputManager.registerAction("route.next", {label: "Next site on the aqueduct", group, keys: ["]"]}, () => step(1));
+    }
+
+    // Shows the navigation bar for the scene shown in the 3D view, along the route walked so far if the scene is on it
+    function showSite(sceneName) {
+        currentSite = sceneName;
+        const siteRoutes = getRoutes(sceneName);
+        if (!siteRoutes.includes(currentRoute)) currentRoute = siteRoutes[0] || null;
+
+        routeSelect.replaceChildren(...siteRoutes.map(route => new Option(route.name, route.name, false, route === currentRoute)));
+        routeSelect.disabled = siteRoutes.length < 2;
+        refreshBar();
+    }
+
+    // Hides the navigation bar, when going back to the map
+    function hideSite() {
+        currentSite = null;
+        currentRoute = null;
+        routeBar.classList.remove("is-visible");
+    }
+
+    // LOCAL FUNCTION
+    // Returns the routes a scene is on
+    function getRoutes(sceneName) {
+        return routes.filter(route => route.sites.includes(sceneName));
+    }
+
+    // LOCAL FUNCTION
+    // Opens the next (direction 1) or previous (-1) site of the walked route, returns false if there is none
+    function step(direction) {
+        const target = getNeighbour(direction);
+        if (!target) return false;
+        const route = currentRoute;
+        onNavigate(target);
+        currentRoute = route; // leaving the scene hides the bar, the next one is still on the walked route
+    }
+
+    // LOCAL FUNCTION
+    function getNeighbour(direction) {
+        if (!currentRoute || currentSite === null) return null;
+        return currentRoute.sites[currentRoute.sites.indexOf(currentSite) + direction] || null;
+    }
+
+    // LOCAL FUNCTION
+    // Shows the walked route, the position of the scene on it and the names of its neighbours
+    function refreshBar() {
+        routeBar.classList.toggle("is-visible", currentRoute !== null);
+        if (!currentRoute) return;
+
+        const previous = getNeighbour(-1);
+        const next = getNeighbour(1);
+        routeSwatch.style.background = currentRoute.color;
+        routePosition.textContent = `${currentRoute.sites.indexOf(currentSite) + 1} / ${currentRoute.sites.length}`;
+
+        previousButton.disabled = !previous;
+        previousButton.textContent = previous ? `‹ ${previous}` : "‹";
+        previousButton.title = previous ? `Previous site on ${currentRoute.name}: ${previous}` : "First site on this aqueduct";
+        nextButton.disabled = !next;
+        nextButton.textContent = next ? `${next} ›` : "›";
+        nextButton.title = next ? `Next site on ${currentRoute.name}: ${next}` : "Last site on this aqueduct";
+    }
+
+    // LOCAL FUNCTION
+    // Draws each route as a polyline, in map pixels like the map's layers
+    function drawRoutes(mapSize) {
+        svg.setAttribute("viewBox", `0 0 ${mapSize.width} ${mapSize.height}`);
+        svg.replaceChildren();
+        lines.clear();
+
+        routes.forEach(route => {
+            if (route.points.length < 2) return; // a single known site, nothing to draw
+            const line = document.createElementNS(svgNamespace, "polyline");
+            line.setAttribute("class", "map-route");
+            line.setAttribute("points", route.points.map(point => `${point.uvx * mapSize.width},${(1 - point.uvy) * mapSize.height}`).join(" "));
+            line.style.stroke = route.color;
+
+            const title = document.createElementNS(svgNamespace, "title");
+            title.textContent = route.name;
+            line.appendChild(title);
+
+            svg.appendChild(line);
+            lines.set(route.name, line);
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Lists the routes with their colors, pointing at one highlights its line
+    function createLegend() {
+        legend.classList.toggle("is-visible", routes.length > 0);
+        legendList.replaceChildren(...routes.map(route => {
+            const item = document.createElement("li");
+            item.className = "route-legend-entry";
+            item.tabIndex = 0;
+
+            const swatch = document.createElement("span");
+            swatch.className = "route-swatch";
+            swatch.style.background = route.color;
+            const name = document.createElement("span");
+            name.textContent = route.name;
+            const count = document.createElement("span");
+            count.className = "route-legend-count";
+            count.textContent = `${route.sites.length} ${route.sites.length === 1 ? "site" : "sites"}`;
+            item.append(swatch, name, count);
+
+            const highlight = (highlighted) => lines.get(route.name)?.classList.toggle("is-highlighted", highlighted);
+            item.addEventListener("pointerenter", () => highlight(true));
+            item.addEventListener("pointerleave", () => highlight(false));
+            item.addEventListener("focus", () => highlight(true));
+            item.addEventListener("blur", () => highlight(false));
+            return item;
+        }));
+    }
+
+    return {
+        init,
+        showSite,
+        hideSite
+    };
+})();
+
+export default AqueductRoutes;
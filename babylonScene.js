@@ -4,46 +4,90 @@
 
 "use strict"; // strict mode to guarantee better coding
 
-// HTML elements (divs) for the render canvas, and for the fps counter
+// HTML element (canvas) for the render canvas
 var canvas = document.getElementById("renderCanvas");
 
-// Frame time recording
-let frameTimeData = [];
-let lastFrameDataLog = performance.now();
-const frameDataLogInterval = 10000; // Log and clear data every 10 seconds
-
 // Global variables for the base app
 var meshes = []; // List of currently loaded meshes
 var activeMeshIndex; // Index (in meshes array) of most recently rendered mesh
 
 var menuButton; // Menu button, needs to be global so that all buttons can enable it on click.
-var mapMenu, mapViewport, mapContent, mapPins, mapImage; // HTML map UI elements
+var mapMenu, mapViewport, mapContent, mapPins; // HTML map UI elements
 var camera3D; // Babylon Camera for mesh screen (3D)
-var performanceMode = true; // Indicates if lighter versions of the meshes should be used (for lower end computers)
 var currentLoadResult = null; // Tracks assets from the last model load so we can dispose them
+var sceneEntries = []; // Scenes that can be opened, {name, meshOperations, loadTools, placeMesh, lods}, same indices as meshes
+var currentLodLevel = null; // Index (in the active scene's lods) of the level of detail currently shown
+var sceneLoads = null; // Loads of the active scene's models, renewed when the scene is opened again or left so that late loads are dropped
 
 import MeasurementTool from "./measurementTool.js";
+import AnnotationTool from "./annotationTool.js";
+import DeepLink from "./deepLink.js";
+import SceneCatalog from "./sceneCatalog.js";
+import GeoReference from "./geoReference.js";
+import SiteInfoPanel from "./siteInfoPanel.js";
+import SectionTool from "./sectionTool.js";
+import VRMode from "./vrMode.js";
+import RenderPanel from "./renderPanel.js";
+import HeatmapOverlay from "./heatmapOverlay.js";
+import PerformanceMonitor from "./performanceMonitor.js";
+import InputManager from "./inputManager.js";
+import MapView from "./mapView.js";
+import MapLayers from "./mapLayers.js";
+import AqueductRoutes from "./aqueductRoutes.js";
+import CameraTool from "./cameraTool.js";
+import OfflineMode from "./offlineMode.js";
+import LoadingScreen from "./loadingScreen.js";
+import ModelLoader from "./modelLoader.js";
+import CaptureTool from "./captureTool.js";
+
+// Settings of optimizeMesh, written in benchmark reports so that runs with different settings can be compared
+// They can be overridden on a machine with localStorage "aqueducts.optimization", e.g. {"freezeMaterials": false}
+const meshOptimization = (function () {
+	const settings = {
+		frustumCulling: true, // Meshes outside the camera's view are not drawn
+		freezeWorldMatrix: true, // World matrices are not computed every frame, as meshes don't move
+		doNotSyncBoundingInfo: true, // Bounding info is not synced every frame
+		freezeMaterials: true, // Materials are not checked for changes every frame, avoiding recompilation
+		cullingStrategy: "boundingSphereOnly" // "standard", "boundingSphereOnly", "optimisticInclusion" or "optimisticInclusionThenBSphereOnly"
+	};
+	try {
+		const stored = JSON.parse(localStorage.getItem("aqueducts.optimization")) || {};
+		Object.keys(settings).forEach(key => {
+			if (typeof stored[key] === typeof settings[key]) settings[key] = stored[key];
+		});
+	} catch (error) {
+		console.error("Invalid optimization settings in localStorage", error);
+	}
+	return settings;
+})();
+
+const cullingStrategies = {
+	standard: BABYLON.AbstractMesh.CULLINGSTRATEGY_STANDARD,
+	boundingSphereOnly: BABYLON.AbstractMesh.CULLINGSTRATEGY_BOUNDINGSPHERE_ONLY,
+	optimisticInclusion: BABYLON.AbstractMesh.CULLINGSTRATEGY_OPTIMISTIC_INCLUSION,
+	optimisticInclusionThenBSphereOnly: BABYLON.AbstractMesh.CULLINGSTRATEGY_OPTIMISTIC_INCLUSION_THEN_BSPHERE_ONLY
+};
 
-// Optimization function for large meshes
+// Optimization function for large meshes, see meshOptimization
 function optimizeMesh(mesh) {
 	const meshesToOptimize = mesh.getChildMeshes().length > 0 ? mesh.getChildMeshes() : [mesh];
 	
 	meshesToOptimize.forEach(childMesh => {
 		if (!childMesh.getTotalVertices || childMesh.getTotalVertices() === 0) return; // Skip if not a mesh with geometry
 
-		childMesh.alwaysSelectAsActiveMesh = false; // Allow frustum culling
-		childMesh.freezeWorldMatrix(); // Freeze world matrix as mesh doesn't move
-		childMesh.doNotSyncBoundingInfo = true; // Don't sync bounding info every frame
+		childMesh.alwaysSelectAsActiveMesh = !meshOptimization.frustumCulling;
+		if (meshOptimization.freezeWorldMatrix) childMesh.freezeWorldMatrix(); // Freeze world matrix as mesh doesn't move
+		childMesh.doNotSyncBoundingInfo = meshOptimization.doNotSyncBoundingInfo;
 		
-		if (childMesh.material) childMesh.material.freeze(); // Freeze materials to avoid recompilation
+		if (childMesh.material && meshOptimization.freezeMaterials) childMesh.material.freeze(); // Freeze materials to avoid recompilation
 	});
 	
 	// Apply more aggressive culling
-	mesh.cullingStrategy = BABYLON.AbstractMesh.CULLINGSTRATEGY_BOUNDINGSPHERE_ONLY;
+	mesh.cullingStrategy = cullingStrategies[meshOptimization.cullingStrategy] ?? BABYLON.AbstractMesh.CULLINGSTRATEGY_BOUNDINGSPHERE_ONLY;
 	
 	// Ensure the mesh updates its bounding info once
 	mesh.refreshBoundingInfo();
-	mesh.freezeWorldMatrix();
+	if (meshOptimization.freezeWorldMatrix) mesh.freezeWorldMatrix();
 }
 
 function disposeLoadedAssets() {
@@ -71,18 +115,20 @@ var createScene = async function () {
 	camera3D.detachControl(canvas);
 	scene.activeCamera = camera3D;
 
-	// Basic light source, shining down
+	// Basic light source, shining down, the render panel adds a movable one
 	var light = new BABYLON.HemisphericLight("lightSource", new BABYLON.Vector3(0, 1, 0), scene);
 
 	////////////////////////////
 	// Map Menu Configuration //
 	////////////////////////////
 
+	// Loads show their progress, can be cancelled and tell why they failed on the loading screen
+	LoadingScreen.init(engine);
+
 	mapMenu = document.getElementById("mapMenu");
 	mapViewport = document.getElementById("mapViewport");
 	mapContent = document.getElementById("mapContent");
 	mapPins = document.getElementById("mapPins");
-	mapImage = document.getElementById("mapImage");
 
 	const setMapMenuVisible = (visible) => {
 		if (!mapMenu) return;
@@ -93,236 +139,383 @@ var createScene = async function () {
 		mapMenu.classList.toggle("is-disabled", !enabled);
 	};
 
-	let mapScale = 0.7;
-	let mapOffset = { x: 0, y: 0 };
-	let mapDragging = false;
-	let dragStart = { x: 0, y: 0 };
-	let mapStartOffset = { x: 0, y: 0 };
+	// Panning, zooming, clustering of close pins and the map keys are in mapView.js, keys only act on the shown map
+	// The images are drawn by mapLayers.js, which loads the tiles in view whenever the view changes
+	MapView.init({ viewport: mapViewport, content: mapContent, pins: mapPins }, {
+		isActive: () => !!mapMenu && !mapMenu.classList.contains("is-hidden") && !mapMenu.classList.contains("is-disabled"),
+		onChange: (view) => MapLayers.update(view)
+	});
 
-	const applyMapTransform = () => {
-		if (!mapContent) return;
-		mapContent.style.transform = `translate(${mapOffset.x}px, ${mapOffset.y}px) scale(${mapScale})`;
-	};
+	// Helper to load and validate scenes.json, malformed entries are reported on the map menu
+	// The map layers and the aqueduct routes it lists are created before the scenes are returned
+	async function loadSceneInfo() {
+		const catalog = await SceneCatalog.load();
+		catalog.errors.forEach(error => console.error(error));
+
+		const mapSize = await MapLayers.init({
+			container: document.getElementById("mapLayers"),
+			panel: document.getElementById("mapLayerPanel"),
+			baseSelect: document.getElementById("mapBaseSelect"),
+			overlayList: document.getElementById("mapOverlayList")
+		}, catalog.map);
+		if (mapSize) MapView.setSize(mapSize.width, mapSize.height, mapSize.maxScale);
+		else catalog.errors.push("The map image could not be loaded");
+
+		// Stepping along an aqueduct in the 3D view opens the next scene like a link, so that Back returns to the previous one
+		AqueductRoutes.init(catalog.routes, mapSize, (sceneName) => {
+			history.pushState(null, "", DeepLink.format({ scene: sceneName }));
+			applyLocationHash();
+		});
 
-	const resetMapView = () => {
-		if (!mapViewport || !mapImage) return;
-		const viewportRect = mapViewport.getBoundingClientRect();
-		const imageWidth = mapImage.naturalWidth || mapImage.width;
-		const imageHeight = mapImage.naturalHeight || mapImage.height;
-		if (!imageWidth || !imageHeight) return;
+		const mapMessage = document.getElementById("mapMessage");
+		if (mapMessage && catalog.errors.length > 0) {
+			mapMessage.textContent = `Some sites could not be loaded:\n${catalog.errors.join("\n")}`;
+			mapMessage.classList.add("is-visible");
+		}
+		return catalog.scenes;
+	}
 
-		if (mapContent) {
-			mapContent.style.width = `${imageWidth}px`;
-			mapContent.style.height = `${imageHeight}px`;
+	/* Loads a model file from ./meshes, onProgress is called with the loaded percentage when it is known
+	/  Resolves with the loader's result and the model's main mesh, rejects with an AbortError if it is aborted through
+	/  signal (a model loaded in the meantime is disposed) or with an Error whose message can be shown to the user */
+	const loadModelFile = async (fileName, onProgress, signal) => {
+		console.time("Loading " + fileName);
+		console.log("Start loading of " + fileName);
+
+		const extension = fileName.slice(fileName.lastIndexOf(".")).toLowerCase();
+		const result = await ModelLoader.load("./meshes/" + fileName, onProgress, {
+			signal,
+			parse: (data) => BABYLON.SceneLoader.ImportMeshAsync("", "./meshes/", data, scene, null, extension),
+			dispose: disposeLoadResult
+		});
+		if (result.meshes.length === 0) {
+			disposeLoadResult(result);
+			throw new Error(`${fileName} contains no mesh`);
 		}
-		if (mapPins) {
-			mapPins.style.width = `${imageWidth}px`;
-			mapPins.style.height = `${imageHeight}px`;
+
+		console.timeEnd("Loading " + fileName);
+		let mesh;
+		if(result.meshes[0].name === "__root__" && result.meshes[0].getChildMeshes().length === 1) {
+			mesh = result.meshes[0].getChildMeshes()[0];
+		} else {
+			mesh = result.meshes[0];
 		}
+		return { result, mesh };
+	};
 
-		const fitScale = Math.min(viewportRect.width / imageWidth, viewportRect.height / imageHeight);
-		mapScale = Math.max(0.4, fitScale * 0.9);
-		mapOffset = {
-			x: (viewportRect.width - imageWidth * mapScale) / 2,
-			y: (viewportRect.height - imageHeight * mapScale) / 2
-		};
-		applyMapTransform();
+	// Loads a model file, showing the progress on the loading screen
+	const loadModel = (fileName, signal) => {
+		return loadModelFile(fileName, (loadedPercent) => LoadingScreen.setProgress(loadedPercent), signal);
 	};
 
-	if (mapViewport) {
-		mapViewport.addEventListener("pointerdown", (event) => {
-			mapDragging = true;
-			dragStart = { x: event.clientX, y: event.clientY };
-			mapStartOffset = { x: mapOffset.x, y: mapOffset.y };
-			mapViewport.classList.add("is-dragging");
-			mapViewport.setPointerCapture(event.pointerId);
-		});
+	// Disposes the meshes and nodes of a loader's result that is not tracked by currentLoadResult
+	const disposeLoadResult = (result) => {
+		result.transformNodes?.forEach(node => node.dispose());
+		result.meshes?.forEach(mesh => mesh.dispose(false, true));
+	};
 
-		mapViewport.addEventListener("pointermove", (event) => {
-			if (!mapDragging) return;
-			const dx = event.clientX - dragStart.x;
-			const dy = event.clientY - dragStart.y;
-			mapOffset = { x: mapStartOffset.x + dx, y: mapStartOffset.y + dy };
-			applyMapTransform();
+	// Drops the loads of the active scene: their downloads are aborted and the models they load late are disposed
+	// Returns the signal of the loads started next
+	sceneLoads = ModelLoader.createLoadGroup();
+	const renewSceneLoads = () => sceneLoads.renew();
+
+	/////////////////////
+	// Level of detail //
+	/////////////////////
+
+	// Each scene lists its model files from lightest to heaviest (lods in scenes.json, "<name>Light.glb" then "<name>.glb" by default)
+	// The lightest is shown first and the next ones stream in the background, unless the user pins a quality level
+	var lodBar = document.getElementById("lodBar");
+	var qualitySelect = document.getElementById("qualitySelect");
+	var lodStatus = document.getElementById("lodStatus");
+
+	// Returns the level pinned for a scene, or null for automatic streaming
+	// Stored values that aren't a level (e.g. edited by hand) are removed, so that the scene still opens
+	const getPinnedQuality = (sceneName, levelCount) => {
+		const stored = localStorage.getItem("aqueducts.quality." + sceneName);
+		if (stored === null) return null;
+		const level = Number(stored);
+		if (stored.trim() === "" || !Number.isInteger(level) || level < 0) {
+			console.warn(`Ignored the invalid quality "${stored}" pinned for ${sceneName}`);
+			localStorage.removeItem("aqueducts.quality." + sceneName);
+			return null;
+		}
+		return Math.min(level, levelCount - 1);
+	};
+
+	const setPinnedQuality = (sceneName, level) => {
+		if (level === null) localStorage.removeItem("aqueducts.quality." + sceneName);
+		else localStorage.setItem("aqueducts.quality." + sceneName, level);
+	};
+
+	const setLodStatus = (text) => {
+		if (!lodStatus) return;
+		lodStatus.textContent = text;
+	};
+
+	// Fills the quality selector with the levels of the given scene
+	const refreshQualitySelect = (index) => {
+		if (!qualitySelect) return;
+		const levels = sceneEntries[index].lods;
+		qualitySelect.replaceChildren();
+
+		const auto = document.createElement("option");
+		auto.value = "";
+		auto.textContent = "Auto";
+		qualitySelect.appendChild(auto);
+		levels.forEach((level, i) => {
+			const option = document.createElement("option");
+			option.value = i;
+			option.textContent = level.label;
+			qualitySelect.appendChild(option);
 		});
 
-		const stopDrag = (event) => {
-			if (!mapDragging) return;
-			mapDragging = false;
-			mapViewport.classList.remove("is-dragging");
-			if (event && mapViewport.hasPointerCapture(event.pointerId)) {
-				mapViewport.releasePointerCapture(event.pointerId);
+		const pinned = getPinnedQuality(sceneEntries[index].name, levels.length);
+		qualitySelect.value = pinned === null ? "" : pinned;
+	};
+
+	// Replaces the shown model of the active scene by another level, keeping the camera and measurement points as they are
+	// Tools following the compared model are left alone, they get the new model when the active side is focused again
+	const swapModel = (index, result, mesh, level) => {
+		const toolsFollow = !comparison || comparison.focusedSide !== "right";
+		if (toolsFollow) RenderPanel.setMesh(mesh); // before disposal, so that the previous model's own materials are disposed with it
+		disposeLoadedAssets();
+		currentLoadResult = result;
+		meshes[index] = mesh;
+		currentLodLevel = level;
+
+		if (comparison) setLayerMask(result, LEFT_MASK);
+		optimizeMesh(mesh);
+		if (!toolsFollow) return;
+		MeasurementTool.setMesh(mesh);
+		AnnotationTool.setMesh(mesh);
+		SectionTool.setMesh(mesh);
+		HeatmapOverlay.setMesh(mesh);
+		CameraTool.setMesh(mesh);
+		sceneEntries[index].placeMesh(mesh); // the up direction and georeference are read from the mesh's transform
+	};
+
+	// Loads the given level of the active scene in the background, then swaps it in
+	// If stream is true, the following levels are loaded after it
+	const loadLevel = (index, level, signal, stream) => {
+		const levels = sceneEntries[index].lods;
+		if (level >= levels.length) {
+			setLodStatus("");
+			return;
+		}
+
+		setLodStatus(`Loading ${levels[level].label}...`);
+		loadModelFile(levels[level].file, (loadedPercent) => {
+			if (!signal.aborted) setLodStatus(`Loading ${levels[level].label}... ${loadedPercent}%`);
+		}, signal).then(function ({ result, mesh }) {
+			// The user left the scene (or opened another one) in the meantime
+			if (signal.aborted) {
+				disposeLoadResult(result);
+				return;
 			}
+
+			swapModel(index, result, mesh, level);
+			if (stream) loadLevel(index, level + 1, signal, stream);
+			else setLodStatus("");
+		}).catch((error) => {
+			if (error.name === "AbortError") return; // the user left the scene or picked another level
+			// A missing heavier level is not an error for the user, the current one stays
+			console.warn(`Failed to load ${levels[level].file}`, error);
+			if (!signal.aborted) setLodStatus("");
+		});
+	};
+
+	if (qualitySelect) qualitySelect.addEventListener("change", () => {
+		if (activeMeshIndex == null || currentLodLevel === null) return;
+		const index = activeMeshIndex;
+		const level = qualitySelect.value === "" ? null : Number(qualitySelect.value);
+		setPinnedQuality(sceneEntries[index].name, level);
+
+		// Any background load of the previous choice is dropped
+		const signal = renewSceneLoads();
+		if (level === null) loadLevel(index, currentLodLevel + 1, signal, true);
+		else if (level !== currentLodLevel) loadLevel(index, level, signal, false);
+		else setLodStatus("");
+	});
+
+	/* Loads the scene at the given index (in sceneEntries) and shows the 3D view
+	/  onLoaded is called with the mesh once its first level is loaded and optimized, onAbandoned if the user cancels
+	/  the load or goes back to the map after it failed. Opening another scene or leaving drops the load */
+	const openScene = (index, onLoaded, onAbandoned) => {
+		const meshOperations = sceneEntries[index].meshOperations;
+		const levels = sceneEntries[index].lods;
+		const pinned = getPinnedQuality(sceneEntries[index].name, levels.length);
+		const firstLevel = pinned === null ? 0 : pinned;
+		const signal = renewSceneLoads();
+
+		const leave = () => {
+			if (typeof onAbandoned !== "undefined") onAbandoned();
+			goToMenu();
 		};
+		LoadingScreen.show(leave);
 
-		mapViewport.addEventListener("pointerup", stopDrag);
-		mapViewport.addEventListener("pointerleave", stopDrag);
+		setMapMenuVisible(false);
+		setMapInteractable(false);
 
-		mapViewport.addEventListener("wheel", (event) => {
-			event.preventDefault();
-			const zoomFactor = event.deltaY > 0 ? 0.9 : 1.1;
-			mapScale = Math.min(3, Math.max(0.2, mapScale * zoomFactor));
-			applyMapTransform();
-		}, { passive: false });
-	}
+		activeMeshIndex = index;
+		currentLodLevel = null;
 
-	if (mapImage) {
-		if (mapImage.complete) {
-			resetMapView();
-		} else {
-			mapImage.addEventListener("load", resetMapView, { once: true });
+		disposeLoadedAssets();
+		if (meshes[index] != null) {
+			meshes[index].dispose(false, true);
+			meshes[index] = null;
 		}
-	}
 
-	window.addEventListener("resize", resetMapView);
+		refreshQualitySelect(index);
+		loadModel(levels[firstLevel].file, signal).then(function ({ result, mesh }) {
+			if (signal.aborted) {
+				disposeLoadResult(result);
+				return;
+			}
 
-	// Helper to load JSON file
-	async function loadSceneInfo() {
-		const response = await fetch("./scenes.json");
-		if (!response.ok) {
-			console.error("Failed to load scenes.json");
-			return [];
-		}
-		return await response.json();
-	}
+			currentLoadResult = result;
+			meshes[index] = mesh;
+			currentLodLevel = firstLevel;
+
+			if(typeof meshOperations !== "undefined") meshOperations(meshes[index]);
+			LoadingScreen.hide();
 
-	const createMapPin = (meshName, uvx, uvy, meshOperations) => {
+			optimizeMesh(meshes[index]);
+			CameraTool.frame(meshes[index]); // models differ in size and offset, a link's camera replaces this in onLoaded
+			if(typeof onLoaded !== "undefined") onLoaded(meshes[index]);
+
+			// Heavier levels stream in once the first one is shown, unless a level is pinned
+			if (pinned === null) loadLevel(index, firstLevel + 1, signal, true);
+		}).catch((error) => {
+			// Cancelled, or replaced by another scene or the map
+			if (error.name === "AbortError" || signal.aborted) return;
+			console.error(`Failed to open ${sceneEntries[index].name}`, error);
+			LoadingScreen.showError(error.message, () => openScene(index, onLoaded, onAbandoned), leave);
+		});
+
+		if (menuButton) menuButton.classList.add("is-visible");
+		if (compareBar) compareBar.classList.add("is-visible");
+		if (lodBar) lodBar.classList.add("is-visible");
+		MeasurementTool.showButton();
+		AnnotationTool.showButton();
+		SectionTool.showButton();
+		CameraTool.showButton();
+		CaptureTool.showButton();
+		VRMode.showButton();
+		RenderPanel.showButton();
+
+		camera3D.attachControl(canvas, true);
+		scene.activeCamera = camera3D;
+	};
+
+	/* lods lists the model files of the scene from lightest to heaviest, as strings or {file, label}
+	/  operations are called with a loaded mesh: meshOperations sets up the tools and the site's panels, loadTools only
+	/  the tools (e.g. for a compared mesh) and placeMesh only what depends on the mesh's transform (e.g. for another level) */
+	const createMapPin = (meshName, uvx, uvy, operations, lods) => {
 		let index = meshes.length;
 		meshes.push(null);
 
-		if (!mapPins) return;
+		let levels = (lods || [meshName + "Light.glb", meshName + ".glb"]).map((level, i) => {
+			if (typeof level === "object") return { file: level.file, label: level.label || level.file };
+			// Without labels, the default pair is named after its use
+			return { file: level, label: lods ? level : (i === 0 ? "Light" : "Full") };
+		});
+		sceneEntries.push({ name: meshName, ...operations, lods: levels });
+
+		if (!mapPins) return null;
 		const pin = document.createElement("button");
 		pin.type = "button";
 		pin.className = "map-pin";
-		pin.style.left = `${uvx * 100}%`;
-		pin.style.top = `${(1 - uvy) * 100}%`;
 		pin.setAttribute("aria-label", meshName);
 		pin.addEventListener("pointerdown", (event) => event.stopPropagation());
 
 		pin.addEventListener("click", () => {
-			document.getElementById("loadingScreen").style.display = "block";
-			document.getElementById("loadingScreenText").innerText = "0%";
-
-			setMapMenuVisible(false);
-			setMapInteractable(false);
-
-			activeMeshIndex = index;
-
-			disposeLoadedAssets();
-			if (meshes[index] != null) {
-				meshes[index].dispose(false, true);
-				meshes[index] = null;
-			}
-
-			console.time("Loading " + meshName);
-			console.log("Start loading of " + meshName);
-			engine.displayLoadingUI();
-
-			let meshPath = "./meshes/" + meshName;
-			if (performanceMode) meshPath += "Light";
-			meshPath += ".glb";
-
-			BABYLON.SceneLoader.ImportMeshAsync("", meshPath, "", scene, (evt) => {
-				if (evt.lengthComputable) {
-					let loadedPercent = ((evt.loaded * 100) / evt.total).toFixed();
-					document.getElementById("loadingScreenText").innerText = loadedPercent + "%";
-				}
-			}).then(function (result) {
-				currentLoadResult = result;
-				if(result.meshes[0].name === "__root__" && result.meshes[0].getChildMeshes().length === 1) {
-					meshes[index] = result.meshes[0].getChildMeshes()[0];
-				} else {
-					meshes[index] = result.meshes[0];
-				}
-
-				if(typeof meshOperations !== "undefined") meshOperations(meshes[index]);
-				console.timeEnd("Loading " + meshName);
-				engine.hideLoadingUI();
-				document.getElementById("loadingScreen").style.display = "none";
-
-				optimizeMesh(meshes[index]);
-			});
-
-			if (menuButton) menuButton.classList.add("is-visible");
-			MeasurementTool.showButton();
-
-			camera3D.attachControl(canvas, true);
-			scene.activeCamera = camera3D;
+			// Offline, only the downloaded models can be loaded (the service worker serves them from its cache)
+			if (!OfflineMode.checkAvailable(meshName)) return;
+			// Each opened scene is a new browser history entry, so that Back returns to the map
+			history.pushState(null, "", DeepLink.format({ scene: meshName }));
+			openScene(index);
 		});
 
 		mapPins.appendChild(pin);
+		MapView.addPin(pin, uvx, uvy, meshName);
+		return pin;
 	};
 
 	const sceneInfos = await loadSceneInfo();
+	const mapPinElements = []; // Pin of each scene, same indices as sceneEntries
 	sceneInfos.forEach(info => {
-		createMapPin(info.name, info.uvx, info.uvy, function(mesh) {
-			if (typeof mesh !== "undefined" && typeof info.scale === "number") {
-				MeasurementTool.setScale(info.scale);
+		// Gives the measurement tool the scene's up direction and georeference, which follow the mesh's transform
+		const placeMesh = function(mesh) {
+			// Up direction is given in the model's own coordinates, since photogrammetry exports are not always Y-up
+			if (Array.isArray(info.up) && info.up.length === 3) {
+				MeasurementTool.setUpVector(info.up, mesh);
 			}
-		});
-	});
-
-	/////////////////////////
-	// WebXR Configuration //
-	/////////////////////////
-/*
-	// Initializes WebXR in VR (immersive-vr mode)
-	const xrHelper = await scene.createDefaultXRExperienceAsync({
-		disableTeleportation: true, // Disable teleportation so we can use movement
-	});
+			// Georeferenced scenes report measured points as real-world coordinates
+			MeasurementTool.setGeoFrame(info.location ? GeoReference.createFrame(info, mesh) : null);
+		};
 
-	const xrCamera = xrHelper.baseExperience.camera;
+		// Gives the 3D tools the scene's scale, up direction and saved data for its mesh
+		const loadTools = function(mesh) {
+			if (typeof mesh === "undefined") return;
+			if (typeof info.scale === "number") {
+				MeasurementTool.setScale(info.scale);
+			}
+			MeasurementTool.loadScene(info.name, mesh);
+			AnnotationTool.loadScene(info.name, mesh);
+			SectionTool.loadScene(info.name, mesh);
+			RenderPanel.loadScene(info.name, mesh);
+			HeatmapOverlay.loadScene(info.name, mesh);
+			CameraTool.loadScene(info.name, mesh);
+			placeMesh(mesh);
+		};
 
-	const featureManager = xrHelper.baseExperience.featuresManager;
+		const meshOperations = function(mesh) {
+			if (typeof mesh === "undefined") return;
+			loadTools(mesh);
+			CaptureTool.loadScene(info);
+			SiteInfoPanel.showSite(info);
+			AqueductRoutes.showSite(info.name);
+		};
 
-	var cameraYMovement = 0;
+		const pin = createMapPin(info.name, info.uvx, info.uvy, { meshOperations, loadTools, placeMesh }, info.lods);
+		if (pin) SiteInfoPanel.attachTooltip(pin, info);
+		mapPinElements.push(pin);
+	});
 
-	// Swaps the configuration for the two hands, making it so that left is movement and right is rotation
-	const swappedHandednessConfiguration = [
-		{
-			// Right stick configuration
-			allowedComponentTypes: [BABYLON.WebXRControllerComponent.THUMBSTICK_TYPE, BABYLON.WebXRControllerComponent.TOUCHPAD_TYPE],
-			forceHandedness: "right",
-			axisChangedHandler: (axes, movementState, featureContext, xrInput) => {
-				// Apply axes to rotation if above threshold
-				movementState.rotateX = Math.abs(axes.x) > featureContext.rotationThreshold ? axes.x : 0;
-				//movementState.rotateY = Math.abs(axes.y) > featureContext.rotationThreshold ? axes.y : 0; // disable? does not seem to work anyways
-				cameraYMovement = Math.abs(axes.y) > featureContext.rotationThreshold ? -axes.y : 0;
-			},
-		},
-		{
-			// Left stick configuration
-			allowedComponentTypes: [BABYLON.WebXRControllerComponent.THUMBSTICK_TYPE, BABYLON.WebXRControllerComponent.TOUCHPAD_TYPE],
-			forceHandedness: "left",
-			axisChangedHandler: (axes, movementState, featureContext, xrInput) => {
-				// Apply axes to movement if above threshold
-				movementState.moveX = Math.abs(axes.x) > featureContext.movementThreshold ? axes.x : 0;
-				movementState.moveY = Math.abs(axes.y) > featureContext.movementThreshold ? axes.y : 0;
-			},
-		},
-	];
+	// Models can be downloaded for offline use, pins of the sites that can't be opened offline are dimmed
+	await OfflineMode.init(sceneEntries.map(entry => ({ name: entry.name, files: entry.lods.map(level => level.file) })), () => {
+		mapPinElements.forEach((pin, index) => pin?.classList.toggle("is-unavailable", !OfflineMode.isAvailable(sceneEntries[index].name)));
+	});
 
-	const movementFeature = featureManager.enableFeature(BABYLON.WebXRFeatureName.MOVEMENT, "latest", {
-		xrInput: xrHelper.input,
-		movementSpeed: 0.1,
-		rotationSpeed: 0.4,
-		customRegistrationConfigurations: swappedHandednessConfiguration,
+	// Picking a site in the list centers the map on its pin (zooming in if it is in a cluster) and highlights it
+	SiteInfoPanel.init(sceneInfos, (index) => {
+		const info = sceneInfos[index];
+		const pin = mapPinElements[index];
+		if (!pin) {
+			MapView.centerOn(info.uvx, info.uvy);
+			return;
+		}
+		MapView.revealPin(pin);
+		mapPinElements.forEach(other => other?.classList.remove("is-highlighted"));
+		pin.classList.add("is-highlighted");
+		pin.focus({ preventScroll: true });
+		setTimeout(() => pin.classList.remove("is-highlighted"), 3000);
 	});
 
-	// Camera Y Movement each frame based on the right stick vertical axis
-	scene.onBeforeRenderObservable.add(() => {
-		if(!xrCamera || !movementFeature) return;
+	/////////////////////////
+	// WebXR Configuration //
+	/////////////////////////
 
-		if(cameraYMovement != 0) {
-			// Inspired by internal BabylonJS code for the movement feature
-			let yMovement = new BABYLON.Vector3(0, cameraYMovement, 0);
-			yMovement.scaleInPlace(xrCamera._computeLocalCameraSpeed() * movementFeature.movementSpeed);
-			xrCamera.cameraDirection.addInPlace(yMovement);
+	// Immersive VR is offered in the 3D view when the browser supports it (see vrMode.js), comparison mode is left before entering
+	await VRMode.init(scene, {
+		onBeforeEnter: () => {
+			PerformanceMonitor.cancelBenchmark();
+			CameraTool.stopWalking();
+			stopComparison();
 		}
 	});
 
-	*/
-
 	///////////////////
 	// UI of the app //
 	///////////////////
@@ -335,18 +528,55 @@ var createScene = async function () {
 	// Menu button configuration
 	menuButton = document.getElementById("backToMenuButton");
 
-	// On Click behaviour for the menu button
-	if (menuButton) menuButton.addEventListener("click", () => {
+	// Goes back from the 3D view to the map menu, disposing the loaded scene
+	// afterVR is true once the VR session was asked to close, the scene is left even if it failed to
+	const returnToMenu = (afterVR = false) => {
+		// VR session is closed first, so that the camera it restores is replaced by the map's
+		if (!afterVR && VRMode.isInVR()) {
+			VRMode.exit()
+				.catch((error) => console.error("Failed to leave VR", error))
+				.finally(() => returnToMenu(true));
+			return;
+		}
+
+		PerformanceMonitor.cancelBenchmark(); // gives the camera back before its controls are detached
+		CameraTool.hideButton();
+		CameraTool.unloadScene(); // leaves walk mode, giving the scene its orbit camera back
+		CaptureTool.hideButton();
+		CaptureTool.unloadScene();
+
 		setMapInteractable(true);
 		setMapMenuVisible(true);
+		MapView.refresh(); // the window may have been resized while the map was hidden
+
+		// Leave comparison mode, its model is disposed with the others
+		stopComparison();
+		if (compareBar) compareBar.classList.remove("is-visible");
 
 		// Hide 3D view UI and disable measurements
 		menuButton.classList.remove("is-visible");
 		MeasurementTool.hideButton();
 		MeasurementTool.disable();
 		MeasurementTool.resetScale();
-
-		// Dispose all meshes and assets when returning to menu
+		MeasurementTool.resetUpVector();
+		MeasurementTool.unloadScene();
+		AnnotationTool.hideButton();
+		AnnotationTool.unloadScene();
+		SectionTool.hideButton();
+		SectionTool.unloadScene();
+		VRMode.hideButton();
+		RenderPanel.hideButton();
+		HeatmapOverlay.unloadScene();
+		RenderPanel.unloadScene();
+		SiteInfoPanel.hideSite();
+		AqueductRoutes.hideSite();
+
+		// Dispose all meshes and assets when returning to menu, and drop the models still loading
+		renewSceneLoads();
+		LoadingScreen.hide();
+		currentLodLevel = null;
+		setLodStatus("");
+		if (lodBar) lodBar.classList.remove("is-visible");
 		activeMeshIndex = null;
 		disposeLoadedAssets();
 		for (let i = 0; i < meshes.length; ++i) {
@@ -358,13 +588,305 @@ var createScene = async function () {
 
 		// Detach 3D camera controls on menu screen
 		camera3D.detachControl(canvas);
-	});
+	};
+
+	// Goes back to the map as a new browser history entry, like the menu button
+	const goToMenu = () => {
+		history.pushState(null, "", location.pathname + location.search);
+		returnToMenu();
+	};
+
+	// On Click behaviour for the menu button
+	if (menuButton) menuButton.addEventListener("click", goToMenu);
 
 	////////////////////////////////////////////////////////////////////////////////////
 
+	/////////////////////
+	// Comparison mode //
+	/////////////////////
+
+	// A second scene can be shown next to the active one, each in half of the canvas with its own camera
+	// Layer masks keep each model in its own viewport, and the tools follow the side that was last clicked
+	const LEFT_MASK = 0x1, RIGHT_MASK = 0x2, DEFAULT_MASK = 0x0FFFFFFF;
+
+	var compareBar = document.getElementById("compareBar");
+	var compareSelect = document.getElementById("compareSelect");
+	var compareSyncInput = document.getElementById("compareSyncInput");
+	var compareDivider = document.getElementById("compareDivider");
+	var comparison = null; // {index, mesh, loadResult, camera, focusedSide, measurements} while comparison mode is on
+	var compareLoadController = null; // Aborts the download of the compared scene's model while it loads
+	var syncingCameras = false; // Prevents the synced cameras from updating each other endlessly
+
+	const setLayerMask = (loadResult, mask) => {
+		loadResult?.meshes?.forEach(mesh => mesh.layerMask = mask);
+	};
+
+	/* Gives the tools the scale, up direction and annotations of the focused side, and the pointer to its camera
+	/  Each side keeps its measurement in progress: the previous side's is put aside and this side's is put back
+	/  The site's panels (information, route, captures) stay on the active scene */
+	const focusSide = (side) => {
+		if (!comparison || comparison.focusedSide === side) return;
+		const previousSide = comparison.focusedSide;
+		const state = MeasurementTool.getState(); // null while the tool is closed
+		if (previousSide) comparison.measurements[previousSide] = state;
+		comparison.focusedSide = side;
+
+		const isLeft = side === "left";
+		const index = isLeft ? activeMeshIndex : comparison.index;
+		const mesh = isLeft ? meshes[activeMeshIndex] : comparison.mesh;
+		const camera = isLeft ? camera3D : comparison.camera;
+
+		MeasurementTool.setLayerMask(isLeft ? LEFT_MASK : RIGHT_MASK);
+		SectionTool.setLayerMask(isLeft ? LEFT_MASK : RIGHT_MASK);
+		MeasurementTool.resetScale();
+		MeasurementTool.resetUpVector();
+		sceneEntries[index].loadTools(mesh);
+		if (previousSide && state) {
+			MeasurementTool.setState(comparison.measurements[side] || { mode: state.mode, points: [], reference: [], referenceLength: "" });
+		}
+
+		advancedTexture.layer.layerMask = isLeft ? LEFT_MASK : RIGHT_MASK;
+		scene.cameraToUseForPointers = camera;
+
+		camera3D.detachControl();
+		comparison.camera.detachControl();
+		camera.attachControl(canvas, true);
+
+		compareBar.dataset.focus = side;
+	};
+
+	// Copies rotation and zoom from one camera to the other, targets stay independent as models differ
+	const syncCamera = (source, destination) => {
+		if (syncingCameras || !compareSyncInput.checked) return;
+		syncingCameras = true;
+		destination.alpha = source.alpha;
+		destination.beta = source.beta;
+		destination.radius = source.radius;
+		syncingCameras = false;
+	};
+
+	// Loads the scene at the given index in the right half of the canvas
+	// Cancelling the load or closing its error keeps the active scene alone
+	const startComparison = (index) => {
+		CameraTool.stopWalking();
+		stopComparison();
+
+		const controller = new AbortController();
+		compareLoadController = controller;
+		LoadingScreen.show(stopComparison);
+
+		// Compared scene shows a single level, the pinned one or the lightest
+		const levels = sceneEntries[index].lods;
+		const level = getPinnedQuality(sceneEntries[index].name, levels.length) ?? 0;
+		loadModel(levels[level].file, controller.signal).then(function ({ result, mesh }) {
+			compareLoadController = null;
+			LoadingScreen.hide();
+			optimizeMesh(mesh);
+
+			const camera = new BABYLON.ArcRotateCamera("compareCamera", camera3D.alpha, camera3D.beta, camera3D.radius, BABYLON.Vector3.Zero(), scene);
+			camera.wheelPrecision = camera3D.wheelPrecision;
+			camera.viewport = new BABYLON.Viewport(0.5, 0, 0.5, 1);
+			camera.layerMask = RIGHT_MASK;
+			camera.onViewMatrixChangedObservable.add(() => syncCamera(camera, camera3D));
+			CameraTool.frame(mesh, camera);
+
+			camera3D.viewport = new BABYLON.Viewport(0, 0, 0.5, 1);
+			camera3D.layerMask = LEFT_MASK;
+			scene.activeCameras = [camera3D, camera];
+
+			setLayerMask(currentLoadResult, LEFT_MASK);
+			setLayerMask(result, RIGHT_MASK);
+
+			comparison = { index, mesh, loadResult: result, camera, focusedSide: null, measurements: { left: null, right: null } };
+			focusSide("left");
+			if (compareSelect) compareSelect.value = index;
+			if (compareDivider) compareDivider.classList.add("is-visible");
+		}).catch((error) => {
+			if (error.name === "AbortError") return; // cancelled, or comparison mode was left
+			compareLoadController = null;
+			console.error(`Failed to open ${sceneEntries[index].name} for comparison`, error);
+			LoadingScreen.showError(error.message, () => startComparison(index), () => {
+				LoadingScreen.hide();
+				if (compareSelect) compareSelect.value = "";
+			}, "Close");
+		});
+	};
+
+	// Disposes the compared scene and gives the whole canvas back to the active scene
+	function stopComparison() {
+		// A compared scene still loading is dropped
+		if (compareLoadController) {
+			compareLoadController.abort();
+			compareLoadController = null;
+			LoadingScreen.hide();
+			if (compareSelect) compareSelect.value = "";
+		}
+		if (!comparison) return;
+
+		// Tools go back to the active scene, with its measurement, before the compared model is disposed
+		if (activeMeshIndex != null && meshes[activeMeshIndex] != null) focusSide("left");
+		else if (comparison.focusedSide === "right") {
+			HeatmapOverlay.unloadScene();
+			RenderPanel.unloadScene(); // gives the compared model its own materials back before disposal
+		}
+		disposeLoadResult(comparison.loadResult);
+		comparison.camera.dispose();
+		comparison = null;
+
+		scene.activeCameras = [];
+		scene.activeCamera = camera3D;
+		scene.cameraToUseForPointers = null;
+		camera3D.viewport = new BABYLON.Viewport(0, 0, 1, 1);
+		camera3D.layerMask = DEFAULT_MASK;
+		setLayerMask(currentLoadResult, DEFAULT_MASK);
+		advancedTexture.layer.layerMask = DEFAULT_MASK;
+		MeasurementTool.setLayerMask(DEFAULT_MASK);
+		SectionTool.setLayerMask(DEFAULT_MASK);
+
+		if (compareSelect) compareSelect.value = "";
+		if (compareDivider) compareDivider.classList.remove("is-visible");
+		if (compareBar) delete compareBar.dataset.focus;
+
+		camera3D.detachControl();
+		if (activeMeshIndex != null) camera3D.attachControl(canvas, true);
+	}
+
+	camera3D.onViewMatrixChangedObservable.add(() => {
+		if (comparison) syncCamera(camera3D, comparison.camera);
+	});
+
+	if (compareSelect) {
+		sceneEntries.forEach((entry, index) => {
+			const option = document.createElement("option");
+			option.value = index;
+			option.textContent = entry.name;
+			compareSelect.appendChild(option);
+		});
+
+		compareSelect.addEventListener("change", () => {
+			if (compareSelect.value === "") stopComparison();
+			else startComparison(Number(compareSelect.value));
+		});
+	}
+
+	// Clicking a half of the canvas focuses it, before the scene handles the click (capture on window)
+	window.addEventListener("pointerdown", (event) => {
+		if (!comparison || event.target !== canvas) return;
+		const rect = canvas.getBoundingClientRect();
+		focusSide(event.clientX - rect.left < rect.width / 2 ? "left" : "right");
+	}, true);
+
+	// Initializing keyboard shortcuts, before the tools register their actions //
+	InputManager.init();
+
 	// Initializing measurement tool //
 	await MeasurementTool.init(scene, advancedTexture);
 
+	// Initializing annotation tool //
+	await AnnotationTool.init(scene, advancedTexture);
+
+	// Initializing section tool //
+	await SectionTool.init(scene);
+
+	// Initializing camera views and walk mode //
+	await CameraTool.init(scene, camera3D, { onBeforeWalk: stopComparison });
+
+	// Initializing captures and reports //
+	await CaptureTool.init(scene, { getCamera: () => comparison ? camera3D : scene.activeCamera });
+
+	// Initializing render panel and its heatmap overlay //
+	await RenderPanel.init(scene, light);
+	await HeatmapOverlay.init(scene);
+
+	// Initializing performance overlay and benchmark //
+	await PerformanceMonitor.init(scene, camera3D, {
+		getContext: () => {
+			if (activeMeshIndex == null || meshes[activeMeshIndex] == null || currentLodLevel === null) return null;
+			const entry = sceneEntries[activeMeshIndex];
+			return {
+				scene: entry.name,
+				level: entry.lods[currentLodLevel].label,
+				mesh: meshes[activeMeshIndex],
+				optimization: { ...meshOptimization }
+			};
+		},
+		onBeforeStart: () => {
+			CameraTool.stopWalking();
+			stopComparison();
+		}
+	});
+
+	////////////////
+	// Deep links //
+	////////////////
+
+	// The URL hash holds the active scene, the camera pose and the measurement points, so that a view can be shared
+	var hashUpdateTimeout = null;
+	var restoringLink = false; // Hash is not rewritten while a link is being restored
+
+	const updateLocationHash = () => {
+		if (restoringLink || activeMeshIndex == null || meshes[activeMeshIndex] == null) return;
+		const hash = DeepLink.format({
+			scene: sceneEntries[activeMeshIndex].name,
+			camera: {
+				alpha: camera3D.alpha,
+				beta: camera3D.beta,
+				radius: camera3D.radius,
+				target: camera3D.target.asArray()
+			},
+			measurement: MeasurementTool.getState()
+		});
+		if (hash !== location.hash) history.replaceState(null, "", hash);
+	};
+
+	// Camera moves and measurements trigger many changes in a row, the hash is only written once they settle
+	const scheduleHashUpdate = () => {
+		clearTimeout(hashUpdateTimeout);
+		hashUpdateTimeout = setTimeout(updateLocationHash, 300);
+	};
+	camera3D.onViewMatrixChangedObservable.add(scheduleHashUpdate);
+	MeasurementTool.onChangeObservable.add(scheduleHashUpdate);
+
+	// Shows the state described by the URL hash: the map if it has no scene, otherwise the scene with its view
+	const applyLocationHash = () => {
+		const link = DeepLink.parse(location.hash);
+		const index = sceneEntries.findIndex(entry => entry.name === link.scene);
+
+		if (index === -1) {
+			if (link.scene) console.error(`Unknown scene "${link.scene}" in link`);
+			if (activeMeshIndex != null) returnToMenu();
+			return;
+		}
+
+		const restoreView = () => {
+			if (link.camera) {
+				camera3D.alpha = link.camera.alpha;
+				camera3D.beta = link.camera.beta;
+				camera3D.radius = link.camera.radius;
+				camera3D.setTarget(BABYLON.Vector3.FromArray(link.camera.target));
+			}
+			if (link.measurement) MeasurementTool.setState(link.measurement);
+			restoringLink = false;
+		};
+
+		if (index === activeMeshIndex && meshes[index] != null) {
+			restoringLink = true;
+			restoreView();
+		} else {
+			if (activeMeshIndex != null) returnToMenu();
+			// Offline, only the downloaded models can be loaded, like from the pins
+			if (!OfflineMode.checkAvailable(link.scene)) return;
+			restoringLink = true;
+			openScene(index, restoreView, () => { restoringLink = false; });
+		}
+	};
+
+	// Browser back/forward moves between the map and the scenes
+	window.addEventListener("popstate", applyLocationHash);
+
+	// Opening a link skips the map menu
+	if (location.hash) applyLocationHash();
+
 	// Allows access to the debug mode of BabylonJS, including an inspector.
 	// Convenient for debugging.
 	// scene.debugLayer.show();
@@ -386,41 +908,10 @@ var scene;
 createScene().then((loadedScene) => {
 	scene = loadedScene;
 	
-	let nextFpsUpdate = 0;
-	const fpsUpdateInterval = 250; // Update FPS display every Xms instead of every frame to avoid constant DOM updates
-
 	engine.runRenderLoop(function () {
 		const frameStart = performance.now();
 		loadedScene.render(); // Render the frame in the scene
-		const frameEnd = performance.now();
-		const now = frameEnd;
-		
-		// Record frame time
-		if (now > nextFpsUpdate) {
-			frameTimeData.push({
-				frameTime: frameEnd - frameStart,
-				fps: engine.getFps()
-			});
-			//divFps.textContent = engine.getFps().toFixed() + " FPS"; // Update the FPS counter
-			nextFpsUpdate = now + fpsUpdateInterval;
-
-			// Log and clear frame data every 10 seconds
-			if (now - lastFrameDataLog > frameDataLogInterval) {
-				console.log(frameTimeData);
-				
-				// Calculate and log statistics
-				const avgFrameTime = frameTimeData.reduce((sum, d) => sum + d.frameTime, 0) / frameTimeData.length;
-				const avgFps = frameTimeData.reduce((sum, d) => sum + d.fps, 0) / frameTimeData.length;
-				const minFrameTime = Math.min(...frameTimeData.map(d => d.frameTime));
-				const maxFrameTime = Math.max(...frameTimeData.map(d => d.frameTime));
-				
-				console.log(`Stats - Avg Frame Time: ${avgFrameTime.toFixed(2)}ms, Avg FPS: ${avgFps.toFixed(1)}, Min: ${minFrameTime.toFixed(2)}ms, Max: ${maxFrameTime.toFixed(2)}ms`);
-				
-				// Clear the array
-				frameTimeData = [];
-				lastFrameDataLog = now;
-			}
-		}
+		PerformanceMonitor.recordFrame(performance.now() - frameStart); // Overlay and benchmark
 	});
 });
 
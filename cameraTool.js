@@ -0,0 +1,499 @@
+/*********************************************************************************************
+ * Camera Tool                                                                               *
+ * Frames each loaded model, saves named viewpoints per scene and flies to them, sets the    *
+ * orbit pivot on double-clicked surfaces, and offers a first-person walk mode colliding     *
+ * with the model. Viewpoints are read from viewpoints.json, edits are kept in the browser   *
+ * until exported                                                                            *
+ *********************************************************************************************/
+
+import InputManager from "./inputManager.js";
+import MeasurementLog from "./measurementLog.js";
+import MeasurementTool from "./measurementTool.js";
+
+const CameraTool = (function () {
+    const viewpointsFile = "./viewpoints.json"; // File next to scenes.json holding the viewpoints of every scene
+    const storageKey = "aqueducts.viewpoints"; // localStorage key for viewpoints edited in this browser
+    const frameRate = 60, flyFrames = 60; // Length of the camera animations
+    const referenceDistance = 12; // Camera distance the default wheel and panning speeds were tuned for
+    const eyeHeight = 1.6, walkSpeed = 0.08; // Walk mode, in meters and meters per frame
+    const defaultWalkScale = 0.05; // Meters per mesh unit assumed for walking when the scene has no scale
+    const closeUpSize = 0.1; // Camera distance when flying to a point, as a fraction of the model's bounding box diagonal
+
+    var scene; // BabylonJS scene
+    var orbitCamera; // Camera of the 3D view, the one framed and animated outside of comparison mode
+    var defaultAngles; // Angles of the orbit camera when it was created, models are framed from them
+    var walkCamera = null; // First-person camera while walking, null otherwise
+    var sceneName = null, sceneMesh = null; // Name and root mesh of the current scene
+    var fileViewpoints = {}; // Viewpoints read from viewpoints.json, by scene name
+    var localViewpoints = {}; // Viewpoints edited in this browser, by scene name, they take precedence over the file
+    var viewpoints = []; // Viewpoints of the current scene, {name, alpha, beta, radius, target (mesh-space)}
+    var onBeforeWalk = () => {}; // Called before walking starts, e.g. to leave comparison mode
+
+    var camButton, camPanel, camCloseButton, camList, camSaveForm, camNameInput; // HTML UI elements
+    var camFrameButton, camWalkButton, camExportButton, camMessage; // HTML UI elements
+
+    // Opens the camera panel
+    function enable() {
+        hideButton();
+        if (camPanel) camPanel.classList.add("is-visible");
+        refreshList();
+    }
+
+    // Closes the camera panel, walking goes on until stopped
+    function disable() {
+        if (camPanel) camPanel.classList.remove("is-visible");
+    }
+
+    // Loads the viewpoints of the given scene, targets are relative to the given mesh
+    function loadScene(name, mesh) {
+        sceneName = name;
+        sceneMesh = mesh;
+        viewpoints = (localViewpoints[name] || fileViewpoints[name] || []).map(viewpoint => ({...viewpoint}));
+        showMessage("");
+        refreshList();
+    }
+
+    // Replaces the current scene's mesh by another level of detail of the same model
+    function setMesh(mesh) {
+        const wasWalking = walkCamera !== null;
+        if (wasWalking) setCollisions(false);
+        sceneMesh = mesh;
+        if (wasWalking) setCollisions(true);
+    }
+
+    // Forgets the current scene (e.g., when going back to the map), leaving walk mode
+    function unloadScene() {
+        stopWalking();
+        disable();
+        viewpoints = [];
+        sceneName = null;
+        sceneMesh = null;
+    }
+
+    /* Points a camera (the 3D view's by default) at the whole model from the default angles, and scales the camera's
+    /  clipping, zoom and panning speeds to the model's size, whatever its units and offset */
+    function frame(mesh, camera = orbitCamera) {
+        const bounds = mesh.getHierarchyBoundingVectors(true);
+        const center = bounds.min.add(bounds.max).scale(0.5);
+        const radius = Math.max(bounds.max.subtract(bounds.min).length() / 2, 1e-3);
+
+        // The narrowest field of view (vertical, or horizontal on portrait screens) must hold the bounding sphere
+        const aspect = scene.getEngine().getAspectRatio(camera);
+        const fov = Math.min(camera.fov, 2 * Math.atan(Math.tan(camera.fov / 2) * aspect));
+        const distance = radius / Math.sin(fov / 2);
+
+        camera.setTarget(center); // before the angles, which it recomputes from the camera's position
+        camera.alpha = defaultAngles.alpha;
+        camera.beta = defaultAngles.beta;
+        camera.radius = distance;
+        setCameraRange(camera, distance);
+    }
+
+    // Frames the current scene's model with the focused camera, animated
+    function frameScene() {
+        const camera = getOrbitCamera();
+        if (!sceneMesh || !camera) return false;
+
+        const start = {alpha: camera.alpha, beta: camera.beta, radius: camera.radius, target: camera.target.clone()};
+        frame(sceneMesh, camera);
+        const end = {alpha: camera.alpha, beta: camera.beta, radius: camera.radius, target: camera.target.clone()};
+        camera.setTarget(start.target);
+        Object.assign(camera, {alpha: start.alpha, beta: start.beta, radius: start.radius});
+        fly(camera, end);
+    }
+
+    // Flies the focused orbit camera to a point (world space) seen from close up, closer for smaller models
+    // Returns false if there is no orbit camera to move (e.g., while walking)
+    function flyToPoint(position) {
+        const camera = getOrbitCamera();
+        if (!sceneMesh || !camera) return false;
+
+        const bounds = sceneMesh.getHierarchyBoundingVectors(true);
+        const closeUp = Math.max(bounds.max.subtract(bounds.min).length() * closeUpSize, camera.minZ * 10);
+        fly(camera, {alpha: camera.alpha, beta: camera.beta, radius: Math.min(camera.radius, closeUp), target: position.clone()});
+        return true;
+    }
+
+    // LOCAL FUNCTION
+    // Scales the clipping planes and the wheel and panning speeds to a camera distance
+    function setCameraRange(camera, distance) {
+        camera.minZ = Math.max(distance * 1e-3, 1e-4);
+        camera.maxZ = distance * 100;
+        camera.wheelPrecision = 50 * referenceDistance / distance;
+        camera.panningSensibility = 1000 * referenceDistance / distance;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the orbit camera the tools follow (the focused side's in comparison mode), null while walking
+    function getOrbitCamera() {
+        const camera = scene.cameraToUseForPointers || scene.activeCamera;
+        return camera instanceof BABYLON.ArcRotateCamera ? camera : null;
+    }
+
+    /* LOCAL FUNCTION
+    /  Animates an orbit camera to the given pose, {alpha, beta, radius, target (world space)}
+    /  Alpha turns the short way around, since it isn't bound to a single turn */
+    function fly(camera, pose) {
+        scene.stopAnimation(camera);
+        const turn = 2 * Math.PI;
+        const alpha = pose.alpha + Math.round((camera.alpha - pose.alpha) / turn) * turn;
+
+        const ease = new BABYLON.CubicEase();
+        ease.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
+        const animate = (property, from, to) => BABYLON.Animation.CreateAndStartAnimation("cameraFly_" + property, camera, property,
+            frameRate, flyFrames, from, to, BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT, ease);
+
+        animate("alpha", camera.alpha, alpha);
+        animate("beta", camera.beta, pose.beta);
+        animate("radius", camera.radius, pose.radius);
+        // Target by component, as setting the whole target recomputes the angles from the camera's position
+        ["x", "y", "z"].forEach(axis => animate("target." + axis, camera.target[axis], pose.target[axis]));
+    }
+
+    /* LOCAL FUNCTION
+    /  Makes the double-clicked point of the model the orbit pivot, the camera stays where it is and turns towards it */
+    function setPivot(x, y) {
+        const camera = getOrbitCamera();
+        if (!sceneMesh || !camera) return;
+
+        const pick = scene.pick(x, y, mesh => mesh.isPickable && (mesh === sceneMesh || mesh.isDescendantOf(sceneMesh)), false, camera);
+        if (!pick || !pick.hit) return;
+
+        const offset = camera.position.subtract(pick.pickedPoint);
+        const radius = offset.length();
+        if (radius === 0) return;
+        fly(camera, {
+            alpha: Math.atan2(offset.z, offset.x),
+            beta: Math.acos(BABYLON.Scalar.Clamp(offset.y / radius, -1, 1)),
+            radius,
+            target: pick.pickedPoint
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Saves the focused camera's pose under the given name, replacing the viewpoint of the same name
+    function saveViewpoint(name) {
+        const camera = getOrbitCamera();
+        if (!sceneMesh || !camera) {
+            showMessage("Leave walk mode to save a view");
+            return;
+        }
+
+        const viewpoint = {name, alpha: camera.alpha, beta: camera.beta, radius: camera.radius, target: toMesh(camera.target)};
+        const index = viewpoints.findIndex(other => other.name === name);
+        if (index === -1) viewpoints.push(viewpoint);
+        else viewpoints[index] = viewpoint;
+
+        save();
+        showMessage("");
+        refreshList();
+    }
+
+    // LOCAL FUNCTION
+    function removeViewpoint(viewpoint) {
+        viewpoints = viewpoints.filter(other => other !== viewpoint);
+        save();
+        refreshList();
+    }
+
+    // LOCAL FUNCTION
+    // Flies the focused camera to a viewpoint, leaving walk mode first
+    function flyToViewpoint(viewpoint) {
+        stopWalking();
+        const camera = getOrbitCamera();
+        if (!camera) return;
+        fly(camera, {alpha: viewpoint.alpha, beta: viewpoint.beta, radius: viewpoint.radius, target: toWorld(viewpoint.target)});
+    }
+
+    /* Starts walking from the orbit pivot (e.g. a double-clicked floor), looking the way the orbit camera looks
+    /  The walker is about as tall as a person, if the scene has a scale, falls along the scene's up direction and can't
+    /  go through the model */
+    function startWalking() {
+        if (walkCamera || !sceneMesh) return;
+        onBeforeWalk();
+
+        const camera = getOrbitCamera() || orbitCamera;
+        const up = MeasurementTool.getUpVector().normalize();
+        const scale = MeasurementTool.getScale();
+        const metersPerUnit = scale.value || defaultWalkScale;
+        const height = eyeHeight / metersPerUnit;
+
+        // Looking ahead, level with the ground
+        let forward = camera.target.subtract(camera.position);
+        forward = forward.subtract(up.scale(BABYLON.Vector3.Dot(forward, up)));
+        if (forward.lengthSquared() === 0) forward = BABYLON.Vector3.Cross(up, BABYLON.Axis.X);
+
+        walkCamera = new BABYLON.UniversalCamera("walkCamera", camera.target.add(up.scale(height)), scene);
+        walkCamera.upVector = up;
+        walkCamera.setTarget(walkCamera.position.add(forward.normalize()));
+        walkCamera.minZ = height * 0.02;
+        walkCamera.maxZ = camera.maxZ;
+        walkCamera.speed = walkSpeed / metersPerUnit;
+        walkCamera.angularSensibility = 3000;
+        walkCamera.ellipsoid = new BABYLON.Vector3(height * 0.2, height / 2, height * 0.2);
+        walkCamera.checkCollisions = true;
+        walkCamera.applyGravity = true;
+        walkCamera.keysUp.push(87); // W
+        walkCamera.keysDown.push(83); // S
+        walkCamera.keysLeft.push(65); // A
+        walkCamera.keysRight.push(68); // D
+
+        // Gravity is a displacement per frame, scene units per frame at 60 frames per second
+        scene.gravity = up.scale(-9.81 / frameRate / metersPerUnit);
+        scene.collisionsEnabled = true;
+        setCollisions(true);
+
+        orbitCamera.detachControl();
+        scene.activeCamera = walkCamera;
+        walkCamera.attachControl(scene.getEngine().getRenderingCanvas(), true);
+        refreshWalkButton();
+        if (!scale.value) showMessage("This site has no scale, the walker's height is a guess");
+    }
+
+    // Leaves walk mode, the orbit camera looks from where the walker stands to where they look
+    function stopWalking() {
+        if (!walkCamera) return;
+
+        const position = walkCamera.position.clone();
+        const target = position.add(walkCamera.getDirection(BABYLON.Axis.Z).scale(walkCamera.ellipsoid.y * 4));
+        setCollisions(false);
+        scene.collisionsEnabled = false;
+        walkCamera.detachControl();
+        walkCamera.dispose();
+        walkCamera = null;
+
+        scene.activeCamera = orbitCamera;
+        orbitCamera.setTarget(target);
+        orbitCamera.setPosition(position);
+        orbitCamera.attachControl(scene.getEngine().getRenderingCanvas(), true);
+        refreshWalkButton();
+        showMessage("");
+    }
+
+    // LOCAL FUNCTION
+    // Makes the current model's meshes (with triangles) block the walker, or stop blocking it
+    function setCollisions(enabled) {
+        if (!sceneMesh) return;
+        [sceneMesh].concat(sceneMesh.getChildMeshes())
+            .filter(mesh => mesh.getTotalVertices && mesh.getTotalVertices() > 0)
+            .forEach(mesh => mesh.checkCollisions = enabled);
+    }
+
+    // LOCAL FUNCTION
+    // Converts a world-space position into mesh space, since viewpoints are stored relative to their mesh
+    function toMesh(position) {
+        let local = sceneMesh ? BABYLON.Vector3.TransformCoordinates(position, sceneMesh.computeWorldMatrix(true).clone().invert()) : position;
+        return local.asArray();
+    }
+
+    // LOCAL FUNCTION
+    // Converts a mesh-space position into world space
+    function toWorld(position) {
+        let local = BABYLON.Vector3.FromArray(position);
+        return sceneMesh ? BABYLON.Vector3.TransformCoordinates(local, sceneMesh.computeWorldMatrix(true)) : local;
+    }
+
+    // LOCAL FUNCTION
+    // Rebuilds the list of viewpoints of the current scene in the panel
+    function refreshList() {
+        if (!camList) return;
+        camList.replaceChildren();
+
+        if (viewpoints.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "ann-empty";
+            empty.textContent = "No saved views for this site yet";
+            camList.appendChild(empty);
+            return;
+        }
+
+        viewpoints.forEach(viewpoint => {
+            const item = document.createElement("li");
+            item.className = "cam-view";
+
+            const entry = document.createElement("button");
+            entry.type = "button";
+            entry.className = "ann-entry";
+            entry.textContent = viewpoint.name;
+            entry.addEventListener("click", () => flyToViewpoint(viewpoint));
+
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.className = "mt-close";
+            remove.textContent = "x";
+            remove.setAttribute("aria-label", `Delete the view ${viewpoint.name}`);
+            remove.addEventListener("click", () => removeViewpoint(viewpoint));
+
+            item.append(entry, remove);
+            camList.appendChild(item);
+        });
+    }
+
+    // LOCAL FUNCTION
+    function refreshWalkButton() {
+        if (!camWalkButton) return;
+        camWalkButton.classList.toggle("is-active", walkCamera !== null);
+        camWalkButton.setAttribute("aria-pressed", walkCamera !== null);
+        camWalkButton.textContent = walkCamera ? "Stop Walking" : "Walk";
+    }
+
+    // LOCAL FUNCTION
+    function showMessage(text) {
+        if (camMessage) camMessage.textContent = text;
+    }
+
+    // LOCAL FUNCTION
+    // Keeps the viewpoints of the current scene in the browser, until they are exported to viewpoints.json
+    function save() {
+        if (!sceneName) return;
+        localViewpoints[sceneName] = viewpoints;
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(localViewpoints));
+        } catch (error) {
+            console.error("Failed to store viewpoints", error);
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Reads viewpoints.json and the viewpoints edited in this browser
+    async function loadViewpoints() {
+        try {
+            const response = await fetch(viewpointsFile);
+            if (response.ok) fileViewpoints = validateViewpoints(await response.json(), "viewpoints.json");
+            else console.error("Failed to load viewpoints.json");
+        } catch (error) {
+            console.error("Failed to load viewpoints.json", error);
+        }
+
+        try {
+            localViewpoints = validateViewpoints(JSON.parse(localStorage.getItem(storageKey)) || {}, "the browser");
+        } catch (error) {
+            localViewpoints = {};
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Keeps the viewpoints the camera can fly to, by scene name, the others are reported with where they come from
+    function validateViewpoints(data, source) {
+        if (!data || typeof data !== "object" || Array.isArray(data)) {
+            console.error(`Ignored the viewpoints of ${source}, they are not viewpoints by scene name`);
+            return {};
+        }
+
+        const valid = {};
+        Object.entries(data).forEach(([name, sceneViewpoints]) => {
+            if (!Array.isArray(sceneViewpoints)) {
+                console.error(`Ignored the viewpoints of ${name} in ${source}, they are not a list of viewpoints`);
+                return;
+            }
+            valid[name] = sceneViewpoints.filter((viewpoint, index) => {
+                const error = validateViewpoint(viewpoint);
+                if (error) console.error(`Ignored viewpoint ${index + 1} of ${name} in ${source}, it ${error}`);
+                return !error;
+            });
+        });
+        return valid;
+    }
+
+    // LOCAL FUNCTION
+    // Checks that a viewpoint is a camera pose, returns what is wrong with it or null if it is valid
+    function validateViewpoint(viewpoint) {
+        if (!viewpoint || typeof viewpoint !== "object") return "is not an object";
+        if (typeof viewpoint.name !== "string" || viewpoint.name.trim() === "") return "has no name";
+        const isNumber = (value) => typeof value === "number" && isFinite(value);
+        if (!Array.isArray(viewpoint.target) || viewpoint.target.length !== 3 || !viewpoint.target.every(isNumber)) {
+            return "has no target of three numbers";
+        }
+        if (!isNumber(viewpoint.alpha) || !isNumber(viewpoint.beta)) return "has no numeric angles";
+        if (!isNumber(viewpoint.radius) || viewpoint.radius <= 0) return "has no distance greater than 0";
+        return null;
+    }
+
+    /* Initializes the camera tool for the given scene and its orbit camera
+    /  options.onBeforeWalk is called before walk mode starts (e.g. to leave comparison mode) */
+    async function init(babylonScene, camera, options = {}) {
+        scene = babylonScene;
+        orbitCamera = camera;
+        defaultAngles = {alpha: camera.alpha, beta: camera.beta};
+        onBeforeWalk = options.onBeforeWalk || onBeforeWalk;
+
+        camButton = document.getElementById("camActivateButton");
+        camPanel = document.getElementById("camPanel");
+        camCloseButton = document.getElementById("camCloseButton");
+        camList = document.getElementById("camList");
+        camSaveForm = document.getElementById("camSaveForm");
+        camNameInput = document.getElementById("cam-name-input");
+        camFrameButton = document.getElementById("camFrameButton");
+        camWalkButton = document.getElementById("camWalkButton");
+        camExportButton = document.getElementById("camExportButton");
+        camMessage = document.getElementById("camMessage");
+
+        camButton.addEventListener("click", enable);
+        camCloseButton.addEventListener("click", () => {
+            disable();
+            showButton();
+        });
+
+        camSaveForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            const name = camNameInput.value.trim();
+            if (!name) return;
+            saveViewpoint(name);
+            camNameInput.value = "";
+        });
+        camFrameButton.addEventListener("click", () => {
+            stopWalking();
+            frameScene();
+        });
+        camWalkButton.addEventListener("click", () => walkCamera ? stopWalking() : startWalking());
+        camExportButton.addEventListener("click", () => {
+            MeasurementLog.download("viewpoints.json", JSON.stringify({...fileViewpoints, ...localViewpoints}, null, 2), "application/json");
+        });
+
+        // Double-clicking the model moves the orbit pivot there
+        const canvas = scene.getEngine().getRenderingCanvas();
+        canvas.addEventListener("dblclick", (event) => {
+            if (walkCamera) return;
+            const rect = canvas.getBoundingClientRect();
+            setPivot(event.clientX - rect.left, event.clientY - rect.top);
+        });
+
+        const group = "Camera";
+        InputManager.registerAction("camera.frame", {label: "Frame the model", group, keys: ["F"]}, () => {
+            if (!sceneMesh) return false;
+            stopWalking();
+            return frameScene();
+        });
+        InputManager.registerAction("camera.walk", {label: "Start or stop walking", group, keys: ["G"]}, () => {
+            if (!sceneMesh) return false;
+            if (walkCamera) stopWalking();
+            else startWalking();
+        });
+
+        await loadViewpoints();
+        disable();
+    }
+
+    const showButton = () => {
+        camButton.classList.add("is-visible");
+    };
+    const hideButton = () => {
+        camButton.classList.remove("is-visible");
+    };
+
+    return {
+        showButton,
+        hideButton,
+        enable,
+        disable,
+        init,
+        loadScene,
+        setMesh,
+        unloadScene,
+        frame,
+        flyToPoint,
+        stopWalking
+    };
+})();
+
+export default CameraTool;
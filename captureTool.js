@@ -0,0 +1,428 @@
+/*********************************************************************************************
+ * Capture Tool                                                                              *
+ * Renders the current view at a chosen resolution and saves it as a PNG, with or without    *
+ * the measurement lines and labels, and exports a printable report combining the capture,   *
+ * the site's metadata from scenes.json, the measurements and the scale they rely on         *
+ *********************************************************************************************/
+
+import ConversionHelper from "./conversions.js";
+import InputManager from "./inputManager.js";
+import MeasurementLog from "./measurementLog.js";
+import MeasurementTool from "./measurementTool.js";
+
+const CaptureTool = (function () {
+    const labelHeight = 1080; // Output height the line widths and label sizes are given for, they scale with the capture
+
+    // Style of the report pages, whose buttons aren't printed
+    const reportStyle = `
+        body { max-width: 960px; margin: 24px auto; padding: 0 16px; font-family: sans-serif; color: #1c1c1c; }
+        h1 { margin-bottom: 0; }
+        h2 { margin-top: 28px; font-size: 18px; border-bottom: 1px solid #ccc; }
+        figure { margin: 16px 0; }
+        img { display: block; width: 100%; height: auto; }
+        figcaption, .report-date { color: #555; font-size: 13px; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+        dt { font-weight: 600; }
+        dd { margin: 0; }
+        pre { font-family: inherit; white-space: pre-wrap; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        th, td { padding: 4px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+        .report-print { float: right; padding: 8px 14px; font-size: 14px; cursor: pointer; }
+        @media print { .report-print { display: none; } body { margin: 0; } }
+    `;
+
+    var scene; // BabylonJS scene
+    var getCamera = null; // Returns the camera of the captured view
+    var site = null; // Entry of the current scene in scenes.json, null on the map
+    var lastResult = null; // Last text written in the measurement tool's result field, {text, state}
+    var busy = false; // A capture is being rendered, others wait for it
+
+    var capButton, capPanel, capCloseButton, capSizeSelect, capMeasurementsInput, capSaveButton, capReportButton, capMessage; // HTML UI elements
+
+    // Opens the capture panel
+    function enable() {
+        hideButton();
+        if (capPanel) capPanel.classList.add("is-visible");
+        showMessage("");
+    }
+
+    // Closes the capture panel
+    function disable() {
+        if (capPanel) capPanel.classList.remove("is-visible");
+    }
+
+    // Sets the scenes.json entry of the opened scene, whose metadata goes in the reports
+    function loadScene(info) {
+        site = info;
+        showMessage("");
+    }
+
+    // Forgets the current scene (e.g., when going back to the map)
+    function unloadScene() {
+        disable();
+        site = null;
+    }
+
+    /* Renders the current view (the active scene's in comparison mode) at the chosen size, and draws the measurements
+    /  on it if asked and if they are on that view. The tool's GUI lines aren't part of the render, so they are drawn
+    /  again, scaled to the capture
+    /  Returns {canvas, width, height, reduced} on success, or {error} with a message explaining why it failed */
+    async function capture(includeMeasurements) {
+        const engine = scene.getEngine();
+        const camera = getCamera ? getCamera() : scene.activeCamera;
+        if (!site || !camera) return {error: "No scene is open"};
+        const measured = includeMeasurements && (camera.layerMask & MeasurementTool.getLayerMask()) !== 0;
+
+        let {width, height} = getSize(engine);
+        // Larger renders than the device's textures fail, they are reduced to the largest that fits
+        const caps = engine.getCaps();
+        const maxSize = Math.min(caps.maxTextureSize || Infinity, caps.maxRenderbufferSize || Infinity);
+        const reduction = Math.min(1, maxSize / Math.max(width, height));
+        width = Math.floor(width * reduction);
+        height = Math.floor(height * reduction);
+
+        const hidden = includeMeasurements ? [] : MeasurementTool.getMeshes().filter(mesh => mesh && mesh.isEnabled());
+        const drawing = measured ? MeasurementTool.getDrawing() : null;
+        const viewport = camera.viewport;
+
+        let data;
+        hidden.forEach(mesh => mesh.setEnabled(false));
+        // The camera fills the capture, even when it shares the screen with the compared model
+        camera.viewport = new BABYLON.Viewport(0, 0, 1, 1);
+        try {
+            data = await BABYLON.Tools.CreateScreenshotUsingRenderTargetAsync(engine, camera, {width, height}, "image/png", 4, true);
+        } catch (error) {
+            console.error("Failed to render the capture", error);
+            return {error: `The view could not be rendered at ${width} × ${height}`};
+        } finally {
+            camera.viewport = viewport;
+            hidden.forEach(mesh => mesh.setEnabled(true));
+        }
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        try {
+            const image = new Image();
+            image.src = data;
+            await image.decode();
+
+            const context = canvas.getContext("2d");
+            context.drawImage(image, 0, 0, width, height);
+            if (drawing) drawMeasurements(context, drawing, camera, width, height);
+        } catch (error) {
+            console.error("Failed to draw the capture", error);
+            return {error: `The render could not be drawn at ${width} × ${height}`};
+        }
+
+        return {canvas, width, height, reduced: reduction < 1};
+    }
+
+    // LOCAL FUNCTION
+    // Size of the capture in pixels, from the size select: a multiple of the view's size or a fixed size ("1920x1080")
+    function getSize(engine) {
+        const value = capSizeSelect ? capSizeSelect.value : "1";
+        const fixed = value.match(/^(\d+)x(\d+)$/);
+        if (fixed) return {width: Number(fixed[1]), height: Number(fixed[2])};
+        const factor = Number(value) || 1;
+        return {width: Math.round(engine.getRenderWidth() * factor), height: Math.round(engine.getRenderHeight() * factor)};
+    }
+
+    // LOCAL FUNCTION
+    // Draws the measurement lines and labels (from MeasurementTool.getDrawing) over a capture of the given camera
+    function drawMeasurements(context, drawing, camera, width, height) {
+        const view = camera.getViewMatrix(true);
+        const size = height / labelHeight;
+        const toView = (point) => BABYLON.Vector3.TransformCoordinates(point, view);
+
+        context.lineCap = context.lineJoin = "round";
+        context.lineWidth = Math.max(1, 3 * size);
+        drawing.lines.forEach(line => {
+            const points = line.closed ? line.points.concat([line.points[0]]) : line.points;
+            context.strokeStyle = line.color;
+            context.beginPath();
+            for (let i = 1; i < points.length; ++i) {
+                const segment = clipSegment(toView(points[i - 1]), toView(points[i]), camera.minZ);
+                if (!segment) continue;
+                const [start, end] = segment.map(point => project(point, camera, width, height));
+                context.moveTo(start.x, start.y);
+                context.lineTo(end.x, end.y);
+            }
+            context.stroke();
+        });
+
+        const fontSize = Math.max(10, Math.round(18 * size));
+        const padding = Math.round(fontSize * 0.4);
+        context.font = `600 ${fontSize}px sans-serif`;
+        context.textBaseline = "top";
+        drawing.labels.forEach(label => {
+            const position = toView(label.position);
+            if (position.z <= camera.minZ) return; // behind the camera
+            const anchor = project(position, camera, width, height);
+            const lines = label.text.split("\n");
+            const boxWidth = Math.max(...lines.map(text => context.measureText(text).width)) + 2 * padding;
+            const boxHeight = lines.length * fontSize * 1.2 + 2 * padding;
+            // Labels sit above their point, like the tool's own
+            const x = anchor.x - boxWidth / 2, y = anchor.y - boxHeight - padding;
+            context.fillStyle = "rgba(20, 20, 20, 0.75)";
+            context.fillRect(x, y, boxWidth, boxHeight);
+            context.fillStyle = "white";
+            lines.forEach((text, i) => context.fillText(text, x + padding, y + padding + i * fontSize * 1.2));
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Cuts the part of a segment (in view space) behind the camera's near plane, returns null if nothing is left
+    function clipSegment(start, end, near) {
+        if (start.z < near && end.z < near) return null;
+        if (start.z >= near && end.z >= near) return [start, end];
+        const cut = BABYLON.Vector3.Lerp(start, end, (near - start.z) / (end.z - start.z));
+        return start.z < near ? [cut, end] : [start, cut];
+    }
+
+    // LOCAL FUNCTION
+    // Projects a point in front of the camera (in view space) to pixels of a capture of the given size
+    function project(point, camera, width, height) {
+        const focal = 1 / Math.tan(camera.fov / 2);
+        const aspect = width / height;
+        const vertical = camera.fovMode !== BABYLON.Camera.FOVMODE_HORIZONTAL_FIXED;
+        const x = point.x * focal / point.z / (vertical ? aspect : 1);
+        const y = point.y * focal / point.z * (vertical ? 1 : aspect);
+        return {x: (x + 1) / 2 * width, y: (1 - y) / 2 * height};
+    }
+
+    // LOCAL FUNCTION
+    // Saves a capture of the current view as a PNG file
+    async function savePicture() {
+        const result = await run(() => capture(capMeasurementsInput.checked));
+        if (!result) return;
+        if (result.error) {
+            showMessage(result.error);
+            return;
+        }
+        const blob = await new Promise(resolve => result.canvas.toBlob(resolve, "image/png"));
+        MeasurementLog.download(`${getFileName()}.png`, blob, "image/png");
+        showMessage(getSizeMessage(result));
+    }
+
+    /* LOCAL FUNCTION
+    /  Opens the report of the current view in a new tab, where it can be printed or saved as a PDF
+    /  The tab is opened before the capture is rendered, as browsers only allow it during the click. If they block
+    /  it anyway, the report is downloaded as an HTML file */
+    async function openReport() {
+        const reportWindow = window.open("", "_blank");
+        const result = await run(() => capture(capMeasurementsInput.checked));
+        if (!result || result.error) {
+            if (reportWindow) reportWindow.close();
+            if (result) showMessage(result.error);
+            return;
+        }
+
+        const html = buildReport(result);
+        if (reportWindow) {
+            reportWindow.document.open();
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+        } else {
+            MeasurementLog.download(`${getFileName()}-report.html`, html, "text/html");
+        }
+        showMessage(getSizeMessage(result));
+    }
+
+    // LOCAL FUNCTION
+    // Runs a capture unless one is already running, showing that it is in progress, returns undefined if it didn't run
+    async function run(task) {
+        if (busy) return;
+        busy = true;
+        capSaveButton.disabled = capReportButton.disabled = true;
+        showMessage("Rendering...");
+        try {
+            return await task();
+        } finally {
+            busy = false;
+            capSaveButton.disabled = capReportButton.disabled = false;
+        }
+    }
+
+    /* LOCAL FUNCTION
+    /  Builds the report page of a capture: the picture, the site's metadata, the scale with its source, the current
+    /  measurement and the logged ones of the scene, in the current units */
+    function buildReport(result) {
+        const date = new Date();
+        const report = document.implementation.createHTMLDocument(`${site.name} - Report`);
+        const body = report.body;
+        const add = (parent, tag, text, className) => {
+            const element = report.createElement(tag);
+            if (text !== undefined) element.textContent = text;
+            if (className) element.className = className;
+            parent.appendChild(element);
+            return element;
+        };
+
+        add(report.head, "style", reportStyle);
+        const meta = report.createElement("meta");
+        meta.setAttribute("charset", "utf-8");
+        report.head.prepend(meta);
+
+        const printButton = add(body, "button", "Print / Save as PDF", "report-print");
+        printButton.type = "button";
+        printButton.setAttribute("onclick", "print()");
+
+        add(body, "h1", site.name);
+        add(body, "p", `Report of ${date.toLocaleString()}`, "report-date");
+
+        const figure = add(body, "figure");
+        const image = add(figure, "img");
+        image.src = result.canvas.toDataURL("image/png");
+        image.alt = `View of ${site.name}`;
+        add(figure, "figcaption", `View of ${site.name}, ${result.width} × ${result.height} px, ${capMeasurementsInput.checked ? "with" : "without"} measurements`);
+
+        // Site metadata, as shown in the site information panel
+        add(body, "h2", "Site");
+        if (site.description) add(body, "p", site.description);
+        const details = [
+            ["Period", site.period],
+            ["Dimensions", site.dimensions],
+            ["Captured", site.captureDate],
+            ["Photographer", site.photographer],
+            ["Location", site.location ? formatLocation(site.location) : null],
+            ["Elevation", typeof site.elevation === "number" ? ConversionHelper.metersToString(site.elevation, 1) : null],
+            ["Orientation", typeof site.orientation === "number" ? `${site.orientation}°` : null]
+        ].filter(([, value]) => value);
+        if (details.length > 0) {
+            const list = add(body, "dl");
+            details.forEach(([label, value]) => {
+                add(list, "dt", label);
+                add(list, "dd", value);
+            });
+        }
+
+        add(body, "h2", "Scale");
+        const scale = MeasurementTool.getScale();
+        const state = MeasurementTool.getState();
+        if (scale.error) {
+            add(body, "p", `No scale, measurements aren't converted to real units: ${scale.error}`);
+        } else {
+            const source = scale.source === "reference line"
+                ? `the reference line drawn on the model, of length ${state ? state.referenceLength : "?"}`
+                : "the scale of the scene in scenes.json";
+            add(body, "p", `1 model unit = ${ConversionHelper.metersToString(scale.value, 4)}, from ${source}`);
+        }
+
+        if (state && lastResult && lastResult.state === "ok") {
+            add(body, "h2", `Current measurement (${state.mode})`);
+            add(body, "pre", lastResult.text);
+        }
+
+        const records = MeasurementLog.getByScene(site.name);
+        if (records.length > 0) {
+            add(body, "h2", "Logged measurements");
+            const table = add(body, "table");
+            const header = add(add(table, "thead"), "tr");
+            ["Name", "Type", "Value", "Scale source", "Date"].forEach(label => add(header, "th", label));
+            const rows = add(table, "tbody");
+            records.forEach(record => {
+                const row = add(rows, "tr");
+                add(row, "td", record.name);
+                add(row, "td", record.type);
+                add(row, "td", MeasurementTool.formatValue(record));
+                add(row, "td", record.scaleSource || "");
+                add(row, "td", record.timestamp ? new Date(record.timestamp).toLocaleString() : "");
+            });
+        }
+
+        if (site.bibliography && site.bibliography.length > 0) {
+            add(body, "h2", "Bibliography");
+            const list = add(body, "ul");
+            site.bibliography.forEach(reference => {
+                // A reference is either plain text or {text, url}
+                const item = add(list, "li", typeof reference === "object" ? reference.text || reference.url : reference);
+                if (typeof reference === "object" && reference.url && reference.text) add(item, "span", ` (${reference.url})`);
+            });
+        }
+
+        return "<!DOCTYPE html>\n" + report.documentElement.outerHTML;
+    }
+
+    // LOCAL FUNCTION
+    // Writes a scene's location from scenes.json, in its own coordinate system
+    function formatLocation(location) {
+        if (location.crs === "EGSA87") return `EGSA87 x ${location.x}, y ${location.y}`;
+        const latitude = `${Math.abs(location.lat)}° ${location.lat < 0 ? "S" : "N"}`;
+        const longitude = `${Math.abs(location.lon)}° ${location.lon < 0 ? "W" : "E"}`;
+        return `${latitude}, ${longitude}`;
+    }
+
+    // LOCAL FUNCTION
+    // Name of the saved files, from the scene's name and the time of the capture
+    function getFileName() {
+        const time = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+        return `${site.name}-${time}`;
+    }
+
+    // LOCAL FUNCTION
+    function getSizeMessage(result) {
+        const size = `${result.width} × ${result.height}`;
+        return result.reduced ? `Reduced to ${size}, the largest this device can render` : `Saved at ${size}`;
+    }
+
+    // LOCAL FUNCTION
+    // Writes a message under the buttons, e.g. why a capture failed
+    function showMessage(text) {
+        if (capMessage) capMessage.textContent = text;
+    }
+
+    // Initializes the capture tool for the given scene, options.getCamera returning the camera to capture (the active one by default)
+    async function init(babylonScene, options = {}) {
+        scene = babylonScene;
+        getCamera = options.getCamera || null;
+
+        capButton = document.getElementById("capActivateButton");
+        capPanel = document.getElementById("capPanel");
+        capCloseButton = document.getElementById("capCloseButton");
+        capSizeSelect = document.getElementById("capSizeSelect");
+        capMeasurementsInput = document.getElementById("capMeasurementsInput");
+        capSaveButton = document.getElementById("capSaveButton");
+        capReportButton = document.getElementById("capReportButton");
+        capMessage = document.getElementById("capMessage");
+
+        capButton.addEventListener("click", enable);
+        capCloseButton.addEventListener("click", () => {
+            disable();
+            showButton();
+        });
+        capSaveButton.addEventListener("click", savePicture);
+        capReportButton.addEventListener("click", openReport);
+
+        MeasurementTool.onResultObservable.add(result => {
+            lastResult = result;
+        });
+
+        InputManager.registerAction("capture.save", {label: "Save a capture of the view", group: "Capture", keys: ["P"]}, () => {
+            if (!site || busy) return false;
+            savePicture();
+        });
+    }
+
+    // Shows the capture button
+    function showButton() {
+        if (capButton) capButton.classList.add("is-visible");
+    }
+
+    // Hides the capture button
+    function hideButton() {
+        if (capButton) capButton.classList.remove("is-visible");
+    }
+
+    return {
+        showButton,
+        hideButton,
+        enable,
+        disable,
+        init,
+        loadScene,
+        unloadScene
+    };
+})();
+
+export default CaptureTool;
@@ -1,63 +1,263 @@
 /******************************************************************************************************
  * Conversion Helper                                                                                  *
- * Allows conversions from a string (e.g. "10.3 cm") to a meter length (i.e. 0.103) and vice-versa    *
- * Default export contains stringToMeters and metersToString functions                                *
+ * Allows conversions from a string (e.g. "10.3 cm", "10,3 cm", "3 m 20 cm", "2 piedi") to a meter    *
+ * length (i.e. 0.103) and vice-versa, in metric, imperial, Venetian and Ottoman units                *
+ * Areas are supported the same way (e.g. "12 cm²" to 0.0012 square meters)                           *
+ * Lengths and areas are written in the unit, precision and locale chosen by the user (see            *
+ * getSettings), which are kept in the browser, with a decimal point unless a locale is chosen        *
  ******************************************************************************************************/
 
 const ConversionHelper = (function () {
-    // Units that can be interpreted by stringToMeters, associated with their power of 10
+    const storageKey = "aqueducts.units"; // Output settings, kept in the browser
+
+    // The historical units varied from city to city and over time, these are the values usually given for Crete:
+    // the Venetian foot (piede veneto) of Venice, and the Ottoman builder's cubit (mimar arşını, "pic" in the Greek sources)
+    const venetianFoot = 0.3477;
+    const ottomanCubit = 0.758;
+
+    // Length units, associated with their length in meters and the other spellings interpreted by parseLength
+    const lengthUnits = new Map();
+    lengthUnits.set("km", {meters: 1000, names: ["kilometer", "kilometers", "kilometre", "kilometres"]});
+    lengthUnits.set("hm", {meters: 100, names: []});
+    lengthUnits.set("dam", {meters: 10, names: []});
+    lengthUnits.set("m", {meters: 1, names: ["meter", "meters", "metre", "metres"]});
+    lengthUnits.set("dm", {meters: 0.1, names: []});
+    lengthUnits.set("cm", {meters: 0.01, names: ["centimeter", "centimeters", "centimetre", "centimetres"]});
+    lengthUnits.set("mm", {meters: 0.001, names: ["millimeter", "millimeters", "millimetre", "millimetres"]});
+    lengthUnits.set("µm", {meters: 1e-6, names: ["μm", "um"]});
+    lengthUnits.set("mi", {meters: 1609.344, names: ["mile", "miles"]});
+    lengthUnits.set("yd", {meters: 0.9144, names: ["yard", "yards"]});
+    lengthUnits.set("ft", {meters: 0.3048, names: ["foot", "feet", "'", "′"]});
+    lengthUnits.set("in", {meters: 0.0254, names: ["inch", "inches", "\"", "″"]});
+    lengthUnits.set("passo", {meters: 5 * venetianFoot, names: ["passi", "passo veneto", "passi veneti"]});
+    lengthUnits.set("piede", {meters: venetianFoot, names: ["piedi", "piede veneto", "piedi veneti"]});
+    lengthUnits.set("oncia", {meters: venetianFoot / 12, names: ["once", "oncia veneta", "once venete"]});
+    lengthUnits.set("pic", {meters: ottomanCubit, names: ["pik", "pics", "arşın", "arsin", "zira"]});
+    lengthUnits.set("parmak", {meters: ottomanCubit / 24, names: ["parmaks"]});
+
+    // Spellings that can be interpreted by parseLength, associated with the length of the unit in meters
     const unitsIn = new Map();
-    unitsIn.set("km", 1000);
-    unitsIn.set("hm", 100);
-    unitsIn.set("dam", 10);
-    unitsIn.set("m", 1);
-    unitsIn.set("dm", 0.1);
-    unitsIn.set("cm", 0.01);
-    unitsIn.set("mm", 0.001);
-    unitsIn.set("µm", 1e-6);
-
-    // Units that can be output by metersToString, associated with their power of 10
-    // Must be sorted from smallest to largest for metersToString to work correctly
-    const unitsOut = [["mm",1e-3],["cm",1e-2],["m",1],["km",1e3]];
-    
+    lengthUnits.forEach((unit, symbol) => [symbol, ...unit.names].forEach(name => unitsIn.set(name, unit.meters)));
+
+    // Unit systems that lengths and areas can be written in, with the units that can be output by metersToString
+    // and squareMetersToString (squared for areas, the length units if there are no area units)
+    // Units must be sorted from smallest to largest for the best unit to be picked correctly
+    const systems = new Map();
+    systems.set("metric", {label: "Metric", units: ["mm", "cm", "m", "km"], areaUnits: ["cm", "m", "km"]});
+    systems.set("imperial", {label: "Imperial", units: ["in", "ft", "yd", "mi"]});
+    systems.set("venetian", {label: "Venetian", units: ["oncia", "piede", "passo"]});
+    systems.set("ottoman", {label: "Ottoman", units: ["parmak", "pic"]});
+
+    // Output settings: the system and its unit ("auto" for the largest unit in which the value is at least 1),
+    // the number of significant figures (null for a fixed number of decimals) and the locale of the decimal separator
+    // ("" for a decimal point whatever the browser's language, "browser" for the browser's)
+    const defaultSettings = {system: "metric", unit: "auto", significantFigures: null, locale: ""};
+    var settings = readSettings();
+    var listeners = []; // Called with the settings whenever they change
+
+    /* Interprets a string containing a length (e.g. "140.2 cm", "140,2 cm", "1 m 40 cm", "4' 7\"", "4 piedi")
+    /  Terms in different units are added up, a sign in front applies to the whole length
+    /  If the string is a number without unit, it's interpreted as meters
+    /  Returns {value} in meters, or {error} describing why the string can't be interpreted */
+    function parseLength(s) {
+        return parseQuantity(s, 1);
+    }
+
+    /* Interprets a string containing an area (e.g. "140 cm²", "1.2 m2", "3 ft^2", "2 ha"), like parseLength
+    /  Returns {value} in square meters, or {error} */
+    function parseArea(s) {
+        return parseQuantity(s, 2);
+    }
+
     /* Converts a string containing a length and unit (e.g. "140.2 cm") to a number representing that length in meters (i.e. 1.402)
     / If string has no unit but it has a number, it's interpreted as meters
-    / Invalid string yields a result of NaN */
+    / Invalid string yields a result of NaN, parseLength tells why */
     function stringToMeters(s) {
-        // This Regex matches length units
-        // Specifically, it checks for any amount of non-digit, non-whitespace characters followed by the letter m, and then a boundary (space, end of string)
-        let unitIn = s.match(/[^\d\s]+m\b/g);
+        const result = parseLength(s);
+        return result.error ? NaN : result.value;
+    }
 
-        var meterLength;
-        if(unitIn && unitsIn.has(unitIn[0]))
-            meterLength = parseFloat(s) * unitsIn.get(unitIn[0]);
-        else
-            meterLength = parseFloat(s); // interpret as meters if no unit
+    /* Converts a meter length into a string in the unit chosen in the settings, by default the largest unit of the system
+    /  for which the length is at least 1, if any (otherwise, the smallest unit is used)
+    /  Negative lengths (e.g. signed distances) get the unit of their absolute value
+    /  For example, a length of 0.8 is converted to the string "80 cm", because among the two units (cm, mm) for which the result is at least 1, cm is the biggest
+    /  decimalCount is used unless the settings ask for a number of significant figures */
+    function metersToString(meterLength, decimalCount = 3) {
+        const system = systems.get(settings.system);
+        return formatQuantity(meterLength, system.units, 1, decimalCount);
+    }
 
-        return meterLength;
+    /* Converts a string containing an area and unit (e.g. "140 cm²", "1.2 m2") to a number representing that area in square meters
+    / If string has no unit but it has a number, it's interpreted as square meters
+    / Invalid string yields a result of NaN, parseArea tells why */
+    function stringToSquareMeters(s) {
+        const result = parseArea(s);
+        return result.error ? NaN : result.value;
     }
 
-    /* Converts a meter length into a string, converting into the largest unit for which the length is at least 1, if any (otherwise, the smallest unit is used)
-    /  For example, a length of 0.8 is converted to the string "80 cm", because among the two units (cm, mm) for which the result is at least 1, cm is the biggest */
-    function metersToString(meterLength, decimalCount = 3) {
-        var result;
-        // For each possible output unit
-        unitsOut.forEach((it, index) => {
-            let unit = it[0], power = it[1]; // get the unit and power of 10
-            let convertedLength = meterLength / power; // convert meterLength to the unit
-            if(convertedLength >= 1 || index == 0) {
-                // if converted length is at least 1 (or we are on the smallest unit), write string to result
-                result = convertedLength.toFixed(decimalCount) + " " + unit;
+    /* Converts a square meter area into a string, using the square of the unit chosen in the settings, like metersToString
+    /  For example, an area of 0.5 is converted to the string "5000 cm²" */
+    function squareMetersToString(squareMeterArea, decimalCount = 3) {
+        const system = systems.get(settings.system);
+        return formatQuantity(squareMeterArea, system.areaUnits || system.units, 2, decimalCount);
+    }
+
+    // Returns the unit systems and their output units, to let the user choose one, [{id, label, units}]
+    function getSystems() {
+        return [...systems].map(([id, system]) => ({id, label: system.label, units: [...system.units]}));
+    }
+
+    // Returns the output settings, {system, unit, significantFigures, locale}
+    function getSettings() {
+        return {...settings};
+    }
+
+    // Changes some of the output settings, keeps them in the browser and tells the listeners
+    // Invalid values are replaced by the defaults
+    function setSettings(changes) {
+        settings = validateSettings({...settings, ...changes});
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(settings));
+        } catch (error) {
+            // storage unavailable (private browsing), the settings only last for the session
+        }
+        listeners.forEach(listener => listener(getSettings()));
+    }
+
+    // Calls listener with the settings whenever they change, e.g. to write lengths again
+    // Returns a function removing the listener
+    function addSettingsListener(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter(other => other !== listener);
+        };
+    }
+
+    // LOCAL FUNCTION
+    // Interprets a length (power 1) or an area (power 2), see parseLength
+    function parseQuantity(s, power) {
+        // Exponents written after the unit ("m2", "m^2") are the same as "m²"
+        let text = String(s ?? "").trim().replace(/([^\d\s.,+\-−^'"′″])\^?2(?![\d.,])/g, "$1²");
+        if (text === "") return {error: power === 1 ? "No length entered" : "No area entered"};
+
+        const sign = text.match(/^[+\-−]\s*/);
+        if (sign) text = text.slice(sign[0].length);
+        if (text === "") return {error: `No ${power === 1 ? "length" : "area"} after "${sign[0].trim()}"`};
+
+        // Each term is a number followed by a unit, i.e. anything up to the next number
+        const termPattern = /(\d[\d.,]*|[.,]\d+)([^\d]*)/y;
+        const terms = [];
+        while (termPattern.lastIndex < text.length) {
+            const start = termPattern.lastIndex;
+            const match = termPattern.exec(text);
+            if (!match) return {error: `"${text.slice(start).trim()}" isn't a number`};
+            terms.push({number: match[1], unit: match[2].trim().replace(/\s+/g, " ").replace(/\.$/, "").toLowerCase()});
+        }
+
+        let total = 0;
+        for (const term of terms) {
+            const number = parseNumber(term.number);
+            if (number.error) return number;
+
+            if (term.unit === "") {
+                // A number alone is in meters (square meters), in a sum the unit can't be guessed
+                if (terms.length > 1) return {error: `Unit is missing after ${term.number}`};
+                total += number.value;
+                continue;
             }
-        });
-        // The resulting string is the one with the largest unit where the length is at least 1
-        return result;
+
+            const size = getUnitSize(term.unit, power);
+            if (size.error) return size;
+            total += number.value * size.value;
+        }
+
+        return {value: sign && sign[0].trim() !== "+" ? -total : total};
+    }
+
+    // LOCAL FUNCTION
+    // Interprets a number written with a decimal point or a decimal comma, returns {value} or {error}
+    function parseNumber(number) {
+        if ((number.match(/[.,]/g) || []).length > 1) return {error: `"${number}" has more than one decimal separator`};
+        return {value: Number(number.replace(",", "."))};
+    }
+
+    // LOCAL FUNCTION
+    // Returns the size of a unit in meters (power 1) or square meters (power 2) as {value}, or {error} if it isn't one
+    function getUnitSize(unit, power) {
+        const isArea = unit === "ha" || unit.endsWith("²");
+        const lengthUnit = unit.endsWith("²") ? unit.slice(0, -1).trim() : unit;
+        if (!unitsIn.has(lengthUnit) && unit !== "ha") return {error: `Unknown unit "${unit}"`};
+
+        if (power === 1 && isArea) return {error: `"${unit}" is an area unit, a length is expected`};
+        if (power === 2 && !isArea) return {error: `"${unit}" is a length unit, an area is expected (e.g. "${unit}²")`};
+        if (unit === "ha") return {value: 1e4};
+        return {value: Math.pow(unitsIn.get(lengthUnit), power)};
+    }
+
+    // LOCAL FUNCTION
+    // Writes a value (meters to the given power) in the unit chosen in the settings, or the best of the given units
+    function formatQuantity(value, units, power, decimalCount) {
+        const exponent = power === 2 ? "²" : "";
+        let unit = settings.unit;
+        if (unit === "auto") {
+            // The largest unit where the value is at least 1, the smallest unit if there's none
+            unit = units.reduce((best, symbol) => Math.abs(value) / Math.pow(lengthUnits.get(symbol).meters, power) >= 1 ? symbol : best, units[0]);
+        }
+
+        const converted = value / Math.pow(lengthUnits.get(unit).meters, power);
+        const digits = settings.significantFigures
+            ? {minimumSignificantDigits: settings.significantFigures, maximumSignificantDigits: settings.significantFigures}
+            : {minimumFractionDigits: decimalCount, maximumFractionDigits: decimalCount};
+        // Without grouping separators, written lengths can be typed back into the inputs
+        const locale = settings.locale === "browser" ? undefined : settings.locale || "en";
+        const formatter = new Intl.NumberFormat(locale, {...digits, useGrouping: false});
+        return formatter.format(converted) + " " + unit + exponent;
+    }
+
+    // LOCAL FUNCTION
+    function readSettings() {
+        try {
+            return validateSettings({...defaultSettings, ...JSON.parse(localStorage.getItem(storageKey))});
+        } catch (error) {
+            return {...defaultSettings};
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Replaces invalid settings by the defaults, the unit must belong to the system
+    function validateSettings(candidate) {
+        const valid = {...defaultSettings};
+        if (systems.has(candidate.system)) valid.system = candidate.system;
+        if (candidate.unit === "auto" || systems.get(valid.system).units.includes(candidate.unit)) valid.unit = candidate.unit;
+        if (Number.isInteger(candidate.significantFigures) && candidate.significantFigures >= 1 && candidate.significantFigures <= 21) {
+            valid.significantFigures = candidate.significantFigures;
+        }
+        if (typeof candidate.locale === "string" && isSupportedLocale(candidate.locale)) valid.locale = candidate.locale;
+        return valid;
+    }
+
+    // LOCAL FUNCTION
+    function isSupportedLocale(locale) {
+        if (locale === "" || locale === "browser") return true;
+        try {
+            return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+        } catch (error) {
+            return false; // malformed tag
+        }
     }
 
     return {
+        parseLength,
+        parseArea,
         stringToMeters,
-        metersToString
+        metersToString,
+        stringToSquareMeters,
+        squareMetersToString,
+        getSystems,
+        getSettings,
+        setSettings,
+        addSettingsListener
     };
 })();
 
-export default ConversionHelper;
\ No newline at end of file
+export default ConversionHelper;
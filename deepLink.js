@@ -0,0 +1,96 @@
+/******************************************************************************************************
+ * Deep Link                                                                                          *
+ * Encodes the state of the viewer (scene, camera pose, measurement points) in the URL hash           *
+ * e.g. "#scene=Morosini&camera=1.571,1.2,5,0,0.5,0&mode=distance&points=0,0,0;1,0,0"                 *
+ * Default export contains parse and format functions                                                 *
+ ******************************************************************************************************/
+
+const DeepLink = (function () {
+    const precision = 4; // Decimals kept for coordinates and angles, enough for sub-millimeter positions
+
+    /* Reads a URL hash (with or without the leading "#") into a state object:
+    /  {scene, camera: {alpha, beta, radius, target: [x, y, z]}, measurement: {mode, points, reference, referenceLength}}
+    /  Missing or malformed parts are left undefined, an empty hash gives an empty object (map menu) */
+    function parse(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ""));
+        const state = {};
+
+        if (params.has("scene")) state.scene = params.get("scene");
+
+        // A camera can't be at a distance of 0 or less from its target
+        const camera = parseNumbers(params.get("camera"));
+        if (camera && camera.length === 6 && camera[2] > 0) {
+            state.camera = {alpha: camera[0], beta: camera[1], radius: camera[2], target: camera.slice(3)};
+        }
+
+        if (params.has("mode")) {
+            state.measurement = {
+                mode: params.get("mode"),
+                points: parsePoints(params.get("points")),
+                reference: parsePoints(params.get("reference")),
+                referenceLength: params.get("length") || ""
+            };
+        }
+
+        return state;
+    }
+
+    // Writes a state object (as returned by parse) into a URL hash, starting with "#"
+    function format(state) {
+        const params = new URLSearchParams();
+        if (!state.scene) return "#";
+        params.set("scene", state.scene);
+
+        if (state.camera) {
+            const camera = [state.camera.alpha, state.camera.beta, state.camera.radius].concat(state.camera.target);
+            params.set("camera", camera.map(round).join(","));
+        }
+
+        if (state.measurement) {
+            params.set("mode", state.measurement.mode);
+            if (state.measurement.points.length > 0) params.set("points", formatPoints(state.measurement.points));
+            if (state.measurement.reference.length > 0) params.set("reference", formatPoints(state.measurement.reference));
+            if (state.measurement.referenceLength) params.set("length", state.measurement.referenceLength);
+        }
+
+        // Separators are valid in a hash, they are kept readable
+        return "#" + params.toString().replace(/%2C/g, ",").replace(/%3B/g, ";");
+    }
+
+    // LOCAL FUNCTION
+    // Rounds a number to the link precision, dropping useless zeros
+    function round(value) {
+        return String(Number(value.toFixed(precision)));
+    }
+
+    // LOCAL FUNCTION
+    // Reads a list of comma separated numbers, null if any of them is invalid or infinite
+    function parseNumbers(text) {
+        if (!text) return null;
+        const numbers = text.split(",").map(Number);
+        return numbers.some(number => !isFinite(number)) ? null : numbers;
+    }
+
+    // LOCAL FUNCTION
+    // Reads points written as "x,y,z;x,y,z", an empty entry stands for a missing point (null)
+    function parsePoints(text) {
+        if (!text) return [];
+        return text.split(";").map(point => {
+            const coordinates = parseNumbers(point);
+            return coordinates && coordinates.length === 3 ? coordinates : null;
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Writes points as "x,y,z;x,y,z", missing points (null) are left empty
+    function formatPoints(points) {
+        return points.map(point => point ? point.map(round).join(",") : "").join(";");
+    }
+
+    return {
+        parse,
+        format
+    };
+})();
+
+export default DeepLink;
@@ -0,0 +1,185 @@
+/******************************************************************************************************
+ * Geo Reference                                                                                      *
+ * Conversions between WGS84 (latitude, longitude) and the Greek Grid (EGSA87 / GGRS87, EPSG:2100)    *
+ * Also places points on the map image and converts mesh positions into real-world coordinates        *
+ ******************************************************************************************************/
+
+const GeoReference = (function () {
+    // GRS80 ellipsoid, used by GGRS87 (WGS84's ellipsoid only differs by a fraction of a millimeter)
+    const a = 6378137;
+    const f = 1 / 298.257222101;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+
+    // Transverse Mercator projection of the Greek Grid
+    const k0 = 0.9996;
+    const lon0 = toRadians(24);
+    const falseEasting = 500000;
+
+    // Translation from GGRS87 to WGS84 geocentric coordinates, in meters (EPSG:1272)
+    const datumShift = [-199.87, 74.79, 246.62];
+
+    /* Converts WGS84 coordinates (degrees) to Greek Grid coordinates (meters)
+    /  Returns {x, y}, x being the easting and y the northing */
+    function wgs84ToEgsa87(lat, lon) {
+        let geocentric = toGeocentric(toRadians(lat), toRadians(lon));
+        let shifted = geocentric.map((value, i) => value - datumShift[i]);
+        let geodetic = toGeodetic(shifted);
+        return projectTM(geodetic.lat, geodetic.lon);
+    }
+
+    /* Converts Greek Grid coordinates (meters) to WGS84 coordinates (degrees)
+    /  Returns {lat, lon} */
+    function egsa87ToWgs84(x, y) {
+        let geodetic = unprojectTM(x, y);
+        let geocentric = toGeocentric(geodetic.lat, geodetic.lon);
+        let shifted = geocentric.map((value, i) => value + datumShift[i]);
+        let result = toGeodetic(shifted);
+        return {lat: toDegrees(result.lat), lon: toDegrees(result.lon)};
+    }
+
+    /* Returns both representations of a location given either as {crs: "WGS84", lat, lon} or {crs: "EGSA87", x, y}
+    /  Result is {lat, lon, x, y} */
+    function normalize(location) {
+        if (location.crs === "EGSA87") {
+            return {...egsa87ToWgs84(location.x, location.y), x: location.x, y: location.y};
+        }
+        return {lat: location.lat, lon: location.lon, ...wgs84ToEgsa87(location.lat, location.lon)};
+    }
+
+    /* Computes the UV coordinates (fractions of width from the left and of height from the bottom) of a location on a map image
+    /  bounds describes the image corners, {crs: "WGS84", west, east, south, north} in degrees or {crs: "EGSA87", ...} in meters */
+    function toUV(location, bounds) {
+        let point = normalize(location);
+        let horizontal = bounds.crs === "EGSA87" ? point.x : point.lon;
+        let vertical = bounds.crs === "EGSA87" ? point.y : point.lat;
+        return {
+            uvx: (horizontal - bounds.west) / (bounds.east - bounds.west),
+            uvy: (vertical - bounds.south) / (bounds.north - bounds.south)
+        };
+    }
+
+    /* Creates a function converting world positions on a georeferenced mesh into real-world coordinates
+    /  info holds location (of the mesh origin), elevation (meters, of the mesh origin), orientation (azimuth of the mesh's +X axis,
+    /  in degrees clockwise from grid north) and up (mesh-space up direction)
+    /  The returned function takes a position and a scale (meters per mesh unit) and gives {lat, lon, x, y, elevation} */
+    function createFrame(info, mesh) {
+        let world = mesh.computeWorldMatrix(true);
+        let origin = BABYLON.Vector3.TransformCoordinates(BABYLON.Vector3.Zero(), world);
+        let up = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.FromArray(info.up || [0, 1, 0]), world).normalize();
+
+        // Horizontal direction of the mesh's +X axis, then grid north and east from the orientation
+        let axisX = BABYLON.Vector3.TransformNormal(BABYLON.Axis.X, world);
+        axisX = axisX.subtract(up.scale(BABYLON.Vector3.Dot(axisX, up))).normalize();
+        let theta = toRadians(info.orientation || 0);
+        let north = axisX.scale(Math.cos(theta)).subtract(BABYLON.Vector3.Cross(up, axisX).scale(Math.sin(theta)));
+        let east = BABYLON.Vector3.Cross(up, north);
+
+        let base = normalize(info.location);
+        let baseElevation = info.elevation || 0;
+
+        return (position, scale) => {
+            let offset = position.subtract(origin).scale(scale);
+            let x = base.x + BABYLON.Vector3.Dot(offset, east);
+            let y = base.y + BABYLON.Vector3.Dot(offset, north);
+            return {...egsa87ToWgs84(x, y), x, y, elevation: baseElevation + BABYLON.Vector3.Dot(offset, up)};
+        };
+    }
+
+    // LOCAL FUNCTION
+    // Degrees to radians
+    function toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    // LOCAL FUNCTION
+    // Radians to degrees
+    function toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    // LOCAL FUNCTION
+    // Geodetic coordinates (radians, on the ellipsoid surface) to geocentric [X, Y, Z] in meters
+    function toGeocentric(lat, lon) {
+        let n = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+        return [
+            n * Math.cos(lat) * Math.cos(lon),
+            n * Math.cos(lat) * Math.sin(lon),
+            n * (1 - e2) * Math.sin(lat)
+        ];
+    }
+
+    // LOCAL FUNCTION
+    // Geocentric [X, Y, Z] in meters to geodetic coordinates (radians), iterating on the latitude
+    function toGeodetic([x, y, z]) {
+        let p = Math.hypot(x, y);
+        let lat = Math.atan2(z, p * (1 - e2));
+        for (let i = 0; i < 5; ++i) {
+            let n = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+            let height = p / Math.cos(lat) - n;
+            lat = Math.atan2(z, p * (1 - e2 * n / (n + height)));
+        }
+        return {lat, lon: Math.atan2(y, x)};
+    }
+
+    // LOCAL FUNCTION
+    // Length of the meridian arc from the equator to the given latitude (radians)
+    function meridianArc(lat) {
+        let e4 = e2 * e2, e6 = e4 * e2;
+        return a * ((1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * lat
+            - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * lat)
+            + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * lat)
+            - (35 * e6 / 3072) * Math.sin(6 * lat));
+    }
+
+    // LOCAL FUNCTION
+    // Transverse Mercator projection of geodetic coordinates (radians), Snyder's series
+    function projectTM(lat, lon) {
+        let n = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+        let t = Math.tan(lat) ** 2;
+        let c = ep2 * Math.cos(lat) ** 2;
+        let A = (lon - lon0) * Math.cos(lat);
+
+        let x = falseEasting + k0 * n * (A + (1 - t + c) * A ** 3 / 6
+            + (5 - 18 * t + t * t + 72 * c - 58 * ep2) * A ** 5 / 120);
+        let y = k0 * (meridianArc(lat) + n * Math.tan(lat) * (A * A / 2
+            + (5 - t + 9 * c + 4 * c * c) * A ** 4 / 24
+            + (61 - 58 * t + t * t + 600 * c - 330 * ep2) * A ** 6 / 720));
+        return {x, y};
+    }
+
+    // LOCAL FUNCTION
+    // Inverse Transverse Mercator projection, gives geodetic coordinates in radians
+    function unprojectTM(x, y) {
+        let e4 = e2 * e2, e6 = e4 * e2;
+        let mu = (y / k0) / (a * (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+        let e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+        let lat1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+            + (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+            + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+            + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+        let c1 = ep2 * Math.cos(lat1) ** 2;
+        let t1 = Math.tan(lat1) ** 2;
+        let n1 = a / Math.sqrt(1 - e2 * Math.sin(lat1) ** 2);
+        let r1 = a * (1 - e2) / Math.pow(1 - e2 * Math.sin(lat1) ** 2, 1.5);
+        let d = (x - falseEasting) / (n1 * k0);
+
+        let lat = lat1 - (n1 * Math.tan(lat1) / r1) * (d * d / 2
+            - (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * d ** 4 / 24
+            + (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * d ** 6 / 720);
+        let lon = lon0 + (d - (1 + 2 * t1 + c1) * d ** 3 / 6
+            + (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * d ** 5 / 120) / Math.cos(lat1);
+        return {lat, lon};
+    }
+
+    return {
+        wgs84ToEgsa87,
+        egsa87ToWgs84,
+        normalize,
+        toUV,
+        createFrame
+    };
+})();
+
+export default GeoReference;
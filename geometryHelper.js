@@ -0,0 +1,323 @@
+/******************************************************************************************************
+ * Geometry Helper                                                                                    *
+ * Geometric computations on picked points (planes, polygons) and on mesh triangles                   *
+ * Default export contains fitPlane, fitPlaneToCloud, polygonArea, polygonPerimeter, drapedArea,       *
+ * planeSection, distanceToPolyline and closestPointOnSegment functions                               *
+ ******************************************************************************************************/
+
+const GeometryHelper = (function () {
+    /* Computes the plane that best fits a list of points (BABYLON.Vector3)
+    /  The normal is obtained with Newell's method, which is robust for non-planar and non-convex polygons
+    /  Returns {origin, normal}, or null if the points are collinear (or fewer than 3) */
+    function fitPlane(points) {
+        if(points.length < 3) return null;
+
+        let normal = newellVector(points);
+        if(normal.length() === 0) return null;
+
+        let origin = BABYLON.Vector3.Zero();
+        points.forEach(p => origin.addInPlace(p));
+        origin.scaleInPlace(1 / points.length);
+
+        return {origin: origin, normal: normal.normalize()};
+    }
+
+    /* Computes the least-squares plane of a point cloud (BABYLON.Vector3), e.g. the vertices of a mesh
+    /  Unlike fitPlane, the points have no order; the normal is the direction in which the cloud is the thinnest
+    /  Returns {origin, normal}, or null if the points are collinear (or fewer than 3) */
+    function fitPlaneToCloud(points) {
+        if(points.length < 3) return null;
+
+        let origin = BABYLON.Vector3.Zero();
+        points.forEach(p => origin.addInPlace(p));
+        origin.scaleInPlace(1 / points.length);
+
+        // Covariance matrix of the points
+        let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0;
+        points.forEach(p => {
+            let x = p.x - origin.x, y = p.y - origin.y, z = p.z - origin.z;
+            xx += x * x; xy += x * y; xz += x * z;
+            yy += y * y; yz += y * z; zz += z * z;
+        });
+
+        // Normal is solved along the axis whose determinant is the largest, which is the best conditioned
+        let detX = yy * zz - yz * yz, detY = xx * zz - xz * xz, detZ = xx * yy - xy * xy;
+        let maxDet = Math.max(detX, detY, detZ);
+        if(maxDet <= 0) return null;
+
+        let normal;
+        if(maxDet === detX) normal = new BABYLON.Vector3(detX, xz * yz - xy * zz, xy * yz - xz * yy);
+        else if(maxDet === detY) normal = new BABYLON.Vector3(xz * yz - xy * zz, detY, xy * xz - yz * xx);
+        else normal = new BABYLON.Vector3(xy * yz - xz * yy, xy * xz - yz * xx, detZ);
+
+        return {origin: origin, normal: normal.normalize()};
+    }
+
+    /* Computes the area of a closed polygon once projected on its best-fit plane
+    /  Result is in squared mesh units */
+    function polygonArea(points) {
+        if(points.length < 3) return 0;
+        // The Newell vector has a length of twice the projected area
+        return newellVector(points).length() / 2;
+    }
+
+    /* Computes the perimeter of a closed polygon (the last point is linked back to the first)
+    /  Result is in mesh units */
+    function polygonPerimeter(points) {
+        let perimeter = 0;
+        for(let i = 0; i < points.length; ++i) {
+            perimeter += BABYLON.Vector3.Distance(points[i], points[(i + 1) % points.length]);
+        }
+        return perimeter;
+    }
+
+    /* Computes the area of the mesh surface lying inside a closed polygon
+    /  A triangle counts if its centroid, projected on the polygon's best-fit plane, is inside the polygon,
+    /  and if it is no further than maxDistance from that plane (so that surfaces hidden behind the patch are ignored)
+    /  Only the submeshes whose box meets the polygon's (grown by maxDistance) are walked, so meshes subdivided for
+    /  picking (see MeasurementTool) are read around the polygon instead of whole
+    /  Result is in squared mesh units, or NaN if the polygon is degenerate */
+    function drapedArea(meshes, points, maxDistance) {
+        let plane = fitPlane(points);
+        if(!plane) return NaN;
+
+        // 2D basis of the plane, polygon is expressed in it for the inside test
+        let axisU = perpendicular(plane.normal);
+        let axisV = BABYLON.Vector3.Cross(plane.normal, axisU);
+        let toPlane = (p) => {
+            let d = p.subtract(plane.origin);
+            return {u: BABYLON.Vector3.Dot(d, axisU), v: BABYLON.Vector3.Dot(d, axisV), w: BABYLON.Vector3.Dot(d, plane.normal)};
+        };
+        let polygon = points.map(toPlane);
+
+        // Bounding rectangle of the polygon, used to reject most triangles cheaply
+        let minU = Math.min(...polygon.map(p => p.u)), maxU = Math.max(...polygon.map(p => p.u));
+        let minV = Math.min(...polygon.map(p => p.v)), maxV = Math.max(...polygon.map(p => p.v));
+
+        // World box of the triangles that can count
+        let margin = new BABYLON.Vector3(maxDistance, maxDistance, maxDistance);
+        let boxMin = points.reduce((min, p) => BABYLON.Vector3.Minimize(min, p), points[0]).subtract(margin);
+        let boxMax = points.reduce((max, p) => BABYLON.Vector3.Maximize(max, p), points[0]).add(margin);
+
+        // Vectors reused for every triangle, as there can be millions of them
+        let a = new BABYLON.Vector3(), b = new BABYLON.Vector3(), c = new BABYLON.Vector3();
+        let ab = new BABYLON.Vector3(), ac = new BABYLON.Vector3(), cross = new BABYLON.Vector3(), d = new BABYLON.Vector3();
+        let centroid = {u: 0, v: 0, w: 0};
+        let area = 0;
+
+        meshes.forEach(mesh => {
+            let positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+            let indices = mesh.getIndices();
+            if(!positions || !indices) return;
+
+            let world = mesh.getWorldMatrix();
+            let vertexToRef = (index, result) => BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2], world, result);
+            let subMeshes = mesh.subMeshes && mesh.subMeshes.length > 0 ? mesh.subMeshes : [{indexStart: 0, indexCount: indices.length}];
+
+            subMeshes.forEach(subMesh => {
+                if(subMesh.getBoundingInfo && !subMesh.getBoundingInfo().boundingBox.intersectsMinMax(boxMin, boxMax)) return;
+
+                let end = subMesh.indexStart + subMesh.indexCount;
+                for(let i = subMesh.indexStart; i < end; i += 3) {
+                    vertexToRef(indices[i], a);
+                    vertexToRef(indices[i + 1], b);
+                    vertexToRef(indices[i + 2], c);
+
+                    a.addToRef(b, d).addInPlace(c).scaleInPlace(1 / 3).subtractInPlace(plane.origin);
+                    centroid.w = BABYLON.Vector3.Dot(d, plane.normal);
+                    if(Math.abs(centroid.w) > maxDistance) continue;
+                    centroid.u = BABYLON.Vector3.Dot(d, axisU);
+                    centroid.v = BABYLON.Vector3.Dot(d, axisV);
+                    if(centroid.u < minU || centroid.u > maxU || centroid.v < minV || centroid.v > maxV) continue;
+                    if(!isInsidePolygon(centroid, polygon)) continue;
+
+                    b.subtractToRef(a, ab);
+                    c.subtractToRef(a, ac);
+                    BABYLON.Vector3.CrossToRef(ab, ac, cross);
+                    area += cross.length() / 2;
+                }
+            });
+        });
+
+        return area;
+    }
+
+    /* Computes the intersection of a plane ({origin, normal}, in world space) with the triangles of the given meshes
+    /  Returns a list of polylines {points, closed}, points being world positions (BABYLON.Vector3) in order along the cut */
+    function planeSection(meshes, plane) {
+        let normal = plane.normal.normalizeToNew();
+        let offset = -BABYLON.Vector3.Dot(normal, plane.origin);
+        let segments = [];
+
+        // Corners and their distances to the plane, reused for every triangle as there can be millions of them
+        let corners = [new BABYLON.Vector3(), new BABYLON.Vector3(), new BABYLON.Vector3()];
+        let distances = [0, 0, 0];
+
+        meshes.forEach(mesh => {
+            let positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+            let indices = mesh.getIndices();
+            if(!positions || !indices) return;
+
+            let world = mesh.getWorldMatrix();
+            let subMeshes = mesh.subMeshes && mesh.subMeshes.length > 0 ? mesh.subMeshes : [{indexStart: 0, indexCount: indices.length}];
+
+            subMeshes.forEach(subMesh => {
+                if(subMesh.getBoundingInfo && !crossesBox(subMesh.getBoundingInfo().boundingBox, normal, offset)) return;
+
+                let end = subMesh.indexStart + subMesh.indexCount;
+                for(let i = subMesh.indexStart; i < end; i += 3) {
+                    // Points on the plane count as in front of it, so that each crossed edge is found exactly once
+                    let front = 0;
+                    for(let k = 0; k < 3; ++k) {
+                        let index = indices[i + k];
+                        BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2], world, corners[k]);
+                        distances[k] = BABYLON.Vector3.Dot(normal, corners[k]) + offset;
+                        if(distances[k] >= 0) ++front;
+                    }
+                    if(front === 0 || front === 3) continue;
+
+                    let crossings = [];
+                    for(let e = 0; e < 3; ++e) {
+                        let a = e, b = (e + 1) % 3;
+                        if((distances[a] >= 0) !== (distances[b] >= 0)) crossings.push(edgeCrossing(corners[a], distances[a], corners[b], distances[b]));
+                    }
+                    // A triangle touching the plane at a single corner gives no segment
+                    if(key(crossings[0]) !== key(crossings[1])) segments.push(crossings);
+                }
+            });
+        });
+
+        return chainSegments(segments);
+    }
+
+    /* Computes the distance from a point to a polyline (list of BABYLON.Vector3, at least one)
+    /  Result is in mesh units */
+    function distanceToPolyline(point, polyline) {
+        if(polyline.length === 1) return BABYLON.Vector3.Distance(point, polyline[0]);
+
+        let best = Infinity;
+        for(let i = 0; i < polyline.length - 1; ++i) {
+            best = Math.min(best, BABYLON.Vector3.Distance(point, closestPointOnSegment(point, polyline[i], polyline[i + 1])));
+        }
+        return best;
+    }
+
+    // Returns the point of the segment [a, b] closest to the given point (all BABYLON.Vector3)
+    function closestPointOnSegment(point, a, b) {
+        let ab = b.subtract(a);
+        let lengthSquared = ab.lengthSquared();
+        // Projection of the point on the segment, clamped to its ends
+        let t = lengthSquared === 0 ? 0 : Math.min(1, Math.max(0, BABYLON.Vector3.Dot(point.subtract(a), ab) / lengthSquared));
+        return a.add(ab.scale(t));
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if a plane (unit normal and offset) has corners of a bounding box on both of its sides
+    function crossesBox(boundingBox, normal, offset) {
+        let front = boundingBox.vectorsWorld.filter(p => BABYLON.Vector3.Dot(normal, p) + offset >= 0).length;
+        return front > 0 && front < 8;
+    }
+
+        // LOCAL FUNCTION
+    // Point where an edge crosses the plane, given the signed distances of its ends
+    // Ends are sorted first, so that triangles sharing the edge (even through duplicated vertices) get the very same point
+    function edgeCrossing(a, da, b, db) {
+        if(compareVectors(a, b) > 0) [a, da, b, db] = [b, db, a, da];
+        return BABYLON.Vector3.Lerp(a, b, da / (da - db));
+    }
+
+    // LOCAL FUNCTION
+    // Exact key of a position, crossings of a shared edge are identical so no tolerance is needed
+    function key(p) {
+        return `${p.x},${p.y},${p.z}`;
+    }
+
+    // LOCAL FUNCTION
+    // Lexicographic order of two vectors
+    function compareVectors(a, b) {
+        return (a.x - b.x) || (a.y - b.y) || (a.z - b.z);
+    }
+
+    // LOCAL FUNCTION
+    // Links segments sharing an end into polylines
+    function chainSegments(segments) {
+        let byEnd = new Map(); // Segment indices by end point
+        segments.forEach((segment, index) => segment.forEach(p => {
+            if(!byEnd.has(key(p))) byEnd.set(key(p), []);
+            byEnd.get(key(p)).push(index);
+        }));
+
+        let used = new Array(segments.length).fill(false);
+        // Follows unused segments from a point, returns the points reached in order
+        let walk = (start) => {
+            let points = [];
+            let current = start;
+            for(;;) {
+                let next = (byEnd.get(key(current)) || []).find(index => !used[index]);
+                if(next === undefined) return points;
+                used[next] = true;
+                let segment = segments[next];
+                current = key(segment[0]) === key(current) ? segment[1] : segment[0];
+                points.push(current);
+            }
+        };
+
+        let polylines = [];
+        segments.forEach((segment, index) => {
+            if(used[index]) return;
+            used[index] = true;
+            // Segment is extended on both sides, then both halves are joined
+            let forward = walk(segment[1]);
+            let backward = walk(segment[0]);
+            let points = backward.reverse().concat([segment[0], segment[1]], forward);
+            let closed = points.length > 3 && key(points[0]) === key(points[points.length - 1]);
+            if(closed) points.pop();
+            polylines.push({points, closed});
+        });
+        return polylines;
+    }
+
+    // LOCAL FUNCTION
+    // Sum of the cross products of consecutive vertices, normal to the polygon with a length of twice its area
+    function newellVector(points) {
+        let normal = BABYLON.Vector3.Zero();
+        for(let i = 0; i < points.length; ++i) {
+            normal.addInPlace(BABYLON.Vector3.Cross(points[i], points[(i + 1) % points.length]));
+        }
+        return normal;
+    }
+
+    // LOCAL FUNCTION
+    // Returns a unit vector perpendicular to the given unit vector
+    function perpendicular(v) {
+        let helper = Math.abs(v.x) < 0.9 ? BABYLON.Axis.X : BABYLON.Axis.Y;
+        return BABYLON.Vector3.Cross(v, helper).normalize();
+    }
+
+    // LOCAL FUNCTION
+    // Even-odd test of a 2D point ({u, v}) against a 2D polygon
+    function isInsidePolygon(point, polygon) {
+        let inside = false;
+        for(let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            let pi = polygon[i], pj = polygon[j];
+            if((pi.v > point.v) !== (pj.v > point.v) &&
+                point.u < (pj.u - pi.u) * (point.v - pi.v) / (pj.v - pi.v) + pi.u) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    return {
+        fitPlane,
+        fitPlaneToCloud,
+        polygonArea,
+        polygonPerimeter,
+        drapedArea,
+        planeSection,
+        distanceToPolyline,
+        closestPointOnSegment
+    };
+})();
+
+export default GeometryHelper;
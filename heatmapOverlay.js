@@ -0,0 +1,361 @@
+/*********************************************************************************************
+ * Heatmap Overlay                                                                           *
+ * Colors each vertex of the current mesh by its height along the scene's up axis, or by     *
+ * its distance from a reference: the plane fitted to the mesh, or the centerline drawn      *
+ * with the measurement tool (path mode). Values are in real units when the scale is known  *
+ * Colors are written as vertex colors shown by an overlay material (see RenderPanel)        *
+ *********************************************************************************************/
+
+import ConversionHelper from "./conversions.js";
+import GeometryHelper from "./geometryHelper.js";
+import MeasurementTool from "./measurementTool.js";
+import RenderPanel from "./renderPanel.js";
+
+const HeatmapOverlay = (function () {
+    // Color ramps, as lists of evenly spaced [r, g, b] stops
+    const ramps = {
+        viridis: [[0.267, 0.005, 0.329], [0.229, 0.322, 0.546], [0.128, 0.567, 0.551], [0.369, 0.789, 0.383], [0.993, 0.906, 0.144]],
+        rainbow: [[0.19, 0.07, 0.23], [0.1, 0.55, 0.95], [0.15, 0.85, 0.5], [0.95, 0.85, 0.2], [0.85, 0.15, 0.05]],
+        diverging: [[0.23, 0.3, 0.75], [0.95, 0.95, 0.95], [0.7, 0.02, 0.15]],
+        grayscale: [[0, 0, 0], [1, 1, 1]]
+    };
+    const maxFitPoints = 50000; // Vertices used to fit the reference plane, the mesh is sampled above this count
+
+    var scene; // BabylonJS scene, holds the overlay material
+    var sceneMesh = null; // Root mesh of the current scene
+    var overlayMaterial; // Material showing the vertex colors
+    var mode = "none"; // Current overlay, "none", "height", "plane" or "centerline"
+    var ramp = "viridis"; // Name of the current color ramp
+    var range = null; // Clamping range of the colors, {min, max} in the legend's unit, null for the automatic one
+    var vertexValues = []; // Value of each vertex in mesh units, [{mesh, values}], kept to recolor without recomputing
+    var shownFactor = null; // Scale the colors were last computed with, they are computed again when it changes
+    var originalColors = new Map(); // Vertex colors of the meshes before the overlay, {data, size} or null if they had none, by mesh
+
+    var heatModeSelect, heatRampSelect, heatMinInput, heatMaxInput, heatAutoButton, heatMessage; // HTML UI elements of the render panel
+    var heatLegend, heatLegendBar, heatLegendMin, heatLegendMid, heatLegendMax, heatLegendTitle; // HTML legend
+
+    // Shows the given overlay, "none", "height", "plane" (distance from the fitted plane) or "centerline" (distance from the measured path)
+    function setMode(newMode) {
+        mode = ["height", "plane", "centerline"].includes(newMode) ? newMode : "none";
+        range = null;
+        if (heatModeSelect) heatModeSelect.value = mode;
+
+        // Signed distances read better on a ramp centered on white
+        ramp = mode === "plane" ? "diverging" : "viridis";
+        if (heatRampSelect) heatRampSelect.value = ramp;
+
+        update();
+    }
+
+    // LOCAL FUNCTION
+    // Computes the values of the current overlay and colors the mesh, or gives the mesh its colors back if the overlay is off
+    function update() {
+        showMessage("");
+        if (mode === "none" || !sceneMesh) {
+            removeOverlay();
+            return;
+        }
+
+        const computed = computeValues();
+        if (!computed) {
+            removeOverlay();
+            return;
+        }
+        vertexValues = computed;
+        applyColors();
+    }
+
+    // LOCAL FUNCTION
+    // Returns the value of each vertex for the current mode, in mesh units, or null with a message if it can't be computed
+    function computeValues() {
+        const meshes = getSceneMeshes();
+        const up = MeasurementTool.getUpVector();
+        let valueOf;
+
+        switch (mode) {
+            case "height":
+                valueOf = (p) => BABYLON.Vector3.Dot(p, up);
+                break;
+            case "plane": {
+                const plane = GeometryHelper.fitPlaneToCloud(samplePositions(meshes));
+                if (!plane) {
+                    showMessage("The mesh is too flat or too small to fit a plane");
+                    return null;
+                }
+                // Normal is turned upwards, so that bumps are positive
+                if (BABYLON.Vector3.Dot(plane.normal, up) < 0) plane.normal.scaleInPlace(-1);
+                valueOf = (p) => BABYLON.Vector3.Dot(p.subtract(plane.origin), plane.normal);
+                break;
+            }
+            case "centerline": {
+                const state = MeasurementTool.getState();
+                if (!state || state.mode !== "path" || state.points.filter(Boolean).length < 2) {
+                    showMessage("Draw the centerline with the measurement tool in Path mode first");
+                    return null;
+                }
+                const world = sceneMesh.computeWorldMatrix(true);
+                const centerline = state.points.filter(Boolean).map(p => BABYLON.Vector3.TransformCoordinates(BABYLON.Vector3.FromArray(p), world));
+                valueOf = (p) => GeometryHelper.distanceToPolyline(p, centerline);
+                break;
+            }
+        }
+
+        const result = meshes.map(mesh => {
+            const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+            const world = mesh.getWorldMatrix();
+            const meshValues = new Float32Array(positions.length / 3);
+            const p = new BABYLON.Vector3();
+            for (let i = 0; i < meshValues.length; ++i) {
+                BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], world, p);
+                meshValues[i] = valueOf(p);
+            }
+            return {mesh, values: meshValues};
+        });
+
+        // Heights start from the lowest vertex
+        if (mode === "height") {
+            const lowest = Math.min(...result.map(({values}) => values.reduce((min, v) => Math.min(min, v), Infinity)));
+            result.forEach(({values}) => values.forEach((v, i) => values[i] = v - lowest));
+        }
+        return result;
+    }
+
+    // LOCAL FUNCTION
+    // Returns world positions of the vertices of the given meshes, at most maxFitPoints of them
+    function samplePositions(meshes) {
+        const total = meshes.reduce((sum, mesh) => sum + mesh.getTotalVertices(), 0);
+        const stride = Math.max(1, Math.ceil(total / maxFitPoints));
+        const points = [];
+        meshes.forEach(mesh => {
+            const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+            const world = mesh.getWorldMatrix();
+            for (let i = 0; i < positions.length / 3; i += stride) {
+                points.push(BABYLON.Vector3.TransformCoordinatesFromFloats(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], world));
+            }
+        });
+        return points;
+    }
+
+    // LOCAL FUNCTION
+    // Writes the vertex colors from the computed values, the current ramp and range, and shows the legend
+    function applyColors() {
+        const unit = getUnit();
+        const shownRange = range || getAutoRange(unit.factor);
+        const stops = ramps[ramp];
+        shownFactor = unit.factor;
+
+        vertexValues.forEach(({mesh, values}) => {
+            if (!originalColors.has(mesh)) {
+                const buffer = mesh.getVertexBuffer(BABYLON.VertexBuffer.ColorKind);
+                originalColors.set(mesh, buffer ? {data: mesh.getVerticesData(BABYLON.VertexBuffer.ColorKind), size: buffer.getSize()} : null);
+            }
+
+            const colors = new Float32Array(values.length * 4);
+            for (let i = 0; i < values.length; ++i) {
+                const t = (values[i] * unit.factor - shownRange.min) / (shownRange.max - shownRange.min || 1);
+                writeColor(stops, Math.min(1, Math.max(0, t)), colors, i * 4);
+            }
+            setColors(mesh, {data: colors, size: 4});
+        });
+        RenderPanel.setOverlayMaterial(overlayMaterial);
+
+        showLegend(shownRange, unit);
+        if (heatMinInput && document.activeElement !== heatMinInput) heatMinInput.value = formatValue(shownRange.min, unit);
+        if (heatMaxInput && document.activeElement !== heatMaxInput) heatMaxInput.value = formatValue(shownRange.max, unit);
+    }
+
+    // LOCAL FUNCTION
+    // Removes the overlay: meshes get their own vertex colors and materials back, and the legend is hidden
+    function removeOverlay() {
+        RenderPanel.setOverlayMaterial(null);
+        originalColors.forEach((colors, mesh) => {
+            if (!mesh.isDisposed()) setColors(mesh, colors);
+        });
+        originalColors.clear();
+        vertexValues = [];
+        if (heatLegend) heatLegend.classList.remove("is-visible");
+    }
+
+    // LOCAL FUNCTION
+    // Replaces the vertex colors of a mesh, {data, size} (3 for RGB, 4 for RGBA), null removes them
+    // Draw cache is reset as the material dirty mechanism is blocked and the color attribute may appear or disappear
+    function setColors(mesh, colors) {
+        if (colors) mesh.setVerticesData(BABYLON.VertexBuffer.ColorKind, colors.data, true, colors.size);
+        else mesh.removeVerticesData(BABYLON.VertexBuffer.ColorKind);
+        mesh.resetDrawCache();
+    }
+
+    // LOCAL FUNCTION
+    // Interpolates a ramp at t (from 0 to 1), writing [r, g, b, 1] in the given array at the given offset
+    function writeColor(stops, t, colors, offset) {
+        const position = t * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const f = position - index;
+        for (let c = 0; c < 3; ++c) {
+            colors[offset + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * f;
+        }
+        colors[offset + 3] = 1;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the unit of the values: meters when the scale is known, mesh units otherwise, {factor, scaled}
+    function getUnit() {
+        const scale = MeasurementTool.getScale();
+        return scale.error ? {factor: 1, scaled: false} : {factor: scale.value, scaled: true};
+    }
+
+    // LOCAL FUNCTION
+    // Default range, from the 2nd to the 98th percentile so that a few stray vertices don't flatten the ramp
+    // Signed distances get a range centered on 0
+    function getAutoRange(factor) {
+        const sample = [];
+        const total = vertexValues.reduce((sum, {values}) => sum + values.length, 0);
+        const stride = Math.max(1, Math.floor(total / 10000));
+        vertexValues.forEach(({values}) => {
+            for (let i = 0; i < values.length; i += stride) sample.push(values[i] * factor);
+        });
+        sample.sort((a, b) => a - b);
+
+        const low = sample[Math.floor(sample.length * 0.02)];
+        const high = sample[Math.min(sample.length - 1, Math.floor(sample.length * 0.98))];
+        if (mode === "plane") {
+            const extent = Math.max(Math.abs(low), Math.abs(high));
+            return {min: -extent, max: extent};
+        }
+        return {min: low, max: high};
+    }
+
+    // LOCAL FUNCTION
+    // Writes a value of the legend, in the best length unit when the scale is known
+    function formatValue(value, unit) {
+        return unit.scaled ? ConversionHelper.metersToString(value, 2) : `${value.toFixed(3)} units`;
+    }
+
+    // LOCAL FUNCTION
+    // Shows the legend with the ramp and the values of its ends and middle
+    function showLegend(shownRange, unit) {
+        if (!heatLegend) return;
+        const stops = ramps[ramp].map((c, i, all) => `rgb(${c.map(v => Math.round(v * 255)).join(", ")}) ${(i / (all.length - 1) * 100).toFixed(0)}%`);
+        heatLegendBar.style.background = `linear-gradient(to right, ${stops.join(", ")})`;
+        heatLegendTitle.textContent = {height: "Height", plane: "Distance from the fitted plane", centerline: "Distance from the centerline"}[mode];
+        heatLegendMin.textContent = formatValue(shownRange.min, unit);
+        heatLegendMid.textContent = formatValue((shownRange.min + shownRange.max) / 2, unit);
+        heatLegendMax.textContent = formatValue(shownRange.max, unit);
+        heatLegend.classList.add("is-visible");
+    }
+
+    // LOCAL FUNCTION
+    // Writes a message under the overlay settings, e.g. why the overlay can't be shown
+    function showMessage(text) {
+        if (heatMessage) heatMessage.textContent = text;
+    }
+
+    // LOCAL FUNCTION
+    // Reads the clamping range typed by the user, in real units (e.g. "-5 cm") or mesh units without scale
+    function readRange() {
+        const unit = getUnit();
+        const parse = (text) => unit.scaled ? ConversionHelper.parseLength(text) : {value: parseFloat(text.replace(",", "."))};
+        const min = parse(heatMinInput.value), max = parse(heatMaxInput.value);
+        if (min.error || max.error) {
+            showMessage(`Range is invalid: ${min.error || max.error}`);
+            return;
+        }
+        if (isNaN(min.value) || isNaN(max.value) || min.value >= max.value) {
+            showMessage("Range is invalid, the minimum must be below the maximum");
+            return;
+        }
+        showMessage("");
+        range = {min: min.value, max: max.value};
+        if (vertexValues.length > 0) applyColors();
+    }
+
+    // LOCAL FUNCTION
+    // Returns the meshes of the current scene that have triangles
+    function getSceneMeshes() {
+        if (!sceneMesh) return [];
+        return [sceneMesh].concat(sceneMesh.getChildMeshes()).filter(mesh => mesh.getTotalVertices && mesh.getTotalVertices() > 0);
+    }
+
+    // Initializes the overlay in the given scene, its settings are in the render panel
+    async function init(babylonScene) {
+        scene = babylonScene;
+
+        overlayMaterial = new BABYLON.StandardMaterial("Heatmap Material", scene);
+        overlayMaterial.diffuseColor = BABYLON.Color3.White();
+        overlayMaterial.emissiveColor = new BABYLON.Color3(0.25, 0.25, 0.25); // colors stay readable in the shadows
+        overlayMaterial.specularColor = BABYLON.Color3.Black();
+        overlayMaterial.backFaceCulling = false;
+
+        heatModeSelect = document.getElementById("heatModeSelect");
+        heatRampSelect = document.getElementById("heatRampSelect");
+        heatMinInput = document.getElementById("heat-min-input");
+        heatMaxInput = document.getElementById("heat-max-input");
+        heatAutoButton = document.getElementById("heatAutoButton");
+        heatMessage = document.getElementById("heatMessage");
+        heatLegend = document.getElementById("heatLegend");
+        heatLegendBar = document.getElementById("heatLegendBar");
+        heatLegendMin = document.getElementById("heatLegendMin");
+        heatLegendMid = document.getElementById("heatLegendMid");
+        heatLegendMax = document.getElementById("heatLegendMax");
+        heatLegendTitle = document.getElementById("heatLegendTitle");
+
+        heatModeSelect.addEventListener("change", () => setMode(heatModeSelect.value));
+
+        heatRampSelect.addEventListener("change", () => {
+            ramp = ramps[heatRampSelect.value] ? heatRampSelect.value : "viridis";
+            if (vertexValues.length > 0) applyColors();
+        });
+
+        heatMinInput.addEventListener("change", readRange);
+        heatMaxInput.addEventListener("change", readRange);
+
+        heatAutoButton.addEventListener("click", () => {
+            range = null;
+            showMessage("");
+            if (vertexValues.length > 0) applyColors();
+        });
+
+        // Legend follows the scale, which can change with the reference line of the measurement tool
+        MeasurementTool.onChangeObservable.add(() => {
+            if (vertexValues.length === 0 || getUnit().factor === shownFactor) return;
+            range = null;
+            applyColors();
+        });
+
+        // Legend and range are written again in the output unit chosen by the user
+        ConversionHelper.addSettingsListener(() => {
+            if (vertexValues.length > 0) applyColors();
+        });
+    }
+
+    // Set current scene, the overlay is turned off
+    function loadScene(name, mesh) {
+        setMode("none");
+        sceneMesh = mesh;
+    }
+
+    // Replace the current scene's mesh by another level of detail of the same model, the overlay is computed again on it
+    function setMesh(mesh) {
+        const shownRange = range;
+        removeOverlay();
+        sceneMesh = mesh;
+        range = shownRange;
+        if (mode !== "none") update();
+    }
+
+    // Forget current scene (e.g., when going back to the map), its mesh gets its own colors back
+    function unloadScene() {
+        setMode("none");
+        sceneMesh = null;
+    }
+
+    return {
+        init,
+        setMode,
+        loadScene,
+        setMesh,
+        unloadScene
+    };
+})();
+
+export default HeatmapOverlay;
@@ -0,0 +1,426 @@
+/*********************************************************************************************
+ * Input Manager                                                                             *
+ * Gestures of mouse, pen and touch pointers (tap, long-press, drag, pinch, wheel) with a    *
+ * movement tolerance, and keyboard actions whose keys can be remapped by the user           *
+ * Key bindings are kept in the browser                                                      *
+ *********************************************************************************************/
+
+const InputManager = (function () {
+    const storageKey = "aqueducts.keys"; // localStorage key for the keys remapped by the user, {action: [combo, ...]}
+    const tapTolerance = {mouse: 4, pen: 8, touch: 12}; // Distance (CSS pixels) a pointer may move and still tap, by pointer type
+    const longPressDelay = 550; // Time (ms) a pointer must be held still for a long-press
+
+    const actions = new Map(); // Registered keyboard actions by name, {name, label, group, defaults, keys, handler}
+    const exclusiveRecognizers = []; // Exclusive gesture recognizers, in creation order, {element}
+    var capturingAction = null; // Action waiting for the key the user wants to give it, null otherwise
+    var refusedCombo = null; // Last key refused for the capturing action because another action of its group uses it, {combo, action}
+    var keysPanel, keysCloseButton, keysList, keysResetButton; // HTML UI elements
+
+    /* Recognizes the gestures of the pointers on an element, and calls the matching handlers with a gesture object
+    /  handlers: onPress, onTap, onLongPress, onDragStart, onDrag, onDragEnd, onPinch, onWheel and onHover, all optional
+    /  A gesture is {x, y (CSS pixels, relative to the element), button, ctrlKey, shiftKey, pointerType, event}
+    /  Drags add dx and dy since the press, pinches add scale (since the previous pinch event), dx and dy (moves of
+    /  the center since the previous pinch event), and wheels add deltaY
+    /  options.capture captures the pointer on press (e.g. a map being panned), others keep receiving the events if false
+    /  options.exclusive makes the tools mutually exclusive: of the exclusive recognizers of an element, only the last one
+    /  created receives gestures, the previous one gets them back when it is removed (e.g. a note placed over measurements)
+    /  Returns a function removing the listeners */
+    function createGestureRecognizer(element, handlers, options = {}) {
+        const pointers = new Map(); // Pointers held on the element, by id, {x, y}
+        var press = null; // Primary pointer's press, {id, x, y, gesture, moved, longPressed, cancelled}
+        var longPressTimer = null;
+        var pinch = null; // Distance and center of the two pinching pointers at the previous event
+
+        const recognizer = {element};
+        if (options.exclusive) exclusiveRecognizers.push(recognizer);
+
+        // Indicates if another exclusive recognizer of the element takes the gestures
+        const isOverridden = () => {
+            if (!options.exclusive) return false;
+            const last = exclusiveRecognizers.filter(other => other.element === element).pop();
+            return last !== recognizer;
+        };
+
+        const toGesture = (event) => {
+            const rect = element.getBoundingClientRect();
+            return {
+                x: event.clientX - rect.left,
+                y: event.clientY - rect.top,
+                button: event.button,
+                ctrlKey: event.ctrlKey,
+                shiftKey: event.shiftKey,
+                pointerType: event.pointerType || "mouse",
+                event
+            };
+        };
+
+        const call = (name, gesture) => {
+            if (handlers[name] && !isOverridden()) handlers[name](gesture);
+        };
+
+        const clearLongPress = () => {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        };
+
+        // A second finger turns the press into a pinch, it can't be a tap or a drag anymore
+        const cancelPress = (event) => {
+            if (!press) return;
+            clearLongPress();
+            if (press.moved) call("onDragEnd", {...toGesture(event), dx: 0, dy: 0});
+            press.cancelled = true;
+        };
+
+        const getPinch = () => {
+            const [a, b] = [...pointers.values()];
+            return {distance: Math.hypot(b.x - a.x, b.y - a.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2};
+        };
+
+        const onPointerDown = (event) => {
+            // A mouse has a single pointer, one still listed was released outside of the element
+            if (event.pointerType === "mouse" && pointers.size > 0) {
+                pointers.clear();
+                pinch = null;
+                press = null;
+                clearLongPress();
+            }
+            pointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+            if (options.capture) element.setPointerCapture(event.pointerId);
+
+            if (pointers.size > 1) {
+                cancelPress(event);
+                if (pointers.size === 2) pinch = getPinch();
+                return;
+            }
+
+            const gesture = toGesture(event);
+            press = {id: event.pointerId, x: event.clientX, y: event.clientY, gesture, moved: false, longPressed: false, cancelled: false};
+            call("onPress", gesture);
+
+            if (handlers.onLongPress) {
+                longPressTimer = setTimeout(() => {
+                    longPressTimer = null;
+                    if (!press || press.moved || press.cancelled) return;
+                    press.longPressed = true;
+                    call("onLongPress", press.gesture);
+                }, longPressDelay);
+            }
+        };
+
+        const onPointerMove = (event) => {
+            if (!pointers.has(event.pointerId)) {
+                if (pointers.size === 0) call("onHover", toGesture(event));
+                return;
+            }
+            pointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+
+            if (pinch && pointers.size === 2) {
+                const current = getPinch();
+                const rect = element.getBoundingClientRect();
+                call("onPinch", {
+                    ...toGesture(event),
+                    x: current.x - rect.left,
+                    y: current.y - rect.top,
+                    scale: pinch.distance > 0 ? current.distance / pinch.distance : 1,
+                    dx: current.x - pinch.x,
+                    dy: current.y - pinch.y
+                });
+                pinch = current;
+                return;
+            }
+
+            if (!press || press.cancelled || press.longPressed || event.pointerId !== press.id) return;
+            const dx = event.clientX - press.x;
+            const dy = event.clientY - press.y;
+            if (!press.moved) {
+                if (Math.hypot(dx, dy) <= (tapTolerance[press.gesture.pointerType] ?? tapTolerance.mouse)) return;
+                press.moved = true;
+                clearLongPress();
+                call("onDragStart", {...press.gesture, dx: 0, dy: 0});
+            }
+            call("onDrag", {...toGesture(event), dx, dy});
+        };
+
+        const onPointerUp = (event) => {
+            if (!pointers.has(event.pointerId)) return;
+            pointers.delete(event.pointerId);
+            if (pointers.size < 2) pinch = null;
+            if (!press || event.pointerId !== press.id) return;
+
+            clearLongPress();
+            const ended = press;
+            press = null;
+            if (ended.cancelled || ended.longPressed) return;
+
+            if (ended.moved) call("onDragEnd", {...toGesture(event), dx: event.clientX - ended.x, dy: event.clientY - ended.y});
+            else if (event.type === "pointerup") call("onTap", {...ended.gesture, event});
+        };
+
+        const onWheel = (event) => {
+            event.preventDefault();
+            call("onWheel", {...toGesture(event), deltaY: event.deltaY});
+        };
+
+        // Long-presses would also open the browser's context menu on touch screens
+        const onContextMenu = (event) => {
+            if (handlers.onLongPress || handlers.onTap) event.preventDefault();
+        };
+
+        element.addEventListener("pointerdown", onPointerDown);
+        element.addEventListener("pointermove", onPointerMove);
+        element.addEventListener("pointerup", onPointerUp);
+        element.addEventListener("pointercancel", onPointerUp);
+        element.addEventListener("contextmenu", onContextMenu);
+        if (handlers.onWheel) element.addEventListener("wheel", onWheel, {passive: false});
+
+        return () => {
+            const index = exclusiveRecognizers.indexOf(recognizer);
+            if (index >= 0) exclusiveRecognizers.splice(index, 1);
+            clearLongPress();
+            element.removeEventListener("pointerdown", onPointerDown);
+            element.removeEventListener("pointermove", onPointerMove);
+            element.removeEventListener("pointerup", onPointerUp);
+            element.removeEventListener("pointercancel", onPointerUp);
+            element.removeEventListener("contextmenu", onContextMenu);
+            element.removeEventListener("wheel", onWheel);
+        };
+    }
+
+    /* Registers a keyboard action, triggered by the keys the user gave it or by its default keys
+    /  options.label and options.group describe it in the shortcuts panel, options.keys are its default combos (e.g. "Ctrl+Z")
+    /  handler(event) is called when one of its keys is pressed, and returns false if the action doesn't apply right now
+    /  Keys without Shift also match with Shift held, when no action uses the combo with Shift (e.g. bigger nudges) */
+    function registerAction(name, options, handler) {
+        const action = {name, label: options.label || name, group: options.group || "", defaults: options.keys || [], keys: null, handler};
+        action.keys = readBindings()[name] || action.defaults;
+        actions.set(name, action);
+        refreshKeysList();
+    }
+
+    // Returns the keys of an action, e.g. to show them in a hint
+    function getKeys(name) {
+        const action = actions.get(name);
+        return action ? action.keys.slice() : [];
+    }
+
+    // Gives an action new keys, kept in the browser, an empty list leaves it without keys
+    function setKeys(name, keys) {
+        const action = actions.get(name);
+        if (!action) return;
+        action.keys = keys.slice();
+
+        const bindings = readBindings();
+        bindings[name] = action.keys;
+        writeBindings(bindings);
+        refreshKeysList();
+    }
+
+    // Gives every action its default keys back
+    function resetKeys() {
+        actions.forEach(action => action.keys = action.defaults);
+        writeBindings({});
+        refreshKeysList();
+    }
+
+    // LOCAL FUNCTION
+    // Reads the keys remapped by the user, by action name
+    function readBindings() {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // LOCAL FUNCTION
+    function writeBindings(bindings) {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(bindings));
+        } catch (error) {
+            console.error("Failed to store key bindings", error);
+        }
+    }
+
+    // Returns the combo of a keyboard event, e.g. "Ctrl+Shift+Z", "ArrowLeft" or "Space"
+    // Returns null for modifier keys pressed alone
+    function getCombo(event) {
+        if (["Control", "Shift", "Alt", "Meta"].includes(event.key)) return null;
+
+        let key = event.key === " " ? "Space" : event.key;
+        if (key.length === 1) key = key.toUpperCase();
+
+        const parts = [];
+        if (event.ctrlKey) parts.push("Ctrl");
+        if (event.altKey) parts.push("Alt");
+        if (event.shiftKey) parts.push("Shift");
+        if (event.metaKey) parts.push("Meta");
+        parts.push(key);
+        return parts.join("+");
+    }
+
+    // LOCAL FUNCTION
+    // Triggers the actions bound to the pressed keys, the first one that applies stops the event
+    // Listened in the capture phase, so that the camera doesn't also move with keys used by an action
+    function onKeyDown(event) {
+        if (capturingAction) {
+            captureKey(event);
+            return;
+        }
+        if (isTyping(event.target)) return;
+
+        const combo = getCombo(event);
+        if (!combo) return;
+
+        let matching = [...actions.values()].filter(action => action.keys.includes(combo));
+        if (matching.length === 0 && event.shiftKey) {
+            const withoutShift = combo.replace("Shift+", "");
+            matching = [...actions.values()].filter(action => action.keys.includes(withoutShift));
+        }
+
+        for (const action of matching) {
+            if (action.handler(event) === false) continue;
+            event.preventDefault();
+            event.stopPropagation();
+            return;
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if keys go to a text field, actions are not triggered then
+    function isTyping(target) {
+        return !!target && (["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || target.isContentEditable);
+    }
+
+    /////////////////////////
+    //  Shortcuts panel    //
+    /////////////////////////
+
+    // Opens the panel listing the actions and their keys
+    function showKeys() {
+        refreshKeysList();
+        keysPanel.classList.add("is-visible");
+    }
+
+    // LOCAL FUNCTION
+    function hideKeys() {
+        capturingAction = null;
+        refusedCombo = null;
+        keysPanel.classList.remove("is-visible");
+    }
+
+    // LOCAL FUNCTION
+    // Lists the actions by group, each with a button that waits for its new key
+    function refreshKeysList() {
+        if (!keysList) return;
+        keysList.replaceChildren();
+
+        let group = null;
+        actions.forEach(action => {
+            if (action.group !== group) {
+                group = action.group;
+                const heading = document.createElement("li");
+                heading.className = "keys-group";
+                heading.textContent = group;
+                keysList.appendChild(heading);
+            }
+
+            const item = document.createElement("li");
+            item.className = "keys-entry";
+            const label = document.createElement("span");
+            label.textContent = action.label;
+
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "mt-action keys-binding";
+            button.textContent = capturingAction === action ? "Press a key..." : (action.keys.join(", ") || "None");
+            button.setAttribute("aria-label", `Change the keys of ${action.label}`);
+            button.addEventListener("click", () => {
+                capturingAction = capturingAction === action ? null : action;
+                refusedCombo = null;
+                refreshKeysList();
+            });
+
+            // Keys shared within a group (e.g. kept from older bindings) only trigger the first action, they are flagged
+            const conflicts = action.keys.map(combo => getConflict(action, combo)).filter(other => other);
+            if (conflicts.length > 0) {
+                button.classList.add("is-conflicting");
+                button.title = `Also used by ${conflicts.map(other => other.label).join(", ")}`;
+            }
+
+            item.append(label, button);
+            keysList.appendChild(item);
+
+            if (capturingAction === action && refusedCombo) {
+                const message = document.createElement("li");
+                message.className = "keys-message";
+                message.textContent = `${refusedCombo.combo} is already used by ${refusedCombo.action.label}, press another key.`;
+                keysList.appendChild(message);
+            }
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Returns the other action of the same group bound to the given combo, null if there is none
+    function getConflict(action, combo) {
+        for (const other of actions.values()) {
+            if (other !== action && other.group === action.group && other.keys.includes(combo)) return other;
+        }
+        return null;
+    }
+
+    // LOCAL FUNCTION
+    // Gives the pressed key to the action waiting for it, Escape cancels and Backspace removes its keys
+    // A key used by another action of the same group is refused, the action keeps waiting for another one
+    function captureKey(event) {
+        const combo = getCombo(event);
+        if (!combo) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const action = capturingAction;
+        const conflict = getConflict(action, combo);
+        if (conflict && combo !== "Escape" && combo !== "Backspace") {
+            refusedCombo = {combo, action: conflict};
+            refreshKeysList();
+            return;
+        }
+
+        capturingAction = null;
+        refusedCombo = null;
+        if (combo === "Escape") refreshKeysList();
+        else setKeys(action.name, combo === "Backspace" ? [] : [combo]);
+    }
+
+    // Initializes the keyboard actions and the shortcuts panel
+    function init() {
+        keysPanel = document.getElementById("keysPanel");
+        keysCloseButton = document.getElementById("keysCloseButton");
+        keysList = document.getElementById("keysList");
+        keysResetButton = document.getElementById("keysResetButton");
+
+        // Any button with data-show-keys opens the panel (the Measurement Tool and the map menu have one)
+        document.querySelectorAll("[data-show-keys]").forEach(button => button.addEventListener("click", showKeys));
+        keysCloseButton.addEventListener("click", hideKeys);
+        keysResetButton.addEventListener("click", () => {
+            capturingAction = null;
+            refusedCombo = null;
+            resetKeys();
+        });
+
+        window.addEventListener("keydown", onKeyDown, true);
+        refreshKeysList();
+    }
+
+    return {
+        init,
+        createGestureRecognizer,
+        registerAction,
+        getKeys,
+        setKeys,
+        resetKeys,
+        getCombo,
+        showKeys
+    };
+})();
+
+export default InputManager;
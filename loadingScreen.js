@@ -0,0 +1,81 @@
+/*********************************************************************************************
+ * Loading Screen                                                                            *
+ * Covers the app while a model loads, with its progress and a button cancelling the load,   *
+ * and tells why a model couldn't be loaded with buttons to retry or to go back              *
+ *********************************************************************************************/
+
+const LoadingScreen = (function () {
+    var engine; // Babylon engine, whose own loading UI is shown with the screen
+    var screen, text, errorText, retryButton, backButton, cancelButton; // HTML UI elements
+    var onCancel = null, onRetry = null, onBack = null; // Handlers of the shown screen's buttons
+
+    // Gets the screen's elements, engine being the Babylon engine
+    function init(babylonEngine) {
+        engine = babylonEngine;
+        screen = document.getElementById("loadingScreen");
+        text = document.getElementById("loadingScreenText");
+        errorText = document.getElementById("loadingScreenError");
+        retryButton = document.getElementById("loadingRetryButton");
+        backButton = document.getElementById("loadingBackButton");
+        cancelButton = document.getElementById("loadingCancelButton");
+
+        retryButton.addEventListener("click", () => onRetry && onRetry());
+        backButton.addEventListener("click", () => onBack && onBack());
+        cancelButton.addEventListener("click", () => onCancel && onCancel());
+    }
+
+    // Shows the screen at 0%, cancel is called when the user cancels the load (no button if it is not given)
+    function show(cancel) {
+        onCancel = cancel || null;
+        onRetry = onBack = null;
+        engine.displayLoadingUI();
+        screen.dataset.state = "loading";
+        screen.style.display = "block";
+        text.innerText = "0%";
+        errorText.textContent = "";
+        cancelButton.hidden = !onCancel;
+        retryButton.hidden = backButton.hidden = true;
+        if (onCancel) cancelButton.focus({ preventScroll: true });
+    }
+
+    // Shows the loaded percentage
+    function setProgress(percent) {
+        text.innerText = percent + "%";
+    }
+
+    /* Replaces the progress by an error message, with a button retrying the load (if retry is given)
+    /  and one calling back, labelled backLabel */
+    function showError(message, retry, back, backLabel = "Back to Map") {
+        onCancel = null;
+        onRetry = retry || null;
+        onBack = back;
+        engine.hideLoadingUI();
+        screen.dataset.state = "error";
+        screen.style.display = "block";
+        text.innerText = "Loading failed";
+        errorText.textContent = message;
+        cancelButton.hidden = true;
+        retryButton.hidden = !onRetry;
+        backButton.hidden = false;
+        backButton.textContent = backLabel;
+        (onRetry ? retryButton : backButton).focus({ preventScroll: true });
+    }
+
+    // Hides the screen
+    function hide() {
+        onCancel = onRetry = onBack = null;
+        engine.hideLoadingUI();
+        screen.style.display = "none";
+        delete screen.dataset.state;
+    }
+
+    return {
+        init,
+        show,
+        setProgress,
+        showError,
+        hide
+    };
+})();
+
+export default LoadingScreen;
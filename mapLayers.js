@@ -0,0 +1,293 @@
+/*********************************************************************************************
+ * Map Layers                                                                                *
+ * Draws the map menu's layers (map.layers in scenes.json), single images or tiled image     *
+ * pyramids of which only the tiles in view at a matching resolution are loaded, and lets    *
+ * the user switch the base layer and toggle the overlays                                    *
+ *********************************************************************************************/
+
+const MapLayers = (function () {
+    const storageKey = "aqueducts.mapLayers"; // Shown layers, kept in the browser
+    const defaultLayers = [{id: "historical", label: "Historical map", type: "base", image: "./gui/map.jpg"}];
+
+    var container, panel, baseSelect, overlayList; // HTML UI elements
+    var layers = []; // Layers as in scenes.json with their state, {config, element, image, tiles, failed, visible}
+    var mapSize = null; // Size of the map in map pixels, {width, height}
+    var view = null; // Last view given by the map, {scale, offset, width, height}
+    var updateRequested = false; // Indicates if the tiles are updated at the next frame
+
+    /* Creates the layers of the map (map from scenes.json) in the given elements, the default map image if it has none
+    /  Resolves to {width, height, maxScale}, the size of the map in map pixels and the zoom showing the finest tiles
+    /  at full resolution, or null if the size can't be known (the first base layer's image failed to load) */
+    async function init(elements, map = {}) {
+        container = elements.container;
+        panel = elements.panel;
+        baseSelect = elements.baseSelect;
+        overlayList = elements.overlayList;
+
+        const configs = map.layers && map.layers.some(layer => layer.type !== "overlay") ? map.layers : [...defaultLayers, ...(map.layers || [])];
+        const stored = readStored();
+        const firstBase = configs.find(config => config.type !== "overlay");
+        const storedBase = configs.find(config => config.type !== "overlay" && config.id === stored.base);
+
+        layers = configs.map(config => {
+            const element = document.createElement("div");
+            element.className = "map-layer";
+            element.style.opacity = config.opacity ?? 1;
+            container.appendChild(element);
+
+            const layer = {config, element, image: null, tiles: new Map(), failed: new Set(), visible: false};
+            if (config.type === "overlay") {
+                layer.visible = Array.isArray(stored.overlays) ? stored.overlays.includes(config.id) : !!config.visible;
+            } else {
+                layer.visible = config === (storedBase || firstBase);
+            }
+            return layer;
+        });
+
+        createSwitcher();
+        layers.forEach(layer => layer.element.classList.toggle("is-visible", layer.visible));
+
+        // The map's size is the first base layer's unless given, an image must be loaded to know it
+        if (map.width && map.height) {
+            mapSize = {width: map.width, height: map.height};
+        } else if (firstBase.tiles) {
+            mapSize = {width: firstBase.tiles.width, height: firstBase.tiles.height};
+        } else {
+            const image = loadImage(layers.find(layer => layer.config === firstBase));
+            try {
+                await image.decode();
+            } catch (error) {
+                console.error(`Failed to load the map image ${firstBase.image}`);
+                return null;
+            }
+            mapSize = {width: image.naturalWidth, height: image.naturalHeight};
+        }
+
+        layers.filter(layer => layer.visible && layer.config.image).forEach(loadImage);
+
+        // Zooming in until the finest tiles are drawn at one screen pixel per tile pixel
+        const maxScale = Math.max(0, ...configs.filter(config => config.tiles).map(config => config.tiles.width / mapSize.width));
+        return {...mapSize, maxScale};
+    }
+
+    // Shows the tiles in view, called with the map's view whenever it changes, {scale, offset, width, height}
+    // The tiles are updated once per frame at most
+    function update(newView) {
+        view = newView;
+        if (updateRequested) return;
+        updateRequested = true;
+        requestAnimationFrame(() => {
+            updateRequested = false;
+            layers.filter(layer => layer.visible && layer.config.tiles).forEach(updateTiles);
+        });
+    }
+
+    // Shows a base layer instead of the current one
+    function setBaseLayer(id) {
+        const chosen = layers.find(layer => layer.config.type !== "overlay" && layer.config.id === id);
+        if (!chosen) return;
+        layers.filter(layer => layer.config.type !== "overlay").forEach(layer => setVisible(layer, layer === chosen));
+        if (baseSelect) baseSelect.value = id;
+        writeStored();
+    }
+
+    // Shows or hides an overlay
+    function setOverlayVisible(id, visible) {
+        const layer = layers.find(other => other.config.type === "overlay" && other.config.id === id);
+        if (!layer) return;
+        setVisible(layer, visible);
+        const input = overlayList && overlayList.querySelector(`input[data-layer="${CSS.escape(id)}"]`);
+        if (input) input.checked = visible;
+        writeStored();
+    }
+
+    // LOCAL FUNCTION
+    function setVisible(layer, visible) {
+        layer.visible = visible;
+        layer.element.classList.toggle("is-visible", visible);
+        if (!visible) return;
+
+        if (layer.config.image) loadImage(layer);
+        else if (view) update(view);
+    }
+
+    // LOCAL FUNCTION
+    // Fills the layer switcher, which is only shown when there is something to switch
+    function createSwitcher() {
+        const bases = layers.filter(layer => layer.config.type !== "overlay");
+        const overlays = layers.filter(layer => layer.config.type === "overlay");
+        if (!panel) return;
+        panel.classList.toggle("is-visible", bases.length > 1 || overlays.length > 0);
+
+        if (baseSelect) {
+            baseSelect.replaceChildren(...bases.map(layer => new Option(layer.config.label || layer.config.id, layer.config.id, false, layer.visible)));
+            baseSelect.disabled = bases.length < 2;
+            baseSelect.addEventListener("change", () => setBaseLayer(baseSelect.value));
+        }
+
+        if (overlayList) {
+            overlayList.replaceChildren(...overlays.map(layer => {
+                const label = document.createElement("label");
+                label.className = "mt-check";
+                const input = document.createElement("input");
+                input.type = "checkbox";
+                input.dataset.layer = layer.config.id;
+                input.checked = layer.visible;
+                input.addEventListener("change", () => setOverlayVisible(layer.config.id, input.checked));
+                label.append(input, ` ${layer.config.label || layer.config.id}`);
+                return label;
+            }));
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Creates the image of a single image layer (once), stretched over the whole map
+    function loadImage(layer) {
+        if (layer.image) return layer.image;
+        const image = document.createElement("img");
+        image.className = "map-layer-image";
+        image.alt = layer.config.label || layer.config.id;
+        image.draggable = false;
+        image.src = layer.config.image;
+        layer.element.appendChild(image);
+        layer.image = image;
+        return image;
+    }
+
+    /* LOCAL FUNCTION
+    /  Loads the tiles of a pyramid layer covering the view, at the level whose pixels are closest to the screen's
+    /  (rounding to the finer one), and drops the others. The level fitting in a single tile stays loaded under
+    /  them, so that the map isn't blank while tiles load */
+    function updateTiles(layer) {
+        if (!view || !mapSize) return;
+        const tiles = getPyramid(layer.config.tiles);
+
+        const mapPerLayerPixel = mapSize.width / tiles.width;
+        const screenPerLayerPixel = view.scale * mapPerLayerPixel * (window.devicePixelRatio || 1);
+        const level = Math.max(tiles.previewLevel, Math.min(tiles.maxLevel, tiles.maxLevel - Math.floor(Math.log2(1 / screenPerLayerPixel))));
+
+        // Part of the map in view, in map pixels
+        const visible = {
+            left: Math.max(0, -view.offset.x / view.scale),
+            top: Math.max(0, -view.offset.y / view.scale),
+            right: Math.min(mapSize.width, (view.width - view.offset.x) / view.scale),
+            bottom: Math.min(mapSize.height, (view.height - view.offset.y) / view.scale)
+        };
+
+        const wanted = new Set();
+        [tiles.previewLevel, level].forEach(z => {
+            const grid = getGrid(tiles, z);
+            const mapPerLevelPixel = mapPerLayerPixel * grid.factor;
+            const toColumn = (x) => Math.floor(x / mapPerLevelPixel / tiles.tileSize);
+            const toRow = (y) => Math.floor(y / mapPerLevelPixel / tiles.tileSize);
+
+            const columns = [Math.max(0, toColumn(visible.left)), Math.min(grid.columns - 1, toColumn(visible.right))];
+            const rows = [Math.max(0, toRow(visible.top)), Math.min(grid.rows - 1, toRow(visible.bottom))];
+            for (let x = columns[0]; x <= columns[1]; x++) {
+                for (let y = rows[0]; y <= rows[1]; y++) {
+                    const key = `${z}/${x}/${y}`;
+                    wanted.add(key);
+                    if (!layer.tiles.has(key) && !layer.failed.has(key)) {
+                        layer.tiles.set(key, createTile(layer, tiles, grid, z, x, y, mapPerLevelPixel));
+                    }
+                }
+            }
+        });
+
+        layer.tiles.forEach((tile, key) => {
+            if (wanted.has(key)) return;
+            tile.src = ""; // stops the download if it is still loading
+            tile.remove();
+            layer.tiles.delete(key);
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Creates a tile image, placed in map pixels. Tiles share overlap pixels with their neighbours, which are cut out
+    function createTile(layer, tiles, grid, z, x, y, mapPerLevelPixel) {
+        const key = `${z}/${x}/${y}`;
+        const left = x * tiles.tileSize - (x > 0 ? tiles.overlap : 0);
+        const top = y * tiles.tileSize - (y > 0 ? tiles.overlap : 0);
+        const width = Math.min(grid.width, (x + 1) * tiles.tileSize + tiles.overlap) - left;
+        const height = Math.min(grid.height, (y + 1) * tiles.tileSize + tiles.overlap) - top;
+
+        const tile = document.createElement("img");
+        tile.className = "map-tile";
+        tile.alt = "";
+        tile.draggable = false;
+        tile.style.left = `${left * mapPerLevelPixel}px`;
+        tile.style.top = `${top * mapPerLevelPixel}px`;
+        tile.style.width = `${width * mapPerLevelPixel}px`;
+        tile.style.height = `${height * mapPerLevelPixel}px`;
+        tile.style.zIndex = z; // finer levels over coarser ones
+        tile.addEventListener("load", () => tile.classList.add("is-loaded"), {once: true});
+        tile.addEventListener("error", () => {
+            if (!tile.isConnected) return; // dropped while loading
+            // Missing tiles (e.g. past the edges of XYZ pyramids) aren't requested again
+            layer.failed.add(key);
+            layer.tiles.delete(key);
+            tile.remove();
+        }, {once: true});
+        tile.src = tiles.url.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+
+        layer.element.appendChild(tile);
+        return tile;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the pyramid's settings with their defaults, and the coarsest level worth showing (fitting in one tile)
+    function getPyramid(config) {
+        const tileSize = config.tileSize || 256;
+        const maxLevel = config.maxLevel ?? Math.ceil(Math.log2(Math.max(config.width, config.height)));
+        const minLevel = Math.min(config.minLevel || 0, maxLevel);
+        const fitLevel = maxLevel - Math.max(0, Math.ceil(Math.log2(Math.max(config.width, config.height) / tileSize)));
+        return {
+            url: config.url,
+            width: config.width,
+            height: config.height,
+            tileSize,
+            overlap: config.overlap || 0,
+            minLevel,
+            maxLevel,
+            previewLevel: Math.max(minLevel, fitLevel)
+        };
+    }
+
+    // LOCAL FUNCTION
+    // Returns the size of a level in its own pixels, its number of tiles, and how many full resolution pixels its pixels cover
+    function getGrid(tiles, z) {
+        const factor = Math.pow(2, tiles.maxLevel - z);
+        const width = Math.ceil(tiles.width / factor);
+        const height = Math.ceil(tiles.height / factor);
+        return {factor, width, height, columns: Math.ceil(width / tiles.tileSize), rows: Math.ceil(height / tiles.tileSize)};
+    }
+
+    // LOCAL FUNCTION
+    function readStored() {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // LOCAL FUNCTION
+    function writeStored() {
+        const base = layers.find(layer => layer.config.type !== "overlay" && layer.visible);
+        const overlays = layers.filter(layer => layer.config.type === "overlay" && layer.visible).map(layer => layer.config.id);
+        try {
+            localStorage.setItem(storageKey, JSON.stringify({base: base && base.config.id, overlays}));
+        } catch (error) {
+            // storage unavailable (private browsing), the choice only lasts for the session
+        }
+    }
+
+    return {
+        init,
+        update,
+        setBaseLayer,
+        setOverlayVisible
+    };
+})();
+
+export default MapLayers;
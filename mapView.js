@@ -0,0 +1,291 @@
+/*********************************************************************************************
+ * Map View                                                                                  *
+ * Pans and zooms the map menu (drag, pinch, wheel and keys, anchored at the cursor or the   *
+ * pinch center), keeps the map in view, and groups the pins too close to each other into    *
+ * clusters with a count badge. The map's images are drawn by mapLayers.js                   *
+ *********************************************************************************************/
+
+import InputManager from "./inputManager.js";
+
+const MapView = (function () {
+    const defaultMinScale = 0.2, defaultMaxScale = 3; // Zoom limits, in screen pixels per map pixel
+    const clusterDistance = 40; // Distance (screen pixels) under which pins are grouped, pins are 48 pixels wide on screen
+    const keyPanStep = 80; // Distance (screen pixels) the map moves for each arrow key
+    const keyZoomFactor = 1.25; // Zoom change for each +/- key
+
+    var viewport, content, pinsLayer; // HTML elements: visible area, transformed content and pins layer
+    var mapSize = null; // Size of the map in map pixels, {width, height}, null until the layers give it
+    var maxScale = defaultMaxScale; // Largest zoom, layers with a finer resolution than the map raise it
+    var scale = 0.7; // Current zoom
+    var offset = {x: 0, y: 0}; // Position of the map's top left corner in the viewport, in screen pixels
+    var viewportSize = null; // Size of the viewport when the view was last placed, null until the map is fitted
+    var pins = []; // Pins on the map, {element, uvx, uvy, label}
+    var clusterElements = []; // Cluster badges currently shown
+    var clusteredScale = null; // Zoom for which the clusters were computed
+    var isActive = () => true; // Indicates if the map is shown, keys are only used then
+    var onChange = () => {}; // Called with the view, {scale, offset, width, height}, whenever it changes
+
+    /* Initializes the map in the given elements, it is shown once its size is given to setSize
+    /  options.isActive tells when the map is shown (for the keyboard), options.onChange is called when the view changes */
+    function init(elements, options = {}) {
+        viewport = elements.viewport;
+        content = elements.content;
+        pinsLayer = elements.pins;
+        isActive = options.isActive || isActive;
+        onChange = options.onChange || onChange;
+        if (!viewport || !content) return;
+
+        // Dragging pans the map, pinching and the wheel zoom it around the fingers or the cursor
+        let startOffset = {x: 0, y: 0};
+        InputManager.createGestureRecognizer(viewport, {
+            onDragStart: () => {
+                startOffset = {...offset};
+                viewport.classList.add("is-dragging");
+            },
+            onDrag: (gesture) => {
+                offset = {x: startOffset.x + gesture.dx, y: startOffset.y + gesture.dy};
+                applyTransform();
+            },
+            onDragEnd: () => {
+                viewport.classList.remove("is-dragging");
+            },
+            onPinch: (gesture) => {
+                offset = {x: offset.x + gesture.dx, y: offset.y + gesture.dy};
+                zoomAt(gesture.scale, gesture.x, gesture.y);
+            },
+            onWheel: (gesture) => {
+                zoomAt(gesture.deltaY > 0 ? 0.9 : 1.1, gesture.x, gesture.y);
+            }
+        }, {capture: true});
+
+        // Arrow keys pan, +/- zoom around the center, 0 fits the whole map, while the map is shown
+        const group = "Map";
+        const whenActive = (handler) => () => isActive() ? handler() : false;
+        InputManager.registerAction("map.panLeft", {label: "Pan left", group, keys: ["ArrowLeft"]}, whenActive(() => panBy(keyPanStep, 0)));
+        InputManager.registerAction("map.panRight", {label: "Pan right", group, keys: ["ArrowRight"]}, whenActive(() => panBy(-keyPanStep, 0)));
+        InputManager.registerAction("map.panUp", {label: "Pan up", group, keys: ["ArrowUp"]}, whenActive(() => panBy(0, keyPanStep)));
+        InputManager.registerAction("map.panDown", {label: "Pan down", group, keys: ["ArrowDown"]}, whenActive(() => panBy(0, -keyPanStep)));
+        InputManager.registerAction("map.zoomIn", {label: "Zoom in", group, keys: ["+", "="]}, whenActive(() => zoomAtCenter(keyZoomFactor)));
+        InputManager.registerAction("map.zoomOut", {label: "Zoom out", group, keys: ["-"]}, whenActive(() => zoomAtCenter(1 / keyZoomFactor)));
+        InputManager.registerAction("map.fit", {label: "Show the whole map", group, keys: ["0"]}, whenActive(fit));
+
+        window.addEventListener("resize", refresh);
+    }
+
+    // Gives the size of the map (pins are placed relatively to it) and shows the whole map
+    // newMaxScale optionally raises the largest zoom, e.g. for tiles finer than the map pixels
+    function setSize(width, height, newMaxScale) {
+        mapSize = {width, height};
+        maxScale = Math.max(defaultMaxScale, newMaxScale || 0);
+        viewportSize = null;
+        clusteredScale = null;
+        refresh();
+    }
+
+    // Adds a pin (an HTML element in the pins layer) at the given UV position, as in scenes.json
+    function addPin(element, uvx, uvy, label) {
+        element.style.left = `${uvx * 100}%`;
+        element.style.top = `${(1 - uvy) * 100}%`;
+        pins.push({element, uvx, uvy, label});
+        clusteredScale = null;
+        updateClusters();
+    }
+
+    /* Places the view again after the viewport was resized or shown: the first time the whole map is fitted,
+    /  afterwards the zoom is kept and the point at the center of the viewport stays there */
+    function refresh() {
+        const rect = viewport.getBoundingClientRect();
+        const size = mapSize;
+        if (rect.width === 0 || rect.height === 0 || !size) return; // hidden, or size not known yet
+
+        content.style.width = `${size.width}px`;
+        content.style.height = `${size.height}px`;
+        if (pinsLayer) {
+            pinsLayer.style.width = `${size.width}px`;
+            pinsLayer.style.height = `${size.height}px`;
+        }
+
+        if (!viewportSize) {
+            fit();
+            return;
+        }
+        offset = {
+            x: offset.x + (rect.width - viewportSize.width) / 2,
+            y: offset.y + (rect.height - viewportSize.height) / 2
+        };
+        viewportSize = {width: rect.width, height: rect.height};
+        applyTransform();
+    }
+
+    // Zooms out to show the whole map, centered
+    function fit() {
+        const rect = viewport.getBoundingClientRect();
+        const size = mapSize;
+        if (!size || rect.width === 0) return;
+
+        // Slightly zoomed in when the whole map is small, e.g. a portrait map on a landscape screen
+        const fitScale = Math.min(rect.width / size.width, rect.height / size.height);
+        scale = clampScale(Math.max(fitScale * 0.9, Math.min(fitScale * 1.3, 0.4)));
+        offset = {
+            x: (rect.width - size.width * scale) / 2,
+            y: (rect.height - size.height * scale) / 2
+        };
+        viewportSize = {width: rect.width, height: rect.height};
+        applyTransform();
+    }
+
+    // Zooms by the given factor, keeping the given viewport position (e.g. the cursor) over the same map point
+    function zoomAt(factor, x, y) {
+        const newScale = clampScale(scale * factor);
+        const ratio = newScale / scale;
+        offset = {x: x - (x - offset.x) * ratio, y: y - (y - offset.y) * ratio};
+        scale = newScale;
+        applyTransform();
+    }
+
+    // LOCAL FUNCTION
+    function zoomAtCenter(factor) {
+        const rect = viewport.getBoundingClientRect();
+        zoomAt(factor, rect.width / 2, rect.height / 2);
+    }
+
+    // LOCAL FUNCTION
+    function panBy(dx, dy) {
+        offset = {x: offset.x + dx, y: offset.y + dy};
+        applyTransform();
+    }
+
+    // Moves the map so that the given UV position (as in scenes.json) is at the center of the viewport
+    // If newScale is given, the map is zoomed to it first
+    function centerOn(uvx, uvy, newScale) {
+        const rect = viewport.getBoundingClientRect();
+        const size = mapSize;
+        if (!size) return;
+
+        if (newScale !== undefined) scale = clampScale(newScale);
+        offset = {
+            x: rect.width / 2 - uvx * size.width * scale,
+            y: rect.height / 2 - (1 - uvy) * size.height * scale
+        };
+        applyTransform();
+    }
+
+    // Centers the map on a pin, zooming in until it is out of its cluster (if it is in one)
+    function revealPin(element) {
+        const pin = pins.find(other => other.element === element);
+        if (!pin) return;
+
+        let newScale = scale;
+        while (newScale < maxScale && findGroups(newScale).some(group => group.members.length > 1 && group.members.includes(pin))) {
+            newScale = clampScale(newScale * 1.5);
+        }
+        centerOn(pin.uvx, pin.uvy, newScale);
+    }
+
+    // LOCAL FUNCTION
+    // Writes the zoom and position in the content's transform, after keeping the map in view
+    function applyTransform() {
+        clampOffset();
+        content.style.transform = `translate(${offset.x}px, ${offset.y}px) scale(${scale})`;
+        content.style.setProperty("--map-scale", scale); // pins keep their size on screen
+        if (scale !== clusteredScale) updateClusters();
+
+        const rect = viewport.getBoundingClientRect();
+        onChange({scale, offset: {...offset}, width: rect.width, height: rect.height});
+    }
+
+    // LOCAL FUNCTION
+    // Keeps the center of the viewport over the map, so that it can't be panned out of sight
+    function clampOffset() {
+        const rect = viewport.getBoundingClientRect();
+        const size = mapSize;
+        if (!size || rect.width === 0) return;
+
+        offset.x = Math.min(rect.width / 2, Math.max(rect.width / 2 - size.width * scale, offset.x));
+        offset.y = Math.min(rect.height / 2, Math.max(rect.height / 2 - size.height * scale, offset.y));
+    }
+
+    // LOCAL FUNCTION
+    // Keeps a zoom within the limits, the smallest one always lets the whole map be seen
+    function clampScale(value) {
+        const rect = viewport.getBoundingClientRect();
+        const size = mapSize;
+        const fitScale = size && rect.width > 0 ? Math.min(rect.width / size.width, rect.height / size.height) : defaultMinScale;
+        return Math.min(maxScale, Math.max(Math.min(defaultMinScale, fitScale * 0.5), value));
+    }
+
+    // LOCAL FUNCTION
+    // Groups the pins closer than clusterDistance on screen at the given zoom, each group starting from its first pin
+    // Returns [{members, uvx, uvy}], uvx and uvy being the mean position. Pins are never grouped at the maximum zoom
+    function findGroups(atScale) {
+        const size = mapSize;
+        const groups = [];
+        pins.forEach(pin => {
+            const x = pin.uvx * (size ? size.width : 0) * atScale;
+            const y = (1 - pin.uvy) * (size ? size.height : 0) * atScale;
+            const group = atScale < maxScale ? groups.find(other => Math.hypot(other.x - x, other.y - y) < clusterDistance) : null;
+            if (group) group.members.push(pin);
+            else groups.push({x, y, members: [pin]});
+        });
+        groups.forEach(group => {
+            group.uvx = group.members.reduce((sum, pin) => sum + pin.uvx, 0) / group.members.length;
+            group.uvy = group.members.reduce((sum, pin) => sum + pin.uvy, 0) / group.members.length;
+        });
+        return groups;
+    }
+
+    // LOCAL FUNCTION
+    // Hides the pins that are grouped at the current zoom and shows a badge for each group instead
+    function updateClusters() {
+        if (!pinsLayer || !mapSize) return;
+        clusteredScale = scale;
+
+        clusterElements.forEach(element => element.remove());
+        clusterElements = [];
+
+        findGroups(scale).forEach(group => {
+            const clustered = group.members.length > 1;
+            group.members.forEach(pin => pin.element.classList.toggle("is-clustered", clustered));
+            if (!clustered) return;
+
+            const names = group.members.map(pin => pin.label).join(", ");
+            const cluster = document.createElement("button");
+            cluster.type = "button";
+            cluster.className = "map-cluster";
+            cluster.style.left = `${group.uvx * 100}%`;
+            cluster.style.top = `${(1 - group.uvy) * 100}%`;
+            cluster.textContent = group.members.length;
+            cluster.title = names;
+            cluster.setAttribute("aria-label", `${group.members.length} sites: ${names}. Zoom in`);
+            cluster.addEventListener("pointerdown", (event) => event.stopPropagation());
+            cluster.addEventListener("click", () => zoomToGroup(group));
+
+            pinsLayer.appendChild(cluster);
+            clusterElements.push(cluster);
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Zooms in on a cluster until its pins are apart, centered on it
+    function zoomToGroup(group) {
+        const size = mapSize;
+        let spread = 0;
+        group.members.forEach(a => group.members.forEach(b => {
+            spread = Math.max(spread, Math.hypot((a.uvx - b.uvx) * size.width, (a.uvy - b.uvy) * size.height));
+        }));
+        centerOn(group.uvx, group.uvy, spread > 0 ? clusterDistance * 1.5 / spread : maxScale);
+    }
+
+    return {
+        init,
+        setSize,
+        addPin,
+        refresh,
+        fit,
+        zoomAt,
+        centerOn,
+        revealPin
+    };
+})();
+
+export default MapView;
@@ -0,0 +1,233 @@
+/******************************************************************************************************
+ * Measurement Log                                                                                    *
+ * Keeps named measurements in the browser, by scene, and converts them to and from files             *
+ * Supported files are JSON, CSV and GeoJSON (WGS84 for georeferenced scenes, mesh space otherwise)   *
+ ******************************************************************************************************/
+
+const MeasurementLog = (function () {
+    const storageKey = "aqueducts.measurements"; // localStorage key for the saved measurements
+
+    // Columns of the CSV export, in order
+    const csvColumns = ["id", "name", "scene", "type", "value", "unit", "details", "scaleSource", "scale", "timestamp", "points"];
+
+    /* A record is an object with the following fields:
+    /  id, name, scene, type ("distance", "path", "area" or "angle"), value and unit (e.g. 1.2 and "m"),
+    /  details (text shown by the tool), scaleSource ("scenes.json" or "reference line"), scale (meters per mesh unit),
+    /  both null if the measurement had no scale (e.g. an angle),
+    /  timestamp (ISO string) and points (list of [x, y, z] in the mesh's own coordinates) */
+
+    // Returns every saved record, leaving out malformed ones (e.g. imported by earlier versions) that can't be shown
+    function getAll() {
+        let records;
+        try {
+            records = JSON.parse(localStorage.getItem(storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+        return Array.isArray(records) ? records.filter(record => validate(record) === null) : [];
+    }
+
+    // Returns the saved records of the given scene, oldest first
+    function getByScene(sceneName) {
+        return getAll().filter(record => record.scene === sceneName);
+    }
+
+    // Saves a record, replacing any record with the same id
+    function add(record) {
+        addAll([record]);
+    }
+
+    // Saves several records, replacing any record with the same id
+    function addAll(records) {
+        const ids = new Set(records.map(record => record.id));
+        store(getAll().filter(record => !ids.has(record.id)).concat(records));
+    }
+
+    // Deletes the record with the given id
+    function remove(id) {
+        store(getAll().filter(record => record.id !== id));
+    }
+
+    // LOCAL FUNCTION
+    // Writes the records in the browser storage
+    function store(records) {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(records));
+        } catch (error) {
+            console.error("Failed to store measurements", error);
+        }
+    }
+
+    // Converts records to a JSON file content
+    function toJSON(records) {
+        return JSON.stringify(records, null, 2);
+    }
+
+    // Converts records to a CSV file content, points are written as "x y z" triplets separated by ";"
+    // Numbers always have a decimal point, including those of the details written with a decimal comma
+    function toCSV(records) {
+        const rows = records.map(record => csvColumns.map(column => {
+            let value = column === "points" ? record.points.map(p => p.join(" ")).join(";") : record[column];
+            // Lengths are written without grouping separators, so a comma between digits is a decimal comma
+            if (column === "details" && typeof value === "string") value = value.replace(/(\d),(?=\d)/g, "$1.");
+            return csvEscape(value === undefined || value === null ? "" : String(value));
+        }).join(","));
+        return [csvColumns.join(",")].concat(rows).join("\n");
+    }
+
+    /* Converts records to a GeoJSON file content
+    /  toPosition(point, record) converts a mesh-space point into a WGS84 [longitude, latitude, elevation] position
+    /  Without it, coordinates stay in the mesh's own space; with it, mesh-space points are also kept in the properties to load the file back */
+    function toGeoJSON(records, toPosition) {
+        return JSON.stringify({
+            type: "FeatureCollection",
+            features: records.map(record => {
+                const positions = toPosition ? record.points.map(point => toPosition(point, record)) : record.points;
+
+                let geometry;
+                if (record.type === "area") geometry = {type: "Polygon", coordinates: [positions.concat([positions[0]])]};
+                else if (positions.length === 1) geometry = {type: "Point", coordinates: positions[0]};
+                else geometry = {type: "LineString", coordinates: positions};
+
+                const properties = {...record, coordinateSpace: toPosition ? "WGS84" : "mesh"};
+                if (!toPosition) delete properties.points;
+                return {type: "Feature", geometry, properties};
+            })
+        }, null, 2);
+    }
+
+    /* Reads records from a JSON, CSV or GeoJSON file content
+    /  Throws an Error if the content is not a measurement log */
+    function parse(text) {
+        const trimmed = text.trim();
+        let records;
+
+        if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+            const data = JSON.parse(trimmed);
+            if (Array.isArray(data)) records = data;
+            else if (data.type === "FeatureCollection") records = data.features.map(fromFeature);
+            else throw new Error("JSON file is neither a measurement list nor a GeoJSON FeatureCollection");
+        } else {
+            records = fromCSV(trimmed);
+        }
+
+        // Records are checked before any is saved, a single malformed one rejects the whole file
+        records.forEach((record, index) => {
+            const error = validate(record);
+            if (error) throw new Error(`Measurement ${index + 1} ${error}`);
+        });
+        return records;
+    }
+
+    // LOCAL FUNCTION
+    // Checks that a record can be listed and drawn, returns what is wrong with it or null if it is valid
+    function validate(record) {
+        if (!record || typeof record !== "object") return "is not an object";
+        if (typeof record.id !== "string" || typeof record.scene !== "string") return "is missing its id or scene";
+        if (typeof record.value !== "number" || !isFinite(record.value)) return "has no numeric value";
+        if (typeof record.unit !== "string" || record.unit === "") return "has no unit";
+        if (!Array.isArray(record.points) || record.points.length === 0) return "has no points";
+        const isPoint = (point) => Array.isArray(point) && point.length === 3 && point.every(c => typeof c === "number" && isFinite(c));
+        if (!record.points.every(isPoint)) return "has a point that isn't three numbers";
+        return null;
+    }
+
+    // LOCAL FUNCTION
+    // Converts a GeoJSON feature back into a record, preferring the mesh-space points of WGS84 exports
+    function fromFeature(feature) {
+        if (Array.isArray(feature.properties.points)) {
+            const record = {...feature.properties};
+            delete record.coordinateSpace;
+            return record;
+        }
+
+        let points;
+        switch (feature.geometry.type) {
+            case "Point": points = [feature.geometry.coordinates]; break;
+            case "LineString": points = feature.geometry.coordinates; break;
+            case "Polygon": points = feature.geometry.coordinates[0].slice(0, -1); break; // last point closes the ring
+            default: throw new Error(`Unsupported geometry type "${feature.geometry.type}"`);
+        }
+        const record = {...feature.properties, points};
+        delete record.coordinateSpace;
+        return record;
+    }
+
+    // LOCAL FUNCTION
+    // Converts a CSV content (as written by toCSV) back into records
+    function fromCSV(text) {
+        const rows = csvRows(text);
+        const header = rows.shift();
+        if (!header || !header.includes("points")) throw new Error("CSV file has no points column");
+
+        return rows.filter(row => row.length === header.length).map(row => {
+            const record = {};
+            header.forEach((column, index) => record[column] = row[index]);
+            record.value = parseFloat(record.value);
+            record.scale = record.scale === "" ? null : parseFloat(record.scale);
+            record.scaleSource = record.scaleSource || null;
+            // An empty field has no points, rather than a point at [0]
+            record.points = record.points.trim() === "" ? [] : record.points.split(";").map(p => p.trim().split(/\s+/).map(Number));
+            return record;
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Quotes a CSV field if it contains a separator, a quote or a line break
+    function csvEscape(value) {
+        return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    // LOCAL FUNCTION
+    // Splits a CSV content into rows of fields, handling quoted fields
+    function csvRows(text) {
+        const rows = [[]];
+        let field = "", quoted = false;
+        for (let i = 0; i < text.length; ++i) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') { field += '"'; ++i; }
+                else if (c === '"') quoted = false;
+                else field += c;
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ",") {
+                rows[rows.length - 1].push(field);
+                field = "";
+            } else if (c === "\n") {
+                rows[rows.length - 1].push(field.replace(/\r$/, ""));
+                rows.push([]);
+                field = "";
+            } else {
+                field += c;
+            }
+        }
+        rows[rows.length - 1].push(field);
+        return rows;
+    }
+
+    // Makes the browser download the given content as a file
+    // The file's URL is revoked later, revoking it right after the click cancels the download in some browsers
+    function download(filename, content, type) {
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([content], {type}));
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    return {
+        getAll,
+        getByScene,
+        add,
+        addAll,
+        remove,
+        toJSON,
+        toCSV,
+        toGeoJSON,
+        parse,
+        download
+    };
+})();
+
+export default MeasurementLog;
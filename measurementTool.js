@@ -2,20 +2,65 @@
  * Measurement Tool                                                                          *
  * Can be used to measure distances on a mesh                                                *
  * A reference line of known length must be drawn to convert from 3D units to real distances *
+ * Measurements can be kept in a log, exported and loaded back                               *
+ * Points can snap to mesh vertices, edges or placed points, be nudged and typed in          *
  *********************************************************************************************/
 
 import ConversionHelper from "./conversions.js";
+import GeometryHelper from "./geometryHelper.js";
+import MeasurementLog from "./measurementLog.js";
+import InputManager from "./inputManager.js";
 
 const MeasurementTool = (function () {
     var scene; // BabylonJS scene, required to process mouse inputs, for example
     var mtMeasurementLine, mtReferenceLine; // UI Lines
     var mtRefPoint1, mtRefPoint2; // Reference line vertices
     var mtMeasPoint1, mtMeasPoint2; // Measurement line vertices
-    var mtObserver; // Pointer observer for the measurement tool
+    var mtGestures = null; // Removes the tool's gesture listeners, null while the tool is disabled
     var mtButton; // Button to activate measurement tool
     var mtRefInput, mtMeasText; // Input field and output text for the reference length and measurement length, respectively
     var mtPanel, mtCloseButton, mtRefLabel, mtRefHint, mtRefGroup; // HTML UI elements
+    var mtModeSelect, mtDistanceHint, mtPathHint, mtAreaHint, mtAngleHint, mtPathGroup, mtPathList, mtPathUndoButton, mtPathClearButton; // HTML UI elements for the measurement modes
+    var mtAngleGroup, mtAngleSelect; // HTML UI elements for the kind of angle
+    var mtLogNameInput, mtLogKeepButton, mtLogList, mtLogImportInput; // HTML UI elements for the measurement log
     var sceneScale = null; // Scale factor for current mesh
+    var mtLoggedScale = null; // Last scale computed from the reference line and written to the console
+    var sceneName = null, sceneMesh = null; // Name and root mesh of the current scene, measurements are logged relative to them
+    var sceneGeoFrame = null; // Converts world positions into real-world coordinates, for georeferenced scenes (see GeoReference.createFrame)
+    var sceneUp = BABYLON.Vector3.Up(); // Up direction of the current mesh, in world space
+
+    var mtMode = "distance"; // Current measurement mode, "distance" (two points), "path" (polyline), "area" (closed polygon) or "angle" (up to two segments)
+    var mtPathLine; // UI Line going through all the path vertices
+    var mtAreaClosingLine; // UI Line from the last path vertex back to the first one, shown in area mode
+    var mtAngleSecondLine; // UI Line of the second segment when an angle is measured between two separate segments
+    var mtAngleKind = "vertex"; // Angle measured in angle mode, "vertex" (3 points, at the middle one) or "segments" (4 points, AB and CD)
+    var mtPathPoints = []; // Path (or polygon) vertices, in placement order
+    var mtPathMaterial; // Material shared by all the path vertices
+    var mtDraggedPoint = null; // Path vertex currently being dragged, if any
+    var mtDrapedAreaCache = null; // Last surface area computed over the mesh, {key, value}, as it is costly to compute
+    var mtCurrentValue = null; // Result of the current measurement, {value, unit}, null if it can't be computed
+    var mtLogLines = []; // Lines drawn on the mesh for the logged measurements of the current scene
+    var mtLayerMask = 0x0FFFFFFF; // Layer mask of the tool's objects, restricts them to one camera in comparison mode
+
+    var mtSnapMode = "none"; // Where points land: "none" (where the ray hits), "vertex" (nearest mesh vertex), "edge" (nearest triangle edge) or "point" (a placed point)
+    var mtSnapMarker; // Shows where a click would place a point, while snapping
+    var mtSelectedPoint = null; // Point moved by keyboard nudging and typed coordinates, the last placed or pressed one
+    var mtSelectOnly = false; // The held click pressed a point to select it, so it doesn't place one
+    var mtPointerInside = false; // Cursor is over the canvas, the loupe follows it
+    var mtPointer = {x: 0, y: 0}; // Last position of the pointer on the canvas, in CSS pixels
+    var mtTarget = "measurement"; // Points placed by taps and left clicks, "measurement" or "reference"
+    var mtNextPoint = 0; // Point placed by the next tap or left click in distance mode (and for the reference line), 0 for A and 1 for B
+    var mtTargetButtons, mtPointButtons, mtPointToggle; // HTML UI elements for the on-screen placement toggles
+    var mtLogPoints = []; // World positions of the logged measurements' points, targets of the "point" snapping mode
+    var mtSnapSelect, mtLoupeInput, mtLoupe, mtLoupeContext, mtCoordGroup, mtCoordInputs, mtNudgeInput; // HTML UI elements for precision picking
+    var mtUnitSelect, mtPrecisionSelect, mtLocaleSelect; // HTML UI elements for the output unit settings
+
+    const snapTolerance = 12; // Distance (CSS pixels) under which the cursor snaps to a vertex, an edge or a point
+    const snapRayTolerance = 0.02; // Same for rays (e.g. VR controllers), as a fraction of the distance to the hit
+    const loupeZoom = 4; // Magnification of the loupe
+
+    const onChangeObservable = new BABYLON.Observable(); // Notified whenever the measurement points, mode or reference length change
+    const onResultObservable = new BABYLON.Observable(); // Notified with {text, state} whenever the result field is written
 
     // Enables the measurement tool on the current mesh
     function enable() {
@@ -23,111 +68,478 @@ const MeasurementTool = (function () {
         hideButton();
         
         // Lazy octree creation - only when needed
-        const activeMesh = scene.meshes.find(m => m.isEnabled() && m.name !== 'camera');
-        if (activeMesh && !activeMesh._hasOctree) {
-            console.log("Creating octree for picking...");
-            if (activeMesh.getChildMeshes().length > 0) {
-                activeMesh.getChildMeshes().forEach(child => {
-                    child.subdivide(500); // Reduced from 1000
-                    child.createOrUpdateSubmeshesOctree(64);
-                });
-            } else {
-                activeMesh.subdivide(500);
-                activeMesh.createOrUpdateSubmeshesOctree(64);
+        buildOctree(sceneMesh || scene.meshes.find(m => m.isEnabled() && m.name !== 'camera'));
+
+        // Show the measurement UI and the logged measurements
+        if (mtPanel) mtPanel.classList.add("mt-visible");
+        refreshLog();
+
+        // If measurements are already enabled, do nothing
+        if (mtGestures) return;
+
+        // Taps (or short stationary clicks) on the mesh place the points, pressing a point selects it and drags path vertices
+        mtGestures = InputManager.createGestureRecognizer(scene.getEngine().getRenderingCanvas(), {
+            onPress: (gesture) => {
+                mtPointer = {x: gesture.x, y: gesture.y};
+                mtPointerInside = true;
+                mtSelectOnly = false;
+                if (gesture.button === 0 && !gesture.ctrlKey) pressPoint();
+            },
+            // While a path vertex is dragged, keep it on the mesh under the pointer
+            onDrag: (gesture) => {
+                mtPointer = {x: gesture.x, y: gesture.y};
+                if (mtDraggedPoint) dragTo();
+            },
+            // A drag ends here and is never interpreted as a tap
+            onDragEnd: () => {
+                if (mtDraggedPoint) stopDrag();
+            },
+            onTap: (gesture) => {
+                mtPointer = {x: gesture.x, y: gesture.y};
+                if (mtDraggedPoint) stopDrag();
+
+                // Pressing a point only selected it
+                if (mtSelectOnly) {
+                    mtSelectOnly = false;
+                    return;
+                }
+
+                // Tap is ignored if not on a mesh
+                const position = pickPointer();
+                if (!position) return;
+
+                // Touch and pen taps go on to the other point, a mouse has its right button for it
+                placePoint(position, gesture.button, gesture.ctrlKey, gesture.pointerType !== "mouse");
+                updateDisplay();
+            },
+            // Long-presses of touch and pen pointers act like right clicks (point B, or undo in path modes)
+            onLongPress: (gesture) => {
+                if (gesture.pointerType === "mouse") return;
+                mtPointer = {x: gesture.x, y: gesture.y};
+                if (mtDraggedPoint) stopDrag();
+                mtSelectOnly = false;
+
+                const position = pickPointer();
+                if (!position && !(isVertexMode() && mtTarget === "measurement")) return;
+                placePoint(position, 2, false, false);
+                updateDisplay();
+            },
+            // Without a button held, show where a tap would land
+            onHover: (gesture) => {
+                mtPointer = {x: gesture.x, y: gesture.y};
+                mtPointerInside = true;
+                updateSnapMarker();
             }
-            activeMesh._hasOctree = true;
+        }, {exclusive: true});
+    }
+
+    // LOCAL FUNCTION
+    // Creates the picking octree of a mesh, if it doesn't have one yet
+    function buildOctree(activeMesh) {
+        if (!activeMesh || activeMesh._hasOctree) return;
+
+        console.log("Creating octree for picking...");
+        if (activeMesh.getChildMeshes().length > 0) {
+            activeMesh.getChildMeshes().forEach(child => {
+                child.subdivide(500); // Reduced from 1000
+                child.createOrUpdateSubmeshesOctree(64);
+            });
+        } else {
+            activeMesh.subdivide(500);
+            activeMesh.createOrUpdateSubmeshesOctree(64);
         }
+        activeMesh._hasOctree = true;
+    }
 
-        // Show the measurement UI
-        if (mtPanel) mtPanel.classList.add("mt-visible");
+    /* LOCAL FUNCTION
+    /  Moves the point matching the on-screen toggles, the button (0 primary, 2 secondary) and the Ctrl key to the picked position
+    /  Ctrl places reference points, the secondary button places point B (or undoes the last path vertex), otherwise
+    /  the toggles choose. If advance is true, the next primary placement goes to the other point */
+    function placePoint(pickedPoint, button, ctrlKey, advance) {
+        const target = ctrlKey ? "reference" : mtTarget;
+        const secondary = button === 2;
 
-        // Tracks when and where the currently held click on the mesh has started
-        var startingPoint = null;
-        var startingTime = null;
+        // In path and area modes, measurement points are vertices: primary appends one and secondary removes the last one
+        if(target === "measurement" && isVertexMode()) {
+            if(secondary) undoPathPoint();
+            else addPathPoint(pickedPoint);
+            return;
+        }
 
-        // If measurements are already enabled, do nothing
-        if (mtObserver) return;
-
-        // Pointer events to place the measurement points and calculate the length
-        mtObserver = scene.onPointerObservable.add((pointerInfo) => {
-            switch(pointerInfo.type) {
-                // When click starts, record the time and position of the click
-                case BABYLON.PointerEventTypes.POINTERDOWN:
-                    startingPoint = {x: pointerInfo.event.x, y: pointerInfo.event.y};
-                    startingTime = Date.now();
-                    break;
-                // When click stops, test if it's valid (short stationary click on a mesh), if so, move the relevant point to the clicked point on the mesh
-                case BABYLON.PointerEventTypes.POINTERUP:
-                    // Click is ignored if held for over 150ms
-                    if(Date.now() - startingTime > 150) return;
-
-                    // Click is ignored if the mouse moved during the hold
-                    if(pointerInfo.event.x != startingPoint.x || pointerInfo.event.y != startingPoint.y) return;
-
-                    // Click is ignored if not on a mesh
-                    if(!pointerInfo.pickInfo.hit || !pointerInfo.pickInfo.pickedPoint) return;
-
-                    // The point to move depends on the button that was clicked
-                    switch(pointerInfo.event.button) {
-                        case 0: // LEFT CLICK
-                            // Ctrl+Click moves a reference point, otherwise it's a measurement point
-                            if(pointerInfo.event.ctrlKey) {
-                                // Show reference point, and the line if both points are active
-                                mtRefPoint1.isVisible = true;
-                                if(mtRefPoint2.isVisible) mtReferenceLine.isVisible = true;
-
-                                // Move reference point to clicked spot on the mesh
-                                mtRefPoint1.position.x = pointerInfo.pickInfo.pickedPoint.x;
-                                mtRefPoint1.position.y = pointerInfo.pickInfo.pickedPoint.y;
-                                mtRefPoint1.position.z = pointerInfo.pickInfo.pickedPoint.z; 
-                            } else {
-                                // Show measurement point, and the line if both points are active
-                                mtMeasPoint1.isVisible = true;
-                                if(mtMeasPoint2.isVisible) mtMeasurementLine.isVisible = true;
-
-                                // Move measurement point to clicked spot on the mesh
-                                mtMeasPoint1.position.x = pointerInfo.pickInfo.pickedPoint.x;
-                                mtMeasPoint1.position.y = pointerInfo.pickInfo.pickedPoint.y;
-                                mtMeasPoint1.position.z = pointerInfo.pickInfo.pickedPoint.z;
-                            }
-                            break;
-                        case 2: // RIGHT CLICK
-                            // Ctrl+Click moves a reference point, otherwise it's a measurement point
-                            if(pointerInfo.event.ctrlKey) {
-                                // Show reference point, and the line if both points are active
-                                mtRefPoint2.isVisible = true;
-                                if(mtRefPoint1.isVisible) mtReferenceLine.isVisible = true;
-
-                                // Move reference point to clicked spot on the mesh
-                                mtRefPoint2.position.y = pointerInfo.pickInfo.pickedPoint.y;
-                                mtRefPoint2.position.z = pointerInfo.pickInfo.pickedPoint.z; 
-                                mtRefPoint2.position.x = pointerInfo.pickInfo.pickedPoint.x;
-                            } else {
-                                // Show measurement point, and the line if both points are active
-                                mtMeasPoint2.isVisible = true;
-                                if(mtMeasPoint1.isVisible) mtMeasurementLine.isVisible = true;
-
-                                // Move measurement point to clicked spot on the mesh
-                                mtMeasPoint2.position.x = pointerInfo.pickInfo.pickedPoint.x;
-                                mtMeasPoint2.position.y = pointerInfo.pickInfo.pickedPoint.y;
-                                mtMeasPoint2.position.z = pointerInfo.pickInfo.pickedPoint.z;
-                            }
-                            break;
-                    }
-
-                    // Update display
-                    updateDisplay();
-                    break;
+        const index = secondary ? 1 : ctrlKey ? 0 : mtNextPoint;
+        if(target === "reference") {
+            const points = [mtRefPoint1, mtRefPoint2];
+            movePoint(points[index], points[1 - index], mtReferenceLine, pickedPoint);
+        } else {
+            const points = [mtMeasPoint1, mtMeasPoint2];
+            movePoint(points[index], points[1 - index], mtMeasurementLine, pickedPoint);
+        }
+        if(advance && !ctrlKey && !secondary) setNextPoint(1 - index);
+    }
+
+    // Chooses the points placed by taps and left clicks: target is "measurement" or "reference", point is 0 (A) or 1 (B)
+    function setPlacement(target, point) {
+        mtTarget = target === "reference" ? "reference" : "measurement";
+        setNextPoint(point);
+    }
+
+    // LOCAL FUNCTION
+    function setNextPoint(point) {
+        mtNextPoint = point === 1 ? 1 : 0;
+        refreshToggles();
+    }
+
+    // LOCAL FUNCTION
+    // Shows the placement choices on the toggles, the A/B choice is hidden while path vertices are placed
+    function refreshToggles() {
+        if (!mtTargetButtons) return;
+        mtTargetButtons.forEach(button => button.setAttribute("aria-pressed", button.dataset.mtTarget === mtTarget));
+        mtPointButtons.forEach(button => button.setAttribute("aria-pressed", Number(button.dataset.mtPoint) === mtNextPoint));
+        mtPointToggle.style.display = mtTarget === "measurement" && isVertexMode() ? "none" : "";
+    }
+
+    // LOCAL FUNCTION
+    // Shows a line vertex at the given position, and the line itself if the other vertex is active
+    function movePoint(point, otherPoint, line, position) {
+        point.isVisible = true;
+        if(otherPoint.isVisible) line.isVisible = true;
+
+        point.position.x = position.x;
+        point.position.y = position.y;
+        point.position.z = position.z;
+        selectPoint(point);
+    }
+
+    // LOCAL FUNCTION
+    // Appends a vertex at the end of the measured path
+    function addPathPoint(position) {
+        // In angle mode, a new click after the last vertex of the angle starts a new one
+        if(mtMode === "angle" && mtPathPoints.length >= getAnglePointCount()) clearPath();
+
+        const point = BABYLON.MeshBuilder.CreateSphere("pathPoint" + mtPathPoints.length, {diameter: 0.05}, scene);
+        point.material = mtPathMaterial;
+        point.isPickable = false;
+        point.layerMask = mtLayerMask;
+        point.position.copyFrom(position);
+
+        mtPathPoints.push(point);
+        refreshPathLines();
+        selectPoint(point);
+    }
+
+    // LOCAL FUNCTION
+    // Removes the last vertex of the measured path, if any
+    function undoPathPoint() {
+        const point = mtPathPoints.pop();
+        if(!point) return;
+
+        point.dispose();
+        refreshPathLines();
+        if(mtSelectedPoint === point) selectPoint(null);
+    }
+
+    // LOCAL FUNCTION
+    // Removes every vertex of the measured path
+    function clearPath() {
+        mtDraggedPoint = null;
+        if(mtPathPoints.includes(mtSelectedPoint)) selectPoint(null);
+        mtPathPoints.forEach(point => point.dispose());
+        mtPathPoints = [];
+        refreshPathLines();
+    }
+
+    // LOCAL FUNCTION
+    // Shows the path line once it has a segment, and links its ends together when the polygon can be closed
+    // The two segments of an angle between separate segments are drawn as two lines
+    function refreshPathLines() {
+        const separate = isSegmentAngle();
+        const pathPoints = separate ? mtPathPoints.slice(0, 2) : mtPathPoints;
+        mtPathLine.reset();
+        pathPoints.forEach(point => mtPathLine.add(point));
+        mtPathLine.isVisible = pathPoints.length > 1;
+
+        mtAngleSecondLine.reset();
+        mtAngleSecondLine.isVisible = separate && mtPathPoints.length > 3;
+        if(mtAngleSecondLine.isVisible) mtAngleSecondLine.add(mtPathPoints[2], mtPathPoints[3]);
+
+        mtAreaClosingLine.reset();
+        mtAreaClosingLine.isVisible = mtPathPoints.length > 2;
+        if(mtAreaClosingLine.isVisible) mtAreaClosingLine.add(mtPathPoints[mtPathPoints.length - 1], mtPathPoints[0]);
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if the current mode places its points one by one as path vertices (path, area and angle modes)
+    function isVertexMode() {
+        return mtMode === "path" || mtMode === "area" || mtMode === "angle";
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if the angle is measured between two separate segments (AB and CD) rather than at a shared vertex
+    function isSegmentAngle() {
+        return mtMode === "angle" && mtAngleKind === "segments";
+    }
+
+    // LOCAL FUNCTION
+    // Number of vertices of a complete angle, of the current kind
+    function getAnglePointCount() {
+        return mtAngleKind === "segments" ? 4 : 3;
+    }
+
+    // LOCAL FUNCTION
+    // Selects the point under the cursor, if there is one, and starts dragging it if it is a path vertex
+    function pressPoint() {
+        const pick = scene.pick(mtPointer.x, mtPointer.y, (mesh) => getPlacedPoints().includes(mesh));
+        if(!pick.hit) return;
+
+        selectPoint(pick.pickedMesh);
+        if(!isVertexMode() || !mtPathPoints.includes(pick.pickedMesh)) {
+            mtSelectOnly = true;
+            return;
+        }
+
+        mtDraggedPoint = pick.pickedMesh;
+
+        // The camera must not rotate while the vertex is being moved
+        if(scene.activeCamera) scene.activeCamera.detachControl();
+    }
+
+    // LOCAL FUNCTION
+    // Moves the dragged path vertex to the mesh surface under the cursor
+    function dragTo() {
+        const position = pickPointer();
+        if(!position) return;
+
+        mtDraggedPoint.position.copyFrom(position);
+        updateSnapMarker();
+        updateDisplay();
+    }
+
+    // LOCAL FUNCTION
+    // Drops the dragged path vertex and gives the controls back to the camera
+    function stopDrag() {
+        mtDraggedPoint = null;
+        if(scene.activeCamera) scene.activeCamera.attachControl(true);
+        updateDisplay();
+    }
+
+    // Predicate for meshes that measurement points (and notes) can be placed on (excludes the tool's own objects)
+    // In comparison mode, both models are at the same place, only the one on the tool's layer counts
+    function isMeasurableMesh(mesh) {
+        return mesh.isPickable && mesh.isVisible && mesh.isEnabled() && (mesh.layerMask & mtLayerMask) !== 0;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the placed points that are shown: measurement, reference and path vertices
+    function getPlacedPoints() {
+        return [mtMeasPoint1, mtMeasPoint2, mtRefPoint1, mtRefPoint2].concat(mtPathPoints)
+            .filter(point => point.isVisible && point.isEnabled());
+    }
+
+    // LOCAL FUNCTION
+    // Picks the mesh under the cursor and returns the position where a point would be placed, snapped if needed
+    // Returns null if the cursor isn't over a mesh. Meshes are picked through the octree built by enable()
+    function pickPointer() {
+        const pick = scene.pick(mtPointer.x, mtPointer.y, isMeasurableMesh);
+        if(!pick.hit || !pick.pickedPoint) return null;
+        return snapPick(pick, isNearPointer);
+    }
+
+    /* LOCAL FUNCTION
+    /  Returns the position given by the snapping mode for a pick, or the picked point if nothing is near enough
+    /  isNear(position) tells whether a candidate position is close enough to the picking ray */
+    function snapPick(pick, isNear) {
+        const hit = pick.pickedPoint;
+        let candidates = [];
+        if (mtSnapMode === "vertex" || mtSnapMode === "edge") {
+            const triangle = getPickedTriangle(pick);
+            if (triangle) candidates = mtSnapMode === "vertex" ? triangle
+                : triangle.map((corner, i) => GeometryHelper.closestPointOnSegment(hit, corner, triangle[(i + 1) % 3]));
+        } else if (mtSnapMode === "point") {
+            candidates = getPlacedPoints().filter(point => point !== mtDraggedPoint).map(point => point.position).concat(mtLogPoints);
+        }
+
+        let best = null, bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const distance = BABYLON.Vector3.Distance(candidate, hit);
+            if (distance < bestDistance && isNear(candidate)) {
+                best = candidate;
+                bestDistance = distance;
             }
         });
+        return best ? best.clone() : hit;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the corners (world space) of the picked triangle, or null if the picked mesh has no indexed triangles
+    function getPickedTriangle(pick) {
+        const mesh = pick.pickedMesh;
+        const indices = mesh.getIndices();
+        const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        if (!indices || !positions || pick.faceId < 0) return null;
+
+        const matrix = mesh.getWorldMatrix();
+        return [0, 1, 2].map(i => BABYLON.Vector3.TransformCoordinates(BABYLON.Vector3.FromArray(positions, indices[pick.faceId * 3 + i] * 3), matrix));
+    }
+
+    // LOCAL FUNCTION
+    // Returns the position of a world point on the canvas, in CSS pixels like mtPointer
+    function toScreen(position) {
+        const camera = scene.cameraToUseForPointers || scene.activeCamera;
+        const engine = scene.getEngine();
+        const transform = camera.getViewMatrix().multiply(camera.getProjectionMatrix());
+        const screen = BABYLON.Vector3.Project(position, BABYLON.Matrix.IdentityReadOnly, transform,
+            camera.viewport.toGlobal(engine.getRenderWidth(), engine.getRenderHeight()));
+        return {x: screen.x * engine.getHardwareScalingLevel(), y: screen.y * engine.getHardwareScalingLevel()};
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if a world position is within the snapping distance of the cursor
+    function isNearPointer(position) {
+        const screen = toScreen(position);
+        return Math.hypot(screen.x - mtPointer.x, screen.y - mtPointer.y) <= snapTolerance;
+    }
+
+    // LOCAL FUNCTION
+    // Shows where a click would place a point, while snapping (the loupe shows it too)
+    function updateSnapMarker() {
+        const position = mtSnapMode !== "none" && mtPointerInside ? pickPointer() : null;
+        mtSnapMarker.isVisible = !!position;
+        if (position) mtSnapMarker.position.copyFrom(position);
+    }
+
+    // LOCAL FUNCTION
+    // Draws the magnified surroundings of the cursor in the loupe, with a crosshair and the snapped position
+    // The canvas keeps its drawing buffer (preserveDrawingBuffer), so it can be copied after each frame
+    function drawLoupe() {
+        const visible = !!mtGestures && mtLoupeInput.checked && mtPointerInside;
+        mtLoupe.classList.toggle("is-visible", visible);
+        if (!visible) return;
+
+        const canvas = scene.getEngine().getRenderingCanvas();
+        const rect = canvas.getBoundingClientRect();
+        const ratio = canvas.width / rect.width; // canvas pixels per CSS pixel
+        const size = mtLoupe.width;
+        const source = size / loupeZoom;
+
+        mtLoupeContext.imageSmoothingEnabled = false;
+        mtLoupeContext.clearRect(0, 0, size, size);
+        mtLoupeContext.drawImage(canvas, (mtPointer.x - source / 2) * ratio, (mtPointer.y - source / 2) * ratio, source * ratio, source * ratio, 0, 0, size, size);
+
+        mtLoupeContext.strokeStyle = "rgba(255, 255, 255, 0.8)";
+        mtLoupeContext.lineWidth = 1;
+        mtLoupeContext.beginPath();
+        mtLoupeContext.moveTo(size / 2, 0);
+        mtLoupeContext.lineTo(size / 2, size);
+        mtLoupeContext.moveTo(0, size / 2);
+        mtLoupeContext.lineTo(size, size / 2);
+        mtLoupeContext.stroke();
+
+        if (mtSnapMarker.isVisible) {
+            const screen = toScreen(mtSnapMarker.position);
+            mtLoupeContext.strokeStyle = "#00e5ff";
+            mtLoupeContext.lineWidth = 2;
+            mtLoupeContext.beginPath();
+            mtLoupeContext.arc((screen.x - mtPointer.x) * loupeZoom + size / 2, (screen.y - mtPointer.y) * loupeZoom + size / 2, 6, 0, 2 * Math.PI);
+            mtLoupeContext.stroke();
+        }
+
+        // Loupe stays next to the cursor, on the other side near the edges of the canvas
+        const offset = 24;
+        const left = mtPointer.x + offset + size > rect.width ? mtPointer.x - offset - size : mtPointer.x + offset;
+        const top = mtPointer.y + offset + size > rect.height ? mtPointer.y - offset - size : mtPointer.y + offset;
+        mtLoupe.style.left = `${rect.left + left}px`;
+        mtLoupe.style.top = `${rect.top + top}px`;
+    }
+
+    // LOCAL FUNCTION
+    // Makes a point the target of keyboard nudging and typed coordinates, null deselects
+    function selectPoint(point) {
+        if (mtSelectedPoint && !mtSelectedPoint.isDisposed()) mtSelectedPoint.scaling.setAll(1);
+        mtSelectedPoint = point;
+        if (point) point.scaling.setAll(1.6);
+        refreshCoordinates();
+    }
+
+    // LOCAL FUNCTION
+    // Shows the mesh-space coordinates of the selected point, except in the field being typed in
+    function refreshCoordinates() {
+        if (!mtCoordGroup) return;
+        mtCoordGroup.style.display = mtSelectedPoint ? "" : "none";
+        if (!mtSelectedPoint) return;
+
+        const local = toMesh(mtSelectedPoint.position).asArray();
+        mtCoordInputs.forEach((input, i) => {
+            if (input !== document.activeElement) input.value = Number(local[i].toFixed(5));
+            input.removeAttribute("aria-invalid");
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Moves the selected point to the typed mesh-space coordinates
+    function applyCoordinates() {
+        if (!mtSelectedPoint) return;
+        const values = mtCoordInputs.map(input => input.value.trim() === "" ? NaN : Number(input.value));
+        mtCoordInputs.forEach((input, i) => input.toggleAttribute("aria-invalid", !Number.isFinite(values[i])));
+        if (!values.every(Number.isFinite)) return;
+
+        mtSelectedPoint.position.copyFrom(toWorld(values));
+        updateDisplay();
+    }
+
+    // LOCAL FUNCTION
+    // Returns the nudge step in mesh units: a plain number is in mesh units, a length (e.g. "5 mm") needs the scale
+    // Returns {value}, or {error} if the step is invalid
+    function getNudgeStep() {
+        const text = mtNudgeInput.value.trim();
+        if (/^(\d+([.,]\d*)?|[.,]\d+)$/.test(text)) return {value: Number(text.replace(",", "."))};
+
+        const length = ConversionHelper.parseLength(text);
+        if (length.error) return {error: `Nudge step is invalid: ${length.error}`};
+        const scale = getScale();
+        if (scale.error) return {error: `Nudge step in real units needs the scale: ${scale.error}`};
+        return {value: Math.abs(length.value) / scale.value};
+    }
+
+    // LOCAL FUNCTION
+    // Moves the selected point by steps along an axis of the mesh: direction is "left" or "right" (first horizontal axis),
+    // "forward" or "back" (second horizontal axis), "up" or "down" (axis closest to the scene's up direction)
+    function nudge(direction, steps) {
+        if (!mtSelectedPoint) return;
+        const step = getNudgeStep();
+        if (step.error) {
+            showResult(step.error, "error");
+            return;
+        }
+
+        const vertical = getVerticalAxis();
+        const [first, second] = [0, 1, 2].filter(axis => axis !== vertical.axis);
+        const [axis, sign] = {
+            right: [first, 1], left: [first, -1],
+            forward: [second, 1], back: [second, -1],
+            up: [vertical.axis, vertical.sign], down: [vertical.axis, -vertical.sign]
+        }[direction];
+
+        const local = toMesh(mtSelectedPoint.position).asArray();
+        local[axis] += sign * step.value * steps;
+        mtSelectedPoint.position.copyFrom(toWorld(local));
+        updateDisplay();
+    }
+
+    // LOCAL FUNCTION
+    // Returns the axis of the mesh (0 for X, 1 for Y, 2 for Z) closest to the scene's up direction, and its sign
+    function getVerticalAxis() {
+        const up = sceneMesh ? BABYLON.Vector3.TransformNormal(sceneUp, sceneMesh.computeWorldMatrix(true).clone().invert()) : sceneUp;
+        const components = up.asArray();
+        const axis = components.reduce((best, value, i) => Math.abs(value) > Math.abs(components[best]) ? i : best, 0);
+        return {axis, sign: Math.sign(components[axis]) || 1};
     }
 
     // Disables the measurement tool for the current mesh, if any
     function disable() {
         // If an observer has been defined, remove it
-        if(mtObserver) {
-            scene.onPointerObservable.remove(mtObserver);
-            mtObserver = null;
+        if(mtGestures) {
+            mtGestures();
+            mtGestures = null;
         }
     
         // clear text field
@@ -140,60 +552,501 @@ const MeasurementTool = (function () {
         mtMeasPoint2.isVisible = false;
         mtReferenceLine.isVisible = false;
         mtMeasurementLine.isVisible = false;
+        if (mtDraggedPoint) stopDrag();
+        clearPath();
+        clearLogLines();
+        selectPoint(null);
+        mtSnapMarker.isVisible = false;
+        mtPointerInside = false;
+        if (mtLoupe) mtLoupe.classList.remove("is-visible");
         if (mtPanel) mtPanel.classList.remove("mt-visible");
+        onChangeObservable.notifyObservers();
+    }
+
+    // Places a point where the given ray (e.g. a VR controller's) hits the mesh, enabling the tool if needed
+    // button and ctrlKey have the same meaning as for clicks, returns true if the mesh was hit
+    function pickRay(ray, button, ctrlKey) {
+        if (!mtGestures) enable();
+
+        const pick = scene.pickWithRay(ray, isMeasurableMesh);
+        if (!pick || !pick.hit || !pick.pickedPoint) return false;
+
+        const isNearRay = (position) => BABYLON.Vector3.Distance(position, pick.pickedPoint) <= pick.distance * snapRayTolerance;
+        placePoint(snapPick(pick, isNearRay), button, ctrlKey);
+        updateDisplay();
+        return true;
+    }
+
+    // Switches between "distance", "path", "area" and "angle" measurement modes
+    function setMode(mode) {
+        mtMode = ["path", "area", "angle"].includes(mode) ? mode : "distance";
+        if (mtModeSelect) mtModeSelect.value = mtMode;
+
+        // An angle has at most three or four vertices, extra ones from another mode are dropped
+        if (mtMode === "angle") while (mtPathPoints.length > getAnglePointCount()) undoPathPoint();
+
+        // Only the objects of the current mode are shown, path vertices are shared by path, area and angle modes
+        const isVertex = isVertexMode();
+        mtMeasPoint1.setEnabled(!isVertex);
+        mtMeasPoint2.setEnabled(!isVertex);
+        mtMeasurementLine.alpha = isVertex ? 0 : 1;
+        mtPathPoints.forEach(point => point.setEnabled(isVertex));
+        mtPathLine.alpha = isVertex ? 1 : 0;
+        mtAreaClosingLine.alpha = mtMode === "area" ? 1 : 0;
+        mtAngleSecondLine.alpha = mtMode === "angle" ? 1 : 0;
+        refreshPathLines();
+
+        if (mtDistanceHint) mtDistanceHint.style.display = isVertex ? "none" : "";
+        if (mtPathHint) mtPathHint.style.display = isVertex ? "" : "none";
+        if (mtAreaHint) mtAreaHint.style.display = mtMode === "area" ? "" : "none";
+        if (mtAngleHint) mtAngleHint.style.display = mtMode === "angle" ? "" : "none";
+        if (mtAngleGroup) mtAngleGroup.style.display = mtMode === "angle" ? "" : "none";
+        if (mtPathGroup) mtPathGroup.style.display = isVertex ? "" : "none";
+        refreshToggles();
+
+        updateDisplay();
+    }
+
+    // Chooses the angle measured in angle mode, "vertex" (at the middle of three points) or "segments" (between AB and CD)
+    function setAngleKind(kind) {
+        mtAngleKind = kind === "segments" ? "segments" : "vertex";
+        if (mtAngleSelect) mtAngleSelect.value = mtAngleKind;
+        if (mtMode === "angle") while (mtPathPoints.length > getAnglePointCount()) undoPathPoint();
+        refreshPathLines();
+        updateDisplay();
+    }
+
+    // Computes the factor converting mesh units into meters, from scenes.json or the reference line
+    // Returns {value, source} on success, or {error} with a message explaining why the scale is unavailable
+    function getScale() {
+        // If scale is set, use it directly
+        if (sceneScale !== null) return {value: sceneScale, source: "scenes.json"};
+
+        // If one of the reference points is missing
+        if(!mtRefPoint1.isVisible || !mtRefPoint2.isVisible) return {error: "Reference line is not drawn"};
+
+        let referenceVector = mtRefPoint2.position.subtract(mtRefPoint1.position);
+
+        // If the reference line is of length 0
+        if(referenceVector.length() === 0) return {error: "Reference line can't have a length of 0"};
+
+        let referenceLength = ConversionHelper.parseLength(mtRefInput ? mtRefInput.value : "");
+
+        // If the conversion failed, tell why
+        if(referenceLength.error) return {error: `Reference line length is invalid: ${referenceLength.error}`};
+        let referenceMeterLength = referenceLength.value;
+        if(referenceMeterLength <= 0) return {error: "Reference line length must be greater than 0"};
+
+        let scaleValue = referenceMeterLength / referenceVector.length();
+        // Log scale value to console for developer use, once per value as the scale is read on every change
+        if (scaleValue !== mtLoggedScale) {
+            mtLoggedScale = scaleValue;
+            console.log(`Calculated scale: ${scaleValue.toPrecision(6)} (meters per mesh unit)`);
+        }
+        return {value: scaleValue, source: "reference line"};
     }
 
     // LOCAL FUNCTION
     // Updates the text displaying the length of the measurement line
     function updateDisplay() {
+        onChangeObservable.notifyObservers();
+        refreshCoordinates();
+
+        // Each mode sets the value once it is computed successfully
+        mtCurrentValue = null;
+
+        if (mtMode === "path") {
+            updatePathDisplay();
+            return;
+        }
+        if (mtMode === "area") {
+            updateAreaDisplay();
+            return;
+        }
+        if (mtMode === "angle") {
+            updateAngleDisplay();
+            return;
+        }
+
         // If one of the measurement points is missing
         if(!mtMeasPoint1.isVisible || !mtMeasPoint2.isVisible) {
-            mtMeasText.textContent = "Measurement line is not drawn";
-            mtMeasText.dataset.state = "error";
+            showResult("Measurement line is not drawn", "error");
             return;
         }
 
-        // If scale is set, use it directly
-        if (sceneScale !== null) {
-            let measurementVector = mtMeasPoint2.position.subtract(mtMeasPoint1.position);
-            let measurementMeterLength = measurementVector.length() * sceneScale;
-            mtMeasText.textContent = ConversionHelper.metersToString(measurementMeterLength);
-            mtMeasText.dataset.state = "ok";
+        const scale = getScale();
+        if (scale.error) {
+            showResult(scale.error, "error");
             return;
         }
 
-        // If one of the reference points is missing
-        if(!mtRefPoint1.isVisible || !mtRefPoint2.isVisible) {
-            mtMeasText.textContent = "Reference line is not drawn";
-            mtMeasText.dataset.state = "error";
+        let measurementVector = mtMeasPoint2.position.subtract(mtMeasPoint1.position);
+        let measurementMeterLength = measurementVector.length() * scale.value;
+        mtCurrentValue = {value: measurementMeterLength, unit: "m"};
+
+        let text = ConversionHelper.metersToString(measurementMeterLength);
+        if (sceneGeoFrame) {
+            text += `\nA: ${coordinatesToString(sceneGeoFrame(mtMeasPoint1.position, scale.value))}`;
+            text += `\nB: ${coordinatesToString(sceneGeoFrame(mtMeasPoint2.position, scale.value))}`;
+        }
+        showResult(text, "ok");
+    }
+
+    // LOCAL FUNCTION
+    // Updates the per-segment list and the cumulative length of the measured path
+    function updatePathDisplay() {
+        if (mtPathList) mtPathList.replaceChildren();
+
+        // A path needs at least one segment
+        if(mtPathPoints.length < 2) {
+            showResult("Path needs at least two points", "error");
             return;
         }
 
-        let measurementVector = mtMeasPoint2.position.subtract(mtMeasPoint1.position);
-        let referenceVector = mtRefPoint2.position.subtract(mtRefPoint1.position);
+        const scale = getScale();
+        if (scale.error) {
+            showResult(scale.error, "error");
+            return;
+        }
 
-        // If the reference line is of length 0
-        if(referenceVector.length() === 0) {
-            mtMeasText.textContent = "Reference line can't have a length of 0";
-            mtMeasText.dataset.state = "error";
+        let totalMeterLength = 0;
+        for (let i = 1; i < mtPathPoints.length; ++i) {
+            let segmentMeterLength = BABYLON.Vector3.Distance(mtPathPoints[i - 1].position, mtPathPoints[i].position) * scale.value;
+            totalMeterLength += segmentMeterLength;
+
+            if (mtPathList) {
+                const item = document.createElement("li");
+                item.textContent = `${ConversionHelper.metersToString(segmentMeterLength)} (total ${ConversionHelper.metersToString(totalMeterLength)})`;
+                mtPathList.appendChild(item);
+            }
+        }
+
+        mtCurrentValue = {value: totalMeterLength, unit: "m"};
+        showResult(`Path length: ${ConversionHelper.metersToString(totalMeterLength)}`, "ok");
+    }
+
+    // LOCAL FUNCTION
+    // Updates the planar area, surface area and perimeter of the polygon drawn by the path vertices
+    function updateAreaDisplay() {
+        if (mtPathList) mtPathList.replaceChildren();
+
+        // A polygon needs at least three vertices
+        if(mtPathPoints.length < 3) {
+            showResult("Polygon needs at least three points", "error");
             return;
         }
 
-        let referenceMeterLength = ConversionHelper.stringToMeters(mtRefInput ? mtRefInput.value : "");
+        const scale = getScale();
+        if (scale.error) {
+            showResult(scale.error, "error");
+            return;
+        }
 
-        // If the conversion failed (= returned NaN)
-        if(isNaN(referenceMeterLength)) {
-            mtMeasText.textContent = "Reference line length is invalid";
-            mtMeasText.dataset.state = "error";
+        const positions = mtPathPoints.map(point => point.position);
+        if (!GeometryHelper.fitPlane(positions)) {
+            showResult("Polygon points can't all be aligned", "error");
             return;
         }
 
-        let scaleValue = referenceMeterLength / referenceVector.length();
-        let measurementMeterLength = measurementVector.length() * scaleValue;
-        mtMeasText.textContent = ConversionHelper.metersToString(measurementMeterLength);
-        mtMeasText.dataset.state = "ok";
-        // Log scale value to console for developer use
-        console.log(`Calculated scale: ${scaleValue.toPrecision(6)} (meters per mesh unit)`);
+        const planarArea = GeometryHelper.polygonArea(positions) * scale.value * scale.value;
+        const perimeter = GeometryHelper.polygonPerimeter(positions) * scale.value;
+
+        // Surface area is only computed once the polygon stops moving, since every triangle of the mesh is tested
+        let surfaceText = "...";
+        if (!mtDraggedPoint) {
+            const surfaceArea = getDrapedArea(positions) * scale.value * scale.value;
+            surfaceText = isNaN(surfaceArea) ? "unavailable" : ConversionHelper.squareMetersToString(surfaceArea);
+        }
+
+        mtCurrentValue = {value: planarArea, unit: "m²"};
+        showResult(`Planar area: ${ConversionHelper.squareMetersToString(planarArea)}\n` +
+            `Surface area: ${surfaceText}\n` +
+            `Perimeter: ${ConversionHelper.metersToString(perimeter)}`, "ok");
+    }
+
+    // LOCAL FUNCTION
+    // Updates the slope of each segment and, once there are two segments, the angle between them
+    // Segments share their middle point (A, B, C), or are picked separately (A, B then C, D) for the "segments" kind
+    // Slopes and angles don't depend on the scale, only the lengths listed with the slopes do
+    function updateAngleDisplay() {
+        if (mtPathList) mtPathList.replaceChildren();
+
+        if(mtPathPoints.length < 2) {
+            showResult("Segment needs at least two points", "error");
+            return;
+        }
+
+        const scale = getScale();
+        const positions = mtPathPoints.map(point => point.position);
+        const segments = isSegmentAngle()
+            ? [[positions[0], positions[1]], [positions[2], positions[3]]].filter(([from, to]) => from && to)
+            : positions.slice(1).map((position, i) => [positions[i], position]);
+
+        // Coincident points give no direction, hence no slope or angle
+        if (segments.some(([from, to]) => from.equals(to))) {
+            showResult("Segments can't have a length of 0", "error");
+            return;
+        }
+
+        const slopes = [];
+        segments.forEach(([from, to]) => {
+            const slope = computeSlope(from, to);
+            slopes.push(slope);
+
+            if (mtPathList) {
+                const item = document.createElement("li");
+                item.textContent = slopeToString(slope);
+                if (!scale.error) {
+                    item.textContent += `, ${slope.vertical > 0 ? "rise" : "drop"} ${ConversionHelper.metersToString(Math.abs(slope.vertical) * scale.value)}` +
+                        ` over ${ConversionHelper.metersToString(slope.horizontal * scale.value)}`;
+                }
+                mtPathList.appendChild(item);
+            }
+        });
+
+        // A single segment only has a slope
+        if (segments.length < 2) {
+            mtCurrentValue = {value: BABYLON.Tools.ToDegrees(Math.atan2(Math.abs(slopes[0].vertical), slopes[0].horizontal)), unit: "°"};
+            showResult(`Slope: ${slopeToString(slopes[0])}`, "ok");
+            return;
+        }
+
+        // At a shared vertex, both segments start from it, separate segments keep their picked directions
+        const first = isSegmentAngle() ? segments[0][1].subtract(segments[0][0]) : positions[0].subtract(positions[1]);
+        const second = segments[1][1].subtract(segments[1][0]);
+
+        const cosine = BABYLON.Vector3.Dot(first, second) / (first.length() * second.length());
+        const angle = BABYLON.Tools.ToDegrees(Math.acos(Math.min(1, Math.max(-1, cosine))));
+        mtCurrentValue = {value: angle, unit: "°"};
+        showResult(`Angle: ${angle.toFixed(2)}°`, "ok");
+    }
+
+    // LOCAL FUNCTION
+    // Splits a segment into its vertical and horizontal parts along the scene's up direction, in mesh units
+    // Vertical part is positive if the segment goes up from its first point to its second point
+    function computeSlope(from, to) {
+        const segment = to.subtract(from);
+        const vertical = BABYLON.Vector3.Dot(segment, sceneUp);
+        const horizontal = segment.subtract(sceneUp.scale(vertical)).length();
+        return {vertical, horizontal};
+    }
+
+    // LOCAL FUNCTION
+    // Formats a slope as degrees, percent and per-mille drop (or rise), the segment must have a length
+    function slopeToString(slope) {
+        const degrees = BABYLON.Tools.ToDegrees(Math.atan2(Math.abs(slope.vertical), slope.horizontal));
+        if (slope.horizontal === 0) return `${degrees.toFixed(2)}° (vertical)`;
+
+        const ratio = Math.abs(slope.vertical) / slope.horizontal;
+        const direction = slope.vertical > 0 ? "rise" : "drop";
+        return `${degrees.toFixed(2)}° (${(ratio * 100).toFixed(2)} %, ${(ratio * 1000).toFixed(1)} ‰ ${direction})`;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the area of the mesh surface inside the polygon, in squared mesh units, reusing the last result if the polygon didn't change
+    // Only the submeshes made by buildOctree around the polygon are read, so full-resolution models don't freeze the view
+    function getDrapedArea(positions) {
+        const key = positions.map(p => `${p.x},${p.y},${p.z}`).join(";");
+        if (mtDrapedAreaCache && mtDrapedAreaCache.key === key) return mtDrapedAreaCache.value;
+
+        // Triangles further than a quarter of the perimeter from the polygon's plane are not part of the patch
+        const maxDistance = GeometryHelper.polygonPerimeter(positions) / 4;
+        const meshes = scene.meshes.filter(mesh => isMeasurableMesh(mesh) && mesh.getTotalVertices() > 0);
+        const value = GeometryHelper.drapedArea(meshes, positions, maxDistance);
+
+        mtDrapedAreaCache = {key, value};
+        return value;
+    }
+
+    // LOCAL FUNCTION
+    // Formats real-world coordinates as WGS84 latitude/longitude, Greek Grid easting/northing and elevation
+    function coordinatesToString(coordinates) {
+        return `${coordinates.lat.toFixed(6)}°, ${coordinates.lon.toFixed(6)}° ` +
+            `(EGSA87 ${coordinates.x.toFixed(2)}, ${coordinates.y.toFixed(2)}), ` +
+            `elev. ${ConversionHelper.metersToString(coordinates.elevation, 2)}`;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the world positions of the points of the current measurement
+    function getCurrentPoints() {
+        if (isVertexMode()) return mtPathPoints.map(point => point.position);
+        return [mtMeasPoint1.position, mtMeasPoint2.position];
+    }
+
+    // LOCAL FUNCTION
+    // Converts a world position into the current mesh's space, logged measurements stay valid if the mesh is placed differently
+    function toMesh(position) {
+        if (!sceneMesh) return position.clone();
+        return BABYLON.Vector3.TransformCoordinates(position, sceneMesh.computeWorldMatrix(true).clone().invert());
+    }
+
+    // LOCAL FUNCTION
+    // Converts a mesh-space position into world space
+    function toWorld(position) {
+        let local = BABYLON.Vector3.FromArray(position);
+        return sceneMesh ? BABYLON.Vector3.TransformCoordinates(local, sceneMesh.computeWorldMatrix(true)) : local;
+    }
+
+    // LOCAL FUNCTION
+    // Adds the current measurement to the log, under the name typed by the user
+    function keepMeasurement() {
+        if (!mtCurrentValue || !sceneName) return;
+        const scale = getScale();
+
+        const record = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: mtLogNameInput.value.trim() || `${mtModeSelect.selectedOptions[0].text} ${MeasurementLog.getByScene(sceneName).length + 1}`,
+            scene: sceneName,
+            type: mtMode,
+            value: mtCurrentValue.value,
+            unit: mtCurrentValue.unit,
+            details: mtMeasText.textContent,
+            scaleSource: scale.error ? null : scale.source, // e.g. an angle, without a scale
+            scale: scale.error ? null : scale.value,
+            timestamp: new Date().toISOString(),
+            points: getCurrentPoints().map(position => toMesh(position).asArray())
+        };
+
+        MeasurementLog.add(record);
+        mtLogNameInput.value = "";
+        refreshLog();
+    }
+
+    // LOCAL FUNCTION
+    // Rebuilds the list of logged measurements of the current scene and redraws their lines
+    function refreshLog() {
+        clearLogLines();
+        if (!mtLogList) return;
+        mtLogList.replaceChildren();
+
+        const records = sceneName ? MeasurementLog.getByScene(sceneName) : [];
+        records.forEach(record => {
+            drawLogLine(record);
+
+            const item = document.createElement("li");
+            const label = document.createElement("span");
+            label.textContent = `${record.name}: ${formatValue(record)}`;
+            const scaleText = record.scaleSource ? `Scale from ${record.scaleSource}, ` : "";
+            label.title = `${record.details}\n${scaleText}${new Date(record.timestamp).toLocaleString()}`;
+
+            const deleteButton = document.createElement("button");
+            deleteButton.type = "button";
+            deleteButton.className = "mt-log-delete";
+            deleteButton.setAttribute("aria-label", "Delete " + record.name);
+            deleteButton.textContent = "x";
+            deleteButton.addEventListener("click", () => {
+                MeasurementLog.remove(record.id);
+                refreshLog();
+            });
+
+            item.append(label, deleteButton);
+            mtLogList.appendChild(item);
+        });
+
+        if (mtLogKeepButton) mtLogKeepButton.disabled = !mtCurrentValue;
+    }
+
+    // LOCAL FUNCTION
+    // Fills the output unit list with the units of each system, and selects the current settings
+    function createUnitOptions() {
+        const settings = ConversionHelper.getSettings();
+        mtUnitSelect.replaceChildren(...ConversionHelper.getSystems().map(system => {
+            const group = document.createElement("optgroup");
+            group.label = system.label;
+            group.append(new Option(`Best ${system.label} Unit`, `${system.id}/auto`),
+                ...system.units.map(unit => new Option(unit, `${system.id}/${unit}`)));
+            return group;
+        }));
+        mtUnitSelect.value = `${settings.system}/${settings.unit}`;
+        mtPrecisionSelect.value = settings.significantFigures === null ? "" : String(settings.significantFigures);
+        mtLocaleSelect.value = settings.locale;
+    }
+
+    // Formats the value of a logged measurement (or any {value, unit} with the units of the log) with its unit
+    function formatValue(record) {
+        switch (record.unit) {
+            case "m": return ConversionHelper.metersToString(record.value);
+            case "m²": return ConversionHelper.squareMetersToString(record.value);
+            default: return `${record.value.toFixed(2)}${record.unit}`;
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Draws the line of a logged measurement on the mesh, polygons are closed
+    function drawLogLine(record) {
+        let points = record.points.map(toWorld);
+        mtLogPoints.push(...points);
+        if (points.length < 2) return;
+        if (record.type === "area") points.push(points[0]);
+
+        // An angle of four points is made of two separate segments
+        const lines = record.type === "angle" && points.length === 4 ? [points.slice(0, 2), points.slice(2)] : [points];
+        const line = BABYLON.MeshBuilder.CreateLineSystem("logLine " + record.id, {lines}, scene);
+        line.color = BABYLON.Color3.FromHexString("#ffa64d");
+        line.isPickable = false;
+        line.layerMask = mtLayerMask;
+        mtLogLines.push(line);
+    }
+
+    // LOCAL FUNCTION
+    // Removes the lines of the logged measurements from the mesh
+    function clearLogLines() {
+        mtLogLines.forEach(line => line.dispose());
+        mtLogLines = [];
+        mtLogPoints = [];
+    }
+
+    // LOCAL FUNCTION
+    // Downloads the logged measurements of the current scene in the given format ("json", "csv" or "geojson")
+    function exportLog(format) {
+        const records = MeasurementLog.getByScene(sceneName);
+        const filename = `measurements-${sceneName}.${format}`;
+        switch (format) {
+            case "json": MeasurementLog.download(filename, MeasurementLog.toJSON(records), "application/json"); break;
+            case "csv": MeasurementLog.download(filename, MeasurementLog.toCSV(records), "text/csv"); break;
+            case "geojson": MeasurementLog.download(filename, MeasurementLog.toGeoJSON(records, toGeoJSONPosition()), "application/geo+json"); break;
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Returns a function converting a logged point into WGS84 [longitude, latitude, elevation], or undefined if the scene isn't georeferenced
+    function toGeoJSONPosition() {
+        if (!sceneGeoFrame) return undefined;
+        return (point, record) => {
+            // Measurements logged without a scale (e.g. angles) are placed with the current one
+            const scale = typeof record.scale === "number" ? record.scale : getScale().value;
+            const coordinates = sceneGeoFrame(toWorld(point), scale);
+            return [coordinates.lon, coordinates.lat, coordinates.elevation];
+        };
+    }
+
+    // LOCAL FUNCTION
+    // Adds the measurements of a log file to the log, then redraws the ones of the current scene
+    async function importLog(file) {
+        let records;
+        try {
+            records = MeasurementLog.parse(await file.text());
+        } catch (error) {
+            showResult(`Measurement file is invalid: ${error.message}`, "error");
+            return;
+        }
+
+        try {
+            MeasurementLog.addAll(records);
+            refreshLog();
+        } catch (error) {
+            console.error("Failed to show the imported measurements", error);
+            showResult(`Measurements could not be shown: ${error.message}`, "error");
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Writes a message in the result field, state being "ok" or "error"
+    function showResult(text, state) {
+        mtMeasText.textContent = text;
+        mtMeasText.dataset.state = state;
+        if (mtLogKeepButton) mtLogKeepButton.disabled = state !== "ok" || !mtCurrentValue;
+        onResultObservable.notifyObservers({text, state});
     }
 
     // Initializes all the necessary components for the measurement tool, in the given scene, attaching the UI to the given AdvancedTexture
@@ -224,6 +1077,18 @@ const MeasurementTool = (function () {
         mtRefPoint2.material = refMat;
         mtRefPoint2.isPickable = false;
 
+        mtPathMaterial = new BABYLON.StandardMaterial("Path Material", scene);
+        mtPathMaterial.diffuseColor = BABYLON.Color3.Yellow();
+
+        const snapMat = new BABYLON.StandardMaterial("Snap Material", scene);
+        snapMat.disableLighting = true;
+        snapMat.emissiveColor = BABYLON.Color3.FromHexString("#00e5ff");
+
+        mtSnapMarker = BABYLON.MeshBuilder.CreateSphere("snapMarker", {diameter: 0.03}, scene);
+        mtSnapMarker.material = snapMat;
+        mtSnapMarker.isPickable = false;
+        mtSnapMarker.isVisible = false;
+
         // UI Elements
 
         // Measurement line, its length (converted to real-world units) is shown
@@ -238,6 +1103,22 @@ const MeasurementTool = (function () {
         mtReferenceLine.color = "purple";
         advancedTexture.addControl(mtReferenceLine);
 
+        // Path line, its vertices are added one by one in path mode
+        mtPathLine = new BABYLON.GUI.MultiLine("Path Line");
+        mtPathLine.color = "yellow";
+        advancedTexture.addControl(mtPathLine);
+
+        // Closing line of the polygon in area mode
+        mtAreaClosingLine = new BABYLON.GUI.MultiLine("Area Closing Line");
+        mtAreaClosingLine.color = "yellow";
+        mtAreaClosingLine.dash = [5, 5];
+        advancedTexture.addControl(mtAreaClosingLine);
+
+        // Second segment of an angle between two separate segments
+        mtAngleSecondLine = new BABYLON.GUI.MultiLine("Angle Second Line");
+        mtAngleSecondLine.color = "yellow";
+        advancedTexture.addControl(mtAngleSecondLine);
+
         const guiContainer = document.getElementById("guiContainer");
         mtButton = document.getElementById("mtActivateButton");
         mtPanel = document.getElementById("mtPanel");
@@ -247,6 +1128,34 @@ const MeasurementTool = (function () {
         mtRefGroup = document.getElementById("mtRefGroup");
         mtMeasText = document.getElementById("mtResult");
         mtRefInput = document.getElementById("mt-ref-input");
+        mtModeSelect = document.getElementById("mtModeSelect");
+        mtDistanceHint = document.getElementById("mtDistanceHint");
+        mtPathHint = document.getElementById("mtPathHint");
+        mtAreaHint = document.getElementById("mtAreaHint");
+        mtAngleHint = document.getElementById("mtAngleHint");
+        mtAngleGroup = document.getElementById("mtAngleGroup");
+        mtAngleSelect = document.getElementById("mtAngleSelect");
+        mtPathGroup = document.getElementById("mtPathGroup");
+        mtPathList = document.getElementById("mtPathList");
+        mtPathUndoButton = document.getElementById("mtPathUndoButton");
+        mtPathClearButton = document.getElementById("mtPathClearButton");
+        mtLogNameInput = document.getElementById("mt-log-name-input");
+        mtLogKeepButton = document.getElementById("mtLogKeepButton");
+        mtLogList = document.getElementById("mtLogList");
+        mtLogImportInput = document.getElementById("mt-log-import-input");
+        mtSnapSelect = document.getElementById("mtSnapSelect");
+        mtLoupeInput = document.getElementById("mtLoupeInput");
+        mtLoupe = document.getElementById("mtLoupe");
+        mtLoupeContext = mtLoupe.getContext("2d");
+        mtCoordGroup = document.getElementById("mtCoordGroup");
+        mtCoordInputs = ["x", "y", "z"].map(axis => document.getElementById(`mt-coord-${axis}-input`));
+        mtNudgeInput = document.getElementById("mt-nudge-input");
+        mtUnitSelect = document.getElementById("mtUnitSelect");
+        mtPrecisionSelect = document.getElementById("mtPrecisionSelect");
+        mtLocaleSelect = document.getElementById("mtLocaleSelect");
+        mtTargetButtons = [...document.querySelectorAll("[data-mt-target]")];
+        mtPointButtons = [...document.querySelectorAll("[data-mt-point]")];
+        mtPointToggle = document.getElementById("mtPointToggle");
 
         mtButton.addEventListener("click", () => {
             enable();
@@ -265,8 +1174,107 @@ const MeasurementTool = (function () {
             updateDisplay();
         });
 
+        mtModeSelect.addEventListener("change", () => {
+            setMode(mtModeSelect.value);
+        });
+
+        mtAngleSelect.addEventListener("change", () => {
+            setAngleKind(mtAngleSelect.value);
+        });
+
+        mtPathUndoButton.addEventListener("click", () => {
+            undoPathPoint();
+            updateDisplay();
+        });
+
+        mtPathClearButton.addEventListener("click", () => {
+            clearPath();
+            updateDisplay();
+        });
+
+        mtLogKeepButton.addEventListener("click", keepMeasurement);
+
+        mtSnapSelect.addEventListener("change", () => {
+            mtSnapMode = mtSnapSelect.value;
+            updateSnapMarker();
+        });
+
+        mtCoordInputs.forEach(input => input.addEventListener("change", applyCoordinates));
+
+        // Output unit settings, lengths are written again whenever they change
+        createUnitOptions();
+        mtUnitSelect.addEventListener("change", () => {
+            const [system, unit] = mtUnitSelect.value.split("/");
+            ConversionHelper.setSettings({system, unit});
+        });
+        mtPrecisionSelect.addEventListener("change", () => {
+            ConversionHelper.setSettings({significantFigures: mtPrecisionSelect.value === "" ? null : Number(mtPrecisionSelect.value)});
+        });
+        mtLocaleSelect.addEventListener("change", () => {
+            ConversionHelper.setSettings({locale: mtLocaleSelect.value});
+        });
+        ConversionHelper.addSettingsListener(() => {
+            updateDisplay();
+            refreshLog();
+        });
+
+        // On-screen toggles choose the points placed by taps, as touch screens have no right button or Ctrl key
+        mtTargetButtons.forEach(button => button.addEventListener("click", () => setPlacement(button.dataset.mtTarget, mtNextPoint)));
+        mtPointButtons.forEach(button => button.addEventListener("click", () => setNextPoint(Number(button.dataset.mtPoint))));
+
+        // Loupe follows the cursor over the canvas, and is redrawn after each frame as the camera may move
+        scene.getEngine().getRenderingCanvas().addEventListener("pointerleave", () => {
+            mtPointerInside = false;
+            mtSnapMarker.isVisible = false;
+        });
+        scene.onAfterRenderObservable.add(() => {
+            if (mtLoupeInput.checked || mtLoupe.classList.contains("is-visible")) drawLoupe();
+        });
+
+        document.querySelectorAll("[data-mt-export]").forEach(button => {
+            button.addEventListener("click", () => exportLog(button.dataset.mtExport));
+        });
+
+        mtLogImportInput.addEventListener("change", () => {
+            if (mtLogImportInput.files.length > 0) importLog(mtLogImportInput.files[0]);
+            mtLogImportInput.value = "";
+        });
+
+        // Keyboard actions of the active tool, their keys can be changed in the shortcuts panel
+        const group = "Measurement Tool";
+        InputManager.registerAction("measure.undo", {label: "Undo last path vertex", group, keys: ["Ctrl+Z"]}, () => {
+            if (!mtGestures || !isVertexMode()) return false;
+            undoPathPoint();
+            updateDisplay();
+        });
+        InputManager.registerAction("measure.target", {label: "Switch measurement / reference points", group, keys: ["R"]}, () => {
+            if (!mtGestures) return false;
+            setPlacement(mtTarget === "reference" ? "measurement" : "reference", mtNextPoint);
+        });
+        InputManager.registerAction("measure.pointA", {label: "Place point A next", group, keys: ["1"]}, () => {
+            if (!mtGestures) return false;
+            setNextPoint(0);
+        });
+        InputManager.registerAction("measure.pointB", {label: "Place point B next", group, keys: ["2"]}, () => {
+            if (!mtGestures) return false;
+            setNextPoint(1);
+        });
+        InputManager.registerAction("measure.deselect", {label: "Deselect point", group, keys: ["Escape"]}, () => {
+            if (!mtGestures || !mtSelectedPoint) return false;
+            selectPoint(null);
+        });
+
+        // Nudges move the selected point along the mesh's horizontal axes, or its vertical one, Shift moves by 10 steps
+        [["left", "ArrowLeft"], ["right", "ArrowRight"], ["forward", "ArrowUp"], ["back", "ArrowDown"], ["up", "PageUp"], ["down", "PageDown"]].forEach(([direction, key]) => {
+            InputManager.registerAction("measure.nudge." + direction, {label: `Nudge point ${direction}`, group, keys: [key]}, (event) => {
+                if (!mtGestures || !mtSelectedPoint) return false;
+                nudge(direction, event.shiftKey ? 10 : 1);
+            });
+        });
+
         // Measurements are disabled by default since there's no mesh
         disable();
+        setMode(mtMode);
     }
 
     const showButton = () => {
@@ -293,14 +1301,190 @@ const MeasurementTool = (function () {
         updateDisplay();
     }
 
+    // Restricts the tool's objects to the cameras matching the given layer mask
+    function setLayerMask(mask) {
+        mtLayerMask = mask;
+        [mtMeasPoint1, mtMeasPoint2, mtRefPoint1, mtRefPoint2, mtSnapMarker].concat(mtPathPoints, mtLogLines).forEach(mesh => mesh.layerMask = mask);
+    }
+
+    // Returns the layer mask of the tool's objects, cameras without it don't show the measurements
+    function getLayerMask() {
+        return mtLayerMask;
+    }
+
+    // Returns the meshes the tool draws in the scene (points and logged lines), e.g. to leave them out of a capture
+    function getMeshes() {
+        return [mtMeasPoint1, mtMeasPoint2, mtRefPoint1, mtRefPoint2, mtSnapMarker].concat(mtPathPoints, mtLogLines);
+    }
+
+    /* Returns what the tool draws over the model, e.g. to draw it on a capture: the lines in world space with their color,
+    /  [{points, color, closed}], and the labels of the current value and the reference length, [{position, text}]
+    /  Returns null if the tool is disabled */
+    function getDrawing() {
+        if (!mtGestures) return null;
+        const lines = [], labels = [];
+        const midpoint = (a, b) => a.add(b).scale(0.5);
+
+        if (mtRefPoint1.isVisible && mtRefPoint2.isVisible) {
+            lines.push({points: [mtRefPoint1.position.clone(), mtRefPoint2.position.clone()], color: "purple", closed: false});
+            if (mtRefInput && mtRefInput.value.trim() !== "") {
+                labels.push({position: midpoint(mtRefPoint1.position, mtRefPoint2.position), text: `Reference: ${mtRefInput.value.trim()}`});
+            }
+        }
+
+        if (isVertexMode()) {
+            const points = mtPathPoints.map(point => point.position.clone());
+            if (isSegmentAngle()) {
+                [points.slice(0, 2), points.slice(2, 4)].filter(segment => segment.length > 1)
+                    .forEach(segment => lines.push({points: segment, color: "yellow", closed: false}));
+            } else if (points.length > 1) {
+                lines.push({points, color: "yellow", closed: mtMode === "area" && points.length > 2});
+            }
+            if (mtCurrentValue && points.length > 0) {
+                // Areas are labelled at their center, angles at their vertex and paths at their end
+                let position = points[points.length - 1];
+                if (mtMode === "area") position = points.reduce((sum, point) => sum.addInPlace(point), BABYLON.Vector3.Zero()).scale(1 / points.length);
+                else if (isSegmentAngle()) position = points[points.length - 1];
+                else if (mtMode === "angle") position = points[Math.min(1, points.length - 1)];
+                labels.push({position, text: formatValue(mtCurrentValue)});
+            }
+        } else if (mtMeasPoint1.isVisible && mtMeasPoint2.isVisible) {
+            lines.push({points: [mtMeasPoint1.position.clone(), mtMeasPoint2.position.clone()], color: "red", closed: false});
+            if (mtCurrentValue) labels.push({position: midpoint(mtMeasPoint1.position, mtMeasPoint2.position), text: formatValue(mtCurrentValue)});
+        }
+
+        return {lines, labels};
+    }
+
+    // Returns the visible measurement and reference points (in mesh space), the mode and the reference length
+    // Returns null if the tool is disabled
+    function getState() {
+        if (!mtGestures) return null;
+
+        const visible = (point) => point.isVisible ? toMesh(point.position).asArray() : null;
+        const reference = [visible(mtRefPoint1), visible(mtRefPoint2)];
+        const points = isVertexMode()
+            ? mtPathPoints.map(point => toMesh(point.position).asArray())
+            : [visible(mtMeasPoint1), visible(mtMeasPoint2)];
+
+        // Missing points are only kept when they are followed by a placed one, as their order matters
+        while (points.length > 0 && points[points.length - 1] === null) points.pop();
+        while (reference.length > 0 && reference[reference.length - 1] === null) reference.pop();
+
+        return {mode: mtMode, points, reference, referenceLength: mtRefInput ? mtRefInput.value : ""};
+    }
+
+    // Enables the tool and places the points given by getState (in mesh space)
+    function setState(state) {
+        enable();
+        clearPath();
+        mtMeasPoint1.isVisible = mtMeasPoint2.isVisible = mtMeasurementLine.isVisible = false;
+        mtRefPoint1.isVisible = mtRefPoint2.isVisible = mtReferenceLine.isVisible = false;
+
+        // Four angle points can only be two separate segments
+        if (state.mode === "angle") setAngleKind(state.points.filter(Boolean).length > 3 ? "segments" : mtAngleKind);
+        setMode(state.mode);
+        if (isVertexMode()) {
+            state.points.filter(Boolean).forEach(point => addPathPoint(toWorld(point)));
+        } else {
+            if (state.points[0]) movePoint(mtMeasPoint1, mtMeasPoint2, mtMeasurementLine, toWorld(state.points[0]));
+            if (state.points[1]) movePoint(mtMeasPoint2, mtMeasPoint1, mtMeasurementLine, toWorld(state.points[1]));
+        }
+        if (state.reference[0]) movePoint(mtRefPoint1, mtRefPoint2, mtReferenceLine, toWorld(state.reference[0]));
+        if (state.reference[1]) movePoint(mtRefPoint2, mtRefPoint1, mtReferenceLine, toWorld(state.reference[1]));
+        if (mtRefInput) mtRefInput.value = state.referenceLength || "";
+
+        updateDisplay();
+    }
+
+    // Set current scene, logged measurements are listed by scene name and stored relative to the given mesh
+    function loadScene(name, mesh) {
+        sceneName = name;
+        sceneMesh = mesh;
+        if (mtGestures) refreshLog();
+    }
+
+    // Replace the current scene's mesh by another level of detail of the same model, points stay where they are
+    function setMesh(mesh) {
+        sceneMesh = mesh;
+        mtDrapedAreaCache = null; // surface area depends on the mesh's triangles
+        if (mtGestures) {
+            buildOctree(mesh);
+            updateDisplay();
+        }
+    }
+
+    // Set the function converting world positions into real-world coordinates, null if the scene isn't georeferenced
+    function setGeoFrame(frame) {
+        sceneGeoFrame = frame;
+        updateDisplay();
+    }
+
+    // Forget current scene (e.g., when going back to the map), logged measurements stay in the log
+    function unloadScene() {
+        sceneName = null;
+        sceneMesh = null;
+        sceneGeoFrame = null;
+        clearLogLines();
+    }
+
+    // Set up direction of the current mesh/scene, used for slopes
+    // If a mesh is given, the direction is expressed in the mesh's own coordinates (e.g. Z-up photogrammetry exports)
+    function setUpVector(up, mesh) {
+        let worldUp = BABYLON.Vector3.FromArray(up);
+        if (mesh) worldUp = BABYLON.Vector3.TransformNormal(worldUp, mesh.computeWorldMatrix(true));
+
+        // A null vector can't give a direction, keep the default one
+        if (worldUp.length() === 0) {
+            resetUpVector();
+            return;
+        }
+
+        sceneUp = worldUp.normalize();
+        updateDisplay();
+    }
+
+    // Returns the up direction of the current mesh/scene, in world space
+    function getUpVector() {
+        return sceneUp.clone();
+    }
+
+    // Reset up direction to the world's Y axis (e.g., when switching scenes)
+    function resetUpVector() {
+        sceneUp = BABYLON.Vector3.Up();
+        updateDisplay();
+    }
+
     return {
         showButton,
         hideButton,
         enable,
         disable,
+        setMode,
+        setAngleKind,
+        setPlacement,
+        pickRay,
         init,
         setScale,
-        resetScale
+        resetScale,
+        setUpVector,
+        resetUpVector,
+        getUpVector,
+        getScale,
+        loadScene,
+        unloadScene,
+        setMesh,
+        setGeoFrame,
+        getState,
+        setState,
+        setLayerMask,
+        getLayerMask,
+        getMeshes,
+        getDrawing,
+        isMeasurableMesh,
+        formatValue,
+        onChangeObservable,
+        onResultObservable
     };
 })();
 
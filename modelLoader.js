@@ -0,0 +1,117 @@
+/*********************************************************************************************
+ * Model Loader                                                                              *
+ * Downloads model files with their progress and hands them to a parser, with loads that can *
+ * be aborted, errors telling the user what went wrong, and groups of loads replacing each   *
+ * other, so that a model loaded for a scene that was left is dropped                        *
+ *********************************************************************************************/
+
+const ModelLoader = (function () {
+
+    /* Downloads a model file and parses it, onProgress is called with the loaded percentage when it is known
+    /  options: signal aborting the load, parse(data) resolving with the model of the downloaded bytes, and dispose(model)
+    /  called for a model parsed after the load was aborted, since parsing can't be interrupted
+    /  Resolves with the model, rejects with an AbortError if the load is aborted, or with an Error whose message can be
+    /  shown to the user (missing, interrupted or invalid file) */
+    async function load(url, onProgress, options) {
+        const {signal, parse, dispose} = options;
+        const fileName = url.slice(url.lastIndexOf("/") + 1);
+        const data = await download(url, fileName, onProgress, signal);
+
+        let model;
+        try {
+            model = await parse(data);
+        } catch (error) {
+            console.error(`Failed to load ${fileName}`, error);
+            throw new Error(`${fileName} is not a model that can be displayed (${error.message || error})`);
+        }
+        if (signal?.aborted) {
+            if (dispose) dispose(model);
+            throw abortError();
+        }
+        return model;
+    }
+
+    /* Creates a group of loads replacing each other (e.g. the models of the open scene)
+    /  renew() aborts the loads started so far and returns the signal of the next ones, whose results are dropped once
+    /  the signal is aborted in turn. Returns {renew, signal} */
+    function createLoadGroup() {
+        let controller = new AbortController();
+        return {
+            renew() {
+                controller.abort();
+                controller = new AbortController();
+                return controller.signal;
+            },
+            get signal() {
+                return controller.signal;
+            }
+        };
+    }
+
+    // LOCAL FUNCTION
+    // Error of the loads cancelled through their AbortSignal, callers ignore it
+    function abortError() {
+        return new DOMException("Loading was cancelled", "AbortError");
+    }
+
+    // LOCAL FUNCTION
+    // Downloads a file, failures are rejected with an Error telling the user what went wrong
+    async function download(url, fileName, onProgress, signal) {
+        let response;
+        try {
+            response = await fetch(url, { signal });
+        } catch (error) {
+            if (error.name === "AbortError") throw error;
+            // Offline, the service worker only serves the models downloaded in the Offline panel
+            const offline = globalThis.navigator?.onLine === false;
+            throw new Error(offline ? `${fileName} isn't downloaded for offline use and there is no connection` : `${fileName} could not be downloaded`);
+        }
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? `${fileName} was not found on the server` : `${fileName} could not be downloaded (${response.status} ${response.statusText})`);
+        }
+
+        let data;
+        try {
+            data = await readResponse(response, onProgress);
+        } catch (error) {
+            if (error.name === "AbortError") throw error;
+            throw new Error(`The download of ${fileName} was interrupted`);
+        }
+        if (signal?.aborted) throw abortError();
+        return data;
+    }
+
+    // LOCAL FUNCTION
+    // Reads a downloaded file, onProgress is called with the loaded percentage when its length is known
+    // A file shorter than its announced length was cut off (compressed files announce their compressed length)
+    async function readResponse(response, onProgress) {
+        const total = Number(response.headers.get("Content-Length")) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            if (total && onProgress) onProgress(Math.min(100, (loaded * 100) / total).toFixed());
+        }
+        if (total && loaded < total && !response.headers.has("Content-Encoding")) {
+            throw new Error(`Received ${loaded} of ${total} bytes`);
+        }
+
+        const data = new Uint8Array(loaded);
+        chunks.reduce((offset, chunk) => {
+            data.set(chunk, offset);
+            return offset + chunk.length;
+        }, 0);
+        return data;
+    }
+
+    return {
+        load,
+        createLoadGroup
+    };
+})();
+
+export default ModelLoader;
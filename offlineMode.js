@@ -0,0 +1,312 @@
+/*********************************************************************************************
+ * Offline Mode                                                                              *
+ * Registers the service worker (serviceWorker.js) that keeps the app usable without a       *
+ * connection, and lets the user download the models of chosen sites for offline use, see    *
+ * the storage they take and remove them, in the map menu's "Offline" panel                  *
+ *********************************************************************************************/
+
+const OfflineMode = (function () {
+    const modelCache = "aqueducts-models"; // Same name as in serviceWorker.js
+
+    var offlineButton, offlinePanel, offlineCloseButton, offlineStatus, offlineList, offlineMessage, offlineInstallButton; // HTML UI elements
+    var sites = []; // Sites that can be downloaded, {name, files}, files from lightest to heaviest
+    var sizes = new Map(); // Size in bytes of each downloaded model file, by file name
+    var downloads = new Map(); // Download in progress of each site, {controller, text}, by site name
+    var installPrompt = null; // Browser's event offering to install the app, kept until the user asks for it
+    var onChange = () => {}; // Called whenever the sites available offline or the connection change
+
+    /* Registers the service worker and fills the panel with the given sites, [{name, files}], files being the model
+    /  files in ./meshes from lightest to heaviest. onAvailabilityChange is called whenever a site is downloaded or
+    /  removed and when the connection is lost or back, to show which sites can be opened */
+    async function init(siteList, onAvailabilityChange) {
+        sites = siteList;
+        onChange = onAvailabilityChange || (() => {});
+
+        offlineButton = document.getElementById("offlineButton");
+        offlinePanel = document.getElementById("offlinePanel");
+        offlineCloseButton = document.getElementById("offlineCloseButton");
+        offlineStatus = document.getElementById("offlineStatus");
+        offlineList = document.getElementById("offlineList");
+        offlineMessage = document.getElementById("offlineMessage");
+        offlineInstallButton = document.getElementById("offlineInstallButton");
+
+        offlineButton.addEventListener("click", show);
+        offlineCloseButton.addEventListener("click", hide);
+
+        // Browsers that can install the app offer it here, instead of their own banner
+        window.addEventListener("beforeinstallprompt", (event) => {
+            event.preventDefault();
+            installPrompt = event;
+            offlineInstallButton.hidden = false;
+        });
+        offlineInstallButton.addEventListener("click", async () => {
+            if (!installPrompt) return;
+            installPrompt.prompt();
+            await installPrompt.userChoice;
+            installPrompt = null;
+            offlineInstallButton.hidden = true;
+        });
+
+        window.addEventListener("online", refresh);
+        window.addEventListener("offline", refresh);
+
+        // Service workers need http(s), pages opened from the file system run without offline support
+        if ("serviceWorker" in navigator && location.protocol.startsWith("http")) {
+            try {
+                await navigator.serviceWorker.register("./serviceWorker.js");
+            } catch (error) {
+                console.error("Failed to register the service worker, the app won't work offline", error);
+            }
+        }
+
+        await readSizes();
+        refresh();
+    }
+
+    // Tells if all the models of a site are downloaded
+    function isDownloaded(siteName) {
+        const site = sites.find(other => other.name === siteName);
+        return !!site && site.files.every(file => sizes.has(file));
+    }
+
+    // Tells if a site can be opened: always online, only with its lightest model downloaded offline
+    function isAvailable(siteName) {
+        const site = sites.find(other => other.name === siteName);
+        return navigator.onLine || (!!site && sizes.has(site.files[0]));
+    }
+
+    // Shows the offline panel
+    function show() {
+        offlinePanel.classList.add("is-visible");
+        refresh();
+    }
+
+    // Hides the offline panel
+    function hide() {
+        offlinePanel.classList.remove("is-visible");
+        showMessage("");
+    }
+
+    // Shows the panel telling why a site can't be opened, returns false if it can't
+    function checkAvailable(siteName) {
+        if (isAvailable(siteName)) return true;
+        show();
+        showMessage(`${siteName} isn't downloaded, it can't be opened offline`);
+        return false;
+    }
+
+    // LOCAL FUNCTION
+    // Downloads the models of a site into the cache, showing the progress in its entry
+    // The lightest model is needed, heavier ones missing on the server are skipped like the loader does
+    async function download(site) {
+        const controller = new AbortController();
+        const state = {controller, text: "Starting..."};
+        downloads.set(site.name, state);
+        refreshList();
+        showMessage("");
+
+        try {
+            const cache = await caches.open(modelCache);
+            for (let i = 0; i < site.files.length; ++i) {
+                const file = site.files[i];
+                if (sizes.has(file)) continue;
+
+                const prefix = site.files.length > 1 ? `${i + 1}/${site.files.length}, ` : "";
+                const response = await fetch(getUrl(file), {signal: controller.signal});
+                if (!response.ok) {
+                    if (i === 0) throw new Error(`${file} could not be downloaded (${response.status})`);
+                    console.warn(`Skipped ${file} for offline use (${response.status})`);
+                    continue;
+                }
+
+                const blob = await readWithProgress(response, (percent) => {
+                    state.text = `Downloading ${prefix}${percent}%`;
+                    refreshEntry(site);
+                });
+                // The length lets the loader show its progress when the service worker serves the model
+                await cache.put(getUrl(file), new Response(blob, {
+                    headers: {"Content-Type": response.headers.get("Content-Type") || "model/gltf-binary", "Content-Length": String(blob.size)}
+                }));
+                sizes.set(file, blob.size);
+            }
+
+            // Downloaded models shouldn't be evicted when the browser runs short of space
+            if (navigator.storage && navigator.storage.persist) await navigator.storage.persist();
+        } catch (error) {
+            if (error.name !== "AbortError") {
+                console.error(`Failed to download ${site.name} for offline use`, error);
+                showMessage(`${site.name} could not be downloaded: ${error.message}`);
+            }
+        }
+
+        downloads.delete(site.name);
+        refresh();
+    }
+
+    // LOCAL FUNCTION
+    // Removes the downloaded models of a site from the cache
+    async function remove(site) {
+        const cache = await caches.open(modelCache);
+        await Promise.all(site.files.map(file => cache.delete(getUrl(file))));
+        site.files.forEach(file => sizes.delete(file));
+        refresh();
+    }
+
+    // LOCAL FUNCTION
+    // Reads a response's body, calling onProgress with the loaded percentage when the length is known
+    async function readWithProgress(response, onProgress) {
+        const total = Number(response.headers.get("Content-Length")) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const {done, value} = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            if (total) onProgress(Math.min(100, Math.round(loaded * 100 / total)));
+        }
+        return new Blob(chunks);
+    }
+
+    // LOCAL FUNCTION
+    // Reads the sizes of the models downloaded during previous visits
+    async function readSizes() {
+        if (!("caches" in window)) return;
+        const cache = await caches.open(modelCache);
+        const files = new Set(sites.flatMap(site => site.files));
+        for (const request of await cache.keys()) {
+            const file = decodeURIComponent(new URL(request.url).pathname.split("/meshes/").pop());
+            if (!files.has(file)) continue; // model of a site no longer listed
+            const response = await cache.match(request);
+            sizes.set(file, Number(response.headers.get("Content-Length")) || (await response.blob()).size);
+        }
+    }
+
+    // LOCAL FUNCTION
+    // URL of a model file, the same as the loader's so that the service worker finds it
+    function getUrl(file) {
+        return new URL("./meshes/" + file, location.href).href;
+    }
+
+    // LOCAL FUNCTION
+    // Updates the panel and tells the map which sites can be opened
+    function refresh() {
+        refreshList();
+        refreshStatus().catch((error) => {
+            console.error("Failed to read the storage used", error);
+            showMessage(`Storage used could not be read: ${error.message || error}`);
+        });
+        onChange();
+    }
+
+    // LOCAL FUNCTION
+    // Shows the connection and the storage taken by the downloaded models and by the whole app
+    async function refreshStatus() {
+        if (!offlineStatus) return;
+        if (!("caches" in window)) {
+            offlineStatus.textContent = "Offline use needs the app to be served over HTTPS";
+            return;
+        }
+        const modelBytes = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+        let text = `${navigator.onLine ? "Online" : "Offline"}, downloaded models: ${formatSize(modelBytes)}`;
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            text += `\nStorage used: ${formatSize(estimate.usage)} of ${formatSize(estimate.quota)}`;
+        }
+        offlineStatus.textContent = text;
+    }
+
+    // LOCAL FUNCTION
+    // Lists the sites with their download state and a button to download or remove them
+    function refreshList() {
+        if (!offlineList) return;
+        offlineList.replaceChildren(...sites.map(site => {
+            const item = document.createElement("li");
+            item.className = "offline-entry";
+            item.dataset.site = site.name;
+
+            const name = document.createElement("span");
+            name.className = "offline-name";
+            name.textContent = site.name;
+            const state = document.createElement("span");
+            state.className = "offline-state";
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "mt-action";
+            button.addEventListener("click", () => onEntryClick(site));
+            item.append(name, state, button);
+
+            fillEntry(item, site);
+            return item;
+        }));
+    }
+
+    // LOCAL FUNCTION
+    // Updates the entry of a single site, e.g. for the progress of its download
+    function refreshEntry(site) {
+        const item = offlineList && [...offlineList.children].find(other => other.dataset.site === site.name);
+        if (item) fillEntry(item, site);
+    }
+
+    // LOCAL FUNCTION
+    function fillEntry(item, site) {
+        const [, state, button] = item.children;
+        const downloadState = downloads.get(site.name);
+        const size = getSiteSize(site);
+
+        if (downloadState) {
+            state.textContent = downloadState.text;
+            button.textContent = "Cancel";
+        } else if (size > 0) {
+            state.textContent = `${isDownloaded(site.name) ? "Downloaded" : "Partly downloaded"}, ${formatSize(size)}`;
+            button.textContent = "Remove";
+        } else {
+            state.textContent = "Not downloaded";
+            button.textContent = "Download";
+        }
+        // Downloads need the connection and the cache, removing doesn't
+        button.disabled = !downloadState && size === 0 && (!navigator.onLine || !("caches" in window));
+    }
+
+    // LOCAL FUNCTION
+    // Cancels the download of a site, removes its models if it has some, downloads them otherwise
+    function onEntryClick(site) {
+        const downloadState = downloads.get(site.name);
+        if (downloadState) downloadState.controller.abort();
+        else if (getSiteSize(site) > 0) remove(site);
+        else download(site);
+    }
+
+    // LOCAL FUNCTION
+    // Size in bytes of the downloaded models of a site
+    function getSiteSize(site) {
+        return site.files.reduce((sum, file) => sum + (sizes.get(file) || 0), 0);
+    }
+
+    // LOCAL FUNCTION
+    // Writes a message under the list, e.g. why a download failed
+    function showMessage(text) {
+        if (!offlineMessage) return;
+        offlineMessage.textContent = text;
+        offlineMessage.classList.toggle("is-visible", text !== "");
+    }
+
+    // LOCAL FUNCTION
+    function formatSize(bytes) {
+        if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(2)} GB`;
+        if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1e3)} kB`;
+    }
+
+    return {
+        init,
+        isDownloaded,
+        isAvailable,
+        checkAvailable,
+        show,
+        hide
+    };
+})();
+
+export default OfflineMode;
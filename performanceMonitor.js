@@ -0,0 +1,364 @@
+/*********************************************************************************************
+ * Performance Monitor                                                                       *
+ * Optional on-screen overlay with FPS, frame time, draw calls, active meshes, triangles    *
+ * and an estimate of the GPU memory, and a benchmark that orbits the camera around the      *
+ * current model along a fixed path and exports the frame times as JSON or CSV               *
+ *********************************************************************************************/
+
+import MeasurementLog from "./measurementLog.js";
+
+const PerformanceMonitor = (function () {
+    const storageKey = "aqueducts.perf.overlay"; // localStorage key, "1" when the overlay is shown
+    const updateInterval = 250; // Overlay is updated every X ms instead of every frame to avoid constant DOM updates
+    const warmupFrames = 30; // Frames rendered on the benchmark path before recording, e.g. while shaders compile
+    const benchmarkFrames = 720; // Frames recorded by the benchmark, one full turn around the model
+    const benchmarkAlpha = -90; // Longitudinal angle where the benchmark path starts in degrees, in front of the model
+    const benchmarkBetaRange = [35, 70]; // Latitudinal angle of the benchmark path in degrees, lower for flatter models
+    const benchmarkBetaSwing = 15; // The latitudinal angle oscillates by this many degrees along the path
+    const benchmarkRadiusFactor = 1.5; // Distance of the benchmark path, in diagonals of the model's bounding box
+
+    // Columns of the CSV export, in order
+    const csvColumns = ["frame", "time", "frameTime", "cpuTime", "fps", "drawCalls", "activeMeshes", "triangles"];
+
+    var scene, engine, camera; // BabylonJS scene, its engine, and the camera moved by the benchmark
+    var instrumentation; // Scene instrumentation, counts the draw calls
+    var getContext = () => null; // Returns {scene, level, mesh, optimization} for the model shown, null on the map
+    var onBeforeStart = null; // Called before a benchmark starts, e.g. to leave the comparison view
+    var nextUpdate = 0; // Time of the next overlay update
+    var benchmark = null; // Running benchmark, {context, frame, frames, startTime, savedCamera, center, beta, radius}
+    var lastReport = null; // Report of the last benchmark, until another one starts
+
+    var perfOverlay, perfOverlayInput, perfBenchmarkButton, perfBenchmarkStatus, perfExport; // HTML UI elements
+    var perfValues = {}; // Elements showing the overlay's values, by data-perf name
+
+    // Records the frame that was just rendered, cpuTime being the time spent in scene.render() in ms
+    // Called by the render loop after every frame
+    function recordFrame(cpuTime) {
+        if (benchmark) recordBenchmarkFrame(cpuTime);
+
+        const now = performance.now();
+        if (now < nextUpdate || !isOverlayVisible()) return;
+        nextUpdate = now + updateInterval;
+
+        const stats = getFrameStats();
+        perfValues.fps.textContent = engine.getFps().toFixed();
+        perfValues.frameTime.textContent = `${engine.getDeltaTime().toFixed(1)} ms`;
+        perfValues.cpuTime.textContent = `${cpuTime.toFixed(1)} ms`;
+        perfValues.drawCalls.textContent = stats.drawCalls;
+        perfValues.activeMeshes.textContent = stats.activeMeshes;
+        perfValues.triangles.textContent = formatCount(stats.triangles);
+        perfValues.memory.textContent = `~${formatBytes(estimateGpuMemory())}`;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the counters of the last rendered frame
+    function getFrameStats() {
+        return {
+            drawCalls: instrumentation.drawCallsCounter.current,
+            activeMeshes: scene.getActiveMeshes().length,
+            triangles: Math.round(scene.getActiveIndices() / 3)
+        };
+    }
+
+    /* Estimates the GPU memory used by the scene's geometries and textures, in bytes
+    /  Vertex buffers shared by several attributes and compressed textures are over-estimated */
+    function estimateGpuMemory() {
+        let bytes = 0;
+        scene.geometries.forEach(geometry => {
+            const vertices = geometry.getTotalVertices();
+            Object.values(geometry.getVertexBuffers() || {}).forEach(buffer => {
+                bytes += vertices * buffer.getSize() * BABYLON.VertexBuffer.GetTypeByteLength(buffer.type);
+            });
+            bytes += geometry.getTotalIndices() * (vertices > 65535 ? 4 : 2);
+        });
+        scene.textures.forEach(texture => {
+            const size = texture.getSize();
+            if (!size || !size.width) return;
+            let textureBytes = size.width * size.height * 4;
+            if (!texture.noMipmap) textureBytes *= 4 / 3;
+            if (texture.isCube) textureBytes *= 6;
+            bytes += textureBytes;
+        });
+        return bytes;
+    }
+
+    // LOCAL FUNCTION
+    function isOverlayVisible() {
+        return !!perfOverlay && perfOverlay.classList.contains("is-visible");
+    }
+
+    // Shows or hides the overlay, the choice is kept in the browser
+    function setOverlayVisible(visible) {
+        perfOverlay.classList.toggle("is-visible", visible);
+        perfOverlayInput.checked = visible;
+        nextUpdate = 0;
+        try {
+            if (visible) localStorage.setItem(storageKey, "1");
+            else localStorage.removeItem(storageKey);
+        } catch (error) {
+            console.error("Failed to store the performance overlay setting", error);
+        }
+    }
+
+    /////////////////
+    //  Benchmark  //
+    /////////////////
+
+    /* Orbits the camera around the current model, one position per frame, and records every frame
+    /  The path only depends on the model's bounding box, so that the levels of detail of a model (and runs with
+    /  different optimization settings) are compared on the same views. The camera is given back at the end */
+    function startBenchmark() {
+        if (benchmark) return;
+        const context = getContext();
+        if (!context || !context.mesh) {
+            setStatus("Open a scene to record a benchmark.");
+            return;
+        }
+        if (onBeforeStart) onBeforeStart();
+
+        const bounds = context.mesh.getHierarchyBoundingVectors();
+        const size = bounds.max.subtract(bounds.min);
+        benchmark = {
+            context,
+            frame: -warmupFrames,
+            frames: [],
+            startTime: 0,
+            savedCamera: {alpha: camera.alpha, beta: camera.beta, radius: camera.radius, target: camera.target.clone()},
+            center: BABYLON.Vector3.Center(bounds.min, bounds.max),
+            beta: getBenchmarkBeta(size),
+            radius: size.length() * benchmarkRadiusFactor
+        };
+        lastReport = null;
+
+        camera.detachControl();
+        camera.setTarget(benchmark.center);
+        moveCamera(0);
+        perfBenchmarkButton.textContent = "Stop Benchmark";
+        perfExport.classList.remove("is-visible");
+        setStatus("Recording benchmark...");
+    }
+
+    // Stops the running benchmark without a report and gives the camera back (e.g., when going back to the map)
+    function cancelBenchmark() {
+        if (!benchmark) return;
+        finishBenchmark();
+        setStatus("Benchmark stopped.");
+    }
+
+    // LOCAL FUNCTION
+    // Returns the latitudinal angle of the benchmark path in degrees for a bounding box of the given size
+    // Flat models (e.g. terrains) are seen from above, tall ones (e.g. aqueduct arches) more from the side
+    function getBenchmarkBeta(size) {
+        const [min, max] = benchmarkBetaRange;
+        const flatness = Math.atan2(Math.hypot(size.x, size.z), size.y) / (Math.PI / 2); // 0 for a vertical line, 1 when flat
+        return max - (max - min) * flatness;
+    }
+
+    // LOCAL FUNCTION
+    // Places the camera on the benchmark path, progress going from 0 to 1 over a full turn
+    function moveCamera(progress) {
+        const angle = progress * 2 * Math.PI;
+        camera.alpha = BABYLON.Tools.ToRadians(benchmarkAlpha) + angle;
+        camera.beta = BABYLON.Tools.ToRadians(benchmark.beta + benchmarkBetaSwing * Math.sin(2 * angle));
+        camera.radius = benchmark.radius;
+    }
+
+    // LOCAL FUNCTION
+    // Records a frame of the running benchmark and moves the camera for the next one
+    function recordBenchmarkFrame(cpuTime) {
+        const now = performance.now();
+        if (benchmark.frame === 0) benchmark.startTime = now;
+
+        if (benchmark.frame >= 0) {
+            const stats = getFrameStats();
+            benchmark.frames.push({
+                frame: benchmark.frame,
+                time: now - benchmark.startTime,
+                frameTime: engine.getDeltaTime(),
+                cpuTime,
+                fps: engine.getFps(),
+                drawCalls: stats.drawCalls,
+                activeMeshes: stats.activeMeshes,
+                triangles: stats.triangles
+            });
+        }
+
+        benchmark.frame++;
+        if (benchmark.frame >= benchmarkFrames) {
+            const report = createReport();
+            finishBenchmark();
+            lastReport = report;
+            perfExport.classList.add("is-visible");
+            const summary = report.summary;
+            setStatus(`${summary.averageFps.toFixed(1)} FPS on average, ${summary.frameTime.p95.toFixed(1)} ms at the 95th percentile.` +
+                (report.modelChanged ? " The model changed during the run, record again to compare." : ""));
+        } else {
+            moveCamera(Math.max(benchmark.frame, 0) / benchmarkFrames);
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Gives the camera back as it was before the benchmark
+    function finishBenchmark() {
+        const saved = benchmark.savedCamera;
+        benchmark = null;
+        camera.alpha = saved.alpha;
+        camera.beta = saved.beta;
+        camera.radius = saved.radius;
+        camera.setTarget(saved.target);
+        camera.attachControl(engine.getRenderingCanvas(), true);
+        perfBenchmarkButton.textContent = "Record Benchmark";
+    }
+
+    // LOCAL FUNCTION
+    // Builds the report of the benchmark that just ended: context, machine, summary and every frame
+    function createReport() {
+        const {context, frames} = benchmark;
+        const endContext = getContext();
+        const glInfo = engine.getGlInfo ? engine.getGlInfo() : {};
+        const frameTimes = frames.map(frame => frame.frameTime).sort((a, b) => a - b);
+        const duration = frames.length > 0 ? frames[frames.length - 1].time : 0;
+
+        return {
+            scene: context.scene,
+            level: context.level,
+            modelChanged: !endContext || endContext.mesh !== context.mesh, // e.g. a heavier level streamed in
+            optimization: context.optimization,
+            date: new Date().toISOString(),
+            machine: {
+                userAgent: navigator.userAgent,
+                vendor: glInfo.vendor,
+                renderer: glInfo.renderer,
+                version: glInfo.version,
+                canvas: [engine.getRenderWidth(), engine.getRenderHeight()],
+                hardwareScaling: engine.getHardwareScalingLevel()
+            },
+            path: {frames: benchmarkFrames, warmupFrames, alpha: benchmarkAlpha, beta: benchmark.beta, betaSwing: benchmarkBetaSwing, radiusFactor: benchmarkRadiusFactor},
+            summary: {
+                frames: frames.length,
+                duration,
+                averageFps: duration > 0 ? (frames.length - 1) * 1000 / duration : 0,
+                frameTime: {
+                    average: average(frameTimes),
+                    min: frameTimes[0],
+                    median: percentile(frameTimes, 0.5),
+                    p95: percentile(frameTimes, 0.95),
+                    p99: percentile(frameTimes, 0.99),
+                    max: frameTimes[frameTimes.length - 1]
+                },
+                cpuTime: average(frames.map(frame => frame.cpuTime)),
+                drawCalls: average(frames.map(frame => frame.drawCalls)),
+                activeMeshes: average(frames.map(frame => frame.activeMeshes)),
+                triangles: average(frames.map(frame => frame.triangles)),
+                gpuMemory: estimateGpuMemory()
+            },
+            frames
+        };
+    }
+
+    // Converts a benchmark report to a JSON file content
+    function toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    // Converts a benchmark report to a CSV file content, one row per frame
+    // The context and summary are in the JSON export only
+    function toCSV(report) {
+        const rows = report.frames.map(frame => csvColumns.map(column => {
+            const value = frame[column];
+            return Number.isInteger(value) ? value : value.toFixed(3);
+        }).join(","));
+        return [csvColumns.join(",")].concat(rows).join("\n");
+    }
+
+    // LOCAL FUNCTION
+    // Downloads the last report in the given format ("json" or "csv")
+    function exportReport(format) {
+        if (!lastReport) return;
+        const name = `benchmark-${lastReport.scene}-${lastReport.level}-${lastReport.date.slice(0, 19).replace(/[:T]/g, "-")}`.replace(/[^\w.-]+/g, "_");
+        if (format === "csv") MeasurementLog.download(`${name}.csv`, toCSV(lastReport), "text/csv");
+        else MeasurementLog.download(`${name}.json`, toJSON(lastReport), "application/json");
+    }
+
+    // LOCAL FUNCTION
+    function setStatus(text) {
+        perfBenchmarkStatus.textContent = text;
+    }
+
+    // LOCAL FUNCTION
+    function average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the value below which the given fraction of the sorted values are
+    function percentile(sortedValues, fraction) {
+        if (sortedValues.length === 0) return 0;
+        return sortedValues[Math.min(sortedValues.length - 1, Math.floor(fraction * sortedValues.length))];
+    }
+
+    // LOCAL FUNCTION
+    // Short text for a large count, e.g. 1.2 M
+    function formatCount(count) {
+        if (count >= 1e6) return `${(count / 1e6).toFixed(1)} M`;
+        if (count >= 1e3) return `${(count / 1e3).toFixed(1)} k`;
+        return String(count);
+    }
+
+    // LOCAL FUNCTION
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+        return `${(bytes / (1024 * 1024)).toFixed(0)} MB`;
+    }
+
+    /* Initializes the overlay and benchmark in the given scene, benchmarks moving the given arc rotate camera
+    /  options.getContext returns {scene, level, mesh, optimization} for the model shown (null on the map),
+    /  options.onBeforeStart is called before a benchmark starts */
+    async function init(babylonScene, arcRotateCamera, options = {}) {
+        scene = babylonScene;
+        engine = scene.getEngine();
+        camera = arcRotateCamera;
+        getContext = options.getContext || getContext;
+        onBeforeStart = options.onBeforeStart || null;
+        instrumentation = new BABYLON.SceneInstrumentation(scene);
+
+        perfOverlay = document.getElementById("perfOverlay");
+        perfOverlayInput = document.getElementById("perfOverlayInput");
+        perfBenchmarkButton = document.getElementById("perfBenchmarkButton");
+        perfBenchmarkStatus = document.getElementById("perfBenchmarkStatus");
+        perfExport = document.getElementById("perfExport");
+        perfOverlay.querySelectorAll("[data-perf]").forEach(element => {
+            perfValues[element.dataset.perf] = element;
+        });
+
+        perfOverlayInput.addEventListener("change", () => setOverlayVisible(perfOverlayInput.checked));
+        perfBenchmarkButton.addEventListener("click", () => {
+            if (benchmark) cancelBenchmark();
+            else startBenchmark();
+        });
+        perfExport.querySelectorAll("[data-perf-export]").forEach(button => {
+            button.addEventListener("click", () => exportReport(button.dataset.perfExport));
+        });
+
+        let stored = null;
+        try {
+            stored = localStorage.getItem(storageKey);
+        } catch (error) {
+            stored = null;
+        }
+        setOverlayVisible(stored === "1");
+    }
+
+    return {
+        init,
+        recordFrame,
+        estimateGpuMemory,
+        setOverlayVisible,
+        startBenchmark,
+        cancelBenchmark,
+        toJSON,
+        toCSV
+    };
+})();
+
+export default PerformanceMonitor;
@@ -0,0 +1,358 @@
+/*********************************************************************************************
+ * Render Panel                                                                              *
+ * Lighting and view modes for surface inspection: a directional light that can be moved    *
+ * (raking light), and unlit, texture-off, wireframe, normals and ambient occlusion views    *
+ * Views swap the meshes' materials instead of editing them, so frozen materials stay frozen *
+ * Settings are kept in the browser, by scene                                                *
+ *********************************************************************************************/
+
+import MeasurementTool from "./measurementTool.js";
+
+const RenderPanel = (function () {
+    const storageKey = "aqueducts.render."; // localStorage key prefix, followed by the scene name
+    const defaults = {light: "ambient", azimuth: 315, elevation: 20, view: "textured"}; // Settings of a scene never changed
+
+    var scene; // BabylonJS scene, holds the lights
+    var ambientLight; // Hemispheric light of the scene, shining down
+    var rakingLight; // Directional light moved by the user, off in ambient mode
+    var sceneName = null, sceneMesh = null; // Name and root mesh of the current scene
+    var settings = {...defaults}; // Settings of the current scene
+    var originalMaterials = new Map(); // Materials of the current scene's meshes before a view replaced them, by mesh
+    var unlitMaterials = new Map(); // Unlit copies of the original materials, by original material
+    var untexturedMaterial, wireframeMaterial, normalMaterial; // Materials shared by every mesh in the matching view
+    var occlusionPipeline = null; // Screen space ambient occlusion, only while the occlusion view is shown
+    var occlusionCameras = []; // Cameras the occlusion pipeline is attached to
+    var occlusionObserver = null; // Follows camera changes (walk mode, comparison mode) while occlusion is on
+    var overlayMaterial = null; // Material shown instead of the view's one while an overlay (e.g. heatmap) is on
+
+    var renderButton, renderPanel, renderCloseButton, renderLightSelect, renderLightGroup, renderViewSelect, renderResetButton; // HTML UI elements
+    var renderAzimuthInput, renderElevationInput, renderAzimuthValue, renderElevationValue; // HTML UI elements of the light direction
+
+    // Opens the render panel
+    function enable() {
+        hideButton();
+        if (renderPanel) renderPanel.classList.add("is-visible");
+    }
+
+    // Closes the render panel, settings stay applied
+    function disable() {
+        if (renderPanel) renderPanel.classList.remove("is-visible");
+    }
+
+    // Applies the saved settings of the given scene to its mesh
+    function loadScene(name, mesh) {
+        unloadScene();
+        sceneName = name;
+        sceneMesh = mesh;
+        settings = readSettings(name);
+        refreshInputs();
+        applyLight();
+        applyView();
+    }
+
+    // Replaces the current scene's mesh by another level of detail of the same model
+    // Must be called before the previous mesh is disposed, as it gets its own materials back
+    function setMesh(mesh) {
+        restoreMaterials();
+        sceneMesh = mesh;
+        applyView();
+    }
+
+    // Gives the meshes their own materials back and resets the lights (e.g., when going back to the map)
+    // Must be called before the meshes are disposed, so that their own materials are disposed with them
+    function unloadScene() {
+        disable();
+        restoreMaterials();
+        setOcclusion(false);
+        sceneName = null;
+        sceneMesh = null;
+        settings = {...defaults};
+        applyLight();
+    }
+
+    // LOCAL FUNCTION
+    // Reads the settings of a scene, missing or invalid ones get their default value
+    function readSettings(name) {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(storageKey + name)) || {};
+        } catch (error) {
+            stored = {};
+        }
+        return {
+            light: ["ambient", "raking"].includes(stored.light) ? stored.light : defaults.light,
+            azimuth: Number.isFinite(stored.azimuth) ? stored.azimuth : defaults.azimuth,
+            elevation: Number.isFinite(stored.elevation) ? stored.elevation : defaults.elevation,
+            view: ["textured", "unlit", "untextured", "wireframe", "normals", "occlusion"].includes(stored.view) ? stored.view : defaults.view
+        };
+    }
+
+    // LOCAL FUNCTION
+    // Keeps the settings of the current scene in the browser
+    function saveSettings() {
+        if (!sceneName) return;
+        try {
+            localStorage.setItem(storageKey + sceneName, JSON.stringify(settings));
+        } catch (error) {
+            console.error("Failed to store render settings", error);
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Shows the current settings in the panel
+    function refreshInputs() {
+        if (!renderPanel) return;
+        renderLightSelect.value = settings.light;
+        renderViewSelect.value = settings.view;
+        renderAzimuthInput.value = settings.azimuth;
+        renderElevationInput.value = settings.elevation;
+        renderAzimuthValue.textContent = `${settings.azimuth}°`;
+        renderElevationValue.textContent = `${settings.elevation}°`;
+        renderLightGroup.style.display = settings.light === "raking" ? "" : "none";
+    }
+
+    // LOCAL FUNCTION
+    // Points the raking light from the given azimuth and elevation, relative to the scene's up direction
+    // Lights are never added or removed, only their intensity changes, so that frozen materials don't need to be recompiled
+    function applyLight() {
+        const raking = settings.light === "raking";
+        ambientLight.intensity = raking ? 0.15 : 1;
+        rakingLight.intensity = raking ? 1.5 : 0;
+        if (!raking) return;
+
+        // Azimuth is measured from the scene's X axis, as seen from above
+        const up = MeasurementTool.getUpVector();
+        let axisX = BABYLON.Axis.X.subtract(up.scale(BABYLON.Vector3.Dot(BABYLON.Axis.X, up)));
+        if (axisX.length() < 1e-6) axisX = BABYLON.Axis.Z.subtract(up.scale(BABYLON.Vector3.Dot(BABYLON.Axis.Z, up)));
+        axisX.normalize();
+        const axisY = BABYLON.Vector3.Cross(up, axisX);
+
+        const azimuth = BABYLON.Tools.ToRadians(settings.azimuth);
+        const elevation = BABYLON.Tools.ToRadians(settings.elevation);
+        const towardsLight = axisX.scale(Math.cos(azimuth) * Math.cos(elevation))
+            .add(axisY.scale(Math.sin(azimuth) * Math.cos(elevation)))
+            .add(up.scale(Math.sin(elevation)));
+        rakingLight.direction = towardsLight.negate();
+    }
+
+    // LOCAL FUNCTION
+    // Gives every mesh of the current scene the material of the current view
+    function applyView() {
+        getSceneMeshes().forEach(mesh => {
+            if (!originalMaterials.has(mesh)) originalMaterials.set(mesh, mesh.material);
+            setMaterial(mesh, getViewMaterial(originalMaterials.get(mesh)));
+        });
+        setOcclusion(settings.view === "occlusion" && !!sceneMesh);
+    }
+
+    // LOCAL FUNCTION
+    // Gives the meshes of the current scene their own materials back
+    function restoreMaterials() {
+        originalMaterials.forEach((material, mesh) => setMaterial(mesh, material));
+        originalMaterials.clear();
+        unlitMaterials.forEach(material => material.dispose(false, false)); // textures belong to the original materials
+        unlitMaterials.clear();
+    }
+
+    // LOCAL FUNCTION
+    // Replaces the material of a mesh, keeping it frozen or not like the replaced one (the section tool unfreezes them)
+    function setMaterial(mesh, material) {
+        if (!material || mesh.material === material) return;
+        const frozen = mesh.material ? mesh.material.isFrozen : true;
+        mesh.material = material;
+        if (frozen) material.freeze();
+        else material.unfreeze();
+    }
+
+    // Shows the given material on every mesh of the current scene instead of the view's one, null gives the view back
+    function setOverlayMaterial(material) {
+        overlayMaterial = material;
+        applyView();
+    }
+
+    // LOCAL FUNCTION
+    // Returns the material to show instead of the given one in the current view
+    function getViewMaterial(original) {
+        if (overlayMaterial) return overlayMaterial;
+
+        switch (settings.view) {
+            case "unlit":
+                if (!original) return original;
+                if (!unlitMaterials.has(original)) unlitMaterials.set(original, createUnlitMaterial(original));
+                return unlitMaterials.get(original);
+            case "untextured":
+            case "occlusion":
+                return untexturedMaterial;
+            case "wireframe":
+                return wireframeMaterial;
+            case "normals":
+                return normalMaterial;
+            default:
+                return original;
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Creates a material showing the texture (or color) of the given one without any lighting
+    function createUnlitMaterial(original) {
+        const unlit = new BABYLON.StandardMaterial(original.name + " (unlit)", scene);
+        const texture = original.albedoTexture || original.diffuseTexture || null;
+        unlit.disableLighting = true;
+        if (texture) unlit.emissiveTexture = texture;
+        else unlit.emissiveColor = (original.albedoColor || original.diffuseColor || BABYLON.Color3.White()).clone();
+        unlit.backFaceCulling = original.backFaceCulling;
+        return unlit;
+    }
+
+    // LOCAL FUNCTION
+    // Starts or stops the ambient occlusion post-process, which darkens cavities (joints, tool marks) of the untextured model
+    function setOcclusion(enabled) {
+        if (!enabled) {
+            if (occlusionPipeline) {
+                scene.onBeforeRenderObservable.remove(occlusionObserver);
+                occlusionObserver = null;
+                occlusionPipeline.dispose();
+                occlusionPipeline = null;
+                occlusionCameras = [];
+            }
+            return;
+        }
+        if (occlusionPipeline) return;
+
+        occlusionCameras = getRenderedCameras();
+        occlusionPipeline = new BABYLON.SSAO2RenderingPipeline("occlusionPipeline", scene, {ssaoRatio: 0.75, blurRatio: 1}, occlusionCameras);
+        occlusionPipeline.radius = sceneMesh ? getSceneSize() * 0.01 : 1;
+        occlusionPipeline.totalStrength = 1.5;
+        occlusionPipeline.samples = 16;
+        occlusionObserver = scene.onBeforeRenderObservable.add(followCameras);
+    }
+
+    // LOCAL FUNCTION
+    // Moves the occlusion pipeline to the cameras now rendering the scene, when another tool switched them
+    function followCameras() {
+        const cameras = getRenderedCameras();
+        if (cameras.length === occlusionCameras.length && cameras.every((camera, i) => camera === occlusionCameras[i])) return;
+        const manager = scene.postProcessRenderPipelineManager;
+        const detached = occlusionCameras.filter(camera => !cameras.includes(camera));
+        const attached = cameras.filter(camera => !occlusionCameras.includes(camera));
+        if (detached.length) manager.detachCamerasFromRenderPipeline("occlusionPipeline", detached);
+        if (attached.length) manager.attachCamerasToRenderPipeline("occlusionPipeline", attached);
+        occlusionCameras = cameras;
+    }
+
+    // LOCAL FUNCTION
+    // Returns the cameras rendering the scene, several side by side in comparison mode
+    function getRenderedCameras() {
+        if (scene.activeCameras && scene.activeCameras.length) return scene.activeCameras.slice();
+        return scene.activeCamera ? [scene.activeCamera] : [];
+    }
+
+    // LOCAL FUNCTION
+    // Returns the length of the diagonal of the current scene's bounding box
+    function getSceneSize() {
+        const bounds = sceneMesh.getHierarchyBoundingVectors();
+        return bounds.max.subtract(bounds.min).length();
+    }
+
+    // LOCAL FUNCTION
+    // Returns the meshes of the current scene that have triangles
+    function getSceneMeshes() {
+        if (!sceneMesh) return [];
+        return [sceneMesh].concat(sceneMesh.getChildMeshes()).filter(mesh => mesh.getTotalVertices && mesh.getTotalVertices() > 0);
+    }
+
+    // LOCAL FUNCTION
+    // Updates a setting of the current scene from the panel and saves it
+    function changeSetting(name, value) {
+        settings[name] = value;
+        saveSettings();
+        refreshInputs();
+        if (name === "view") applyView();
+        else applyLight();
+    }
+
+    // Initializes the render panel in the given scene, ambientLightSource being its hemispheric light
+    async function init(babylonScene, ambientLightSource) {
+        scene = babylonScene;
+        ambientLight = ambientLightSource;
+
+        // Created once and for all with no intensity, see applyLight
+        rakingLight = new BABYLON.DirectionalLight("rakingLight", new BABYLON.Vector3(0, -1, 0), scene);
+        rakingLight.intensity = 0;
+
+        untexturedMaterial = new BABYLON.StandardMaterial("Untextured Material", scene);
+        untexturedMaterial.diffuseColor = new BABYLON.Color3(0.8, 0.8, 0.78);
+        untexturedMaterial.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+        untexturedMaterial.backFaceCulling = false;
+
+        wireframeMaterial = new BABYLON.StandardMaterial("Wireframe Material", scene);
+        wireframeMaterial.wireframe = true;
+        wireframeMaterial.disableLighting = true;
+        wireframeMaterial.emissiveColor = new BABYLON.Color3(0.6, 0.9, 1);
+
+        normalMaterial = new BABYLON.NormalMaterial("Normal Material", scene);
+        normalMaterial.backFaceCulling = false;
+
+        renderButton = document.getElementById("renderButton");
+        renderPanel = document.getElementById("renderPanel");
+        renderCloseButton = document.getElementById("renderCloseButton");
+        renderLightSelect = document.getElementById("renderLightSelect");
+        renderLightGroup = document.getElementById("renderLightGroup");
+        renderViewSelect = document.getElementById("renderViewSelect");
+        renderResetButton = document.getElementById("renderResetButton");
+        renderAzimuthInput = document.getElementById("render-azimuth-input");
+        renderElevationInput = document.getElementById("render-elevation-input");
+        renderAzimuthValue = document.getElementById("renderAzimuthValue");
+        renderElevationValue = document.getElementById("renderElevationValue");
+
+        renderButton.addEventListener("click", enable);
+
+        renderCloseButton.addEventListener("click", () => {
+            disable();
+            showButton();
+        });
+
+        renderLightSelect.addEventListener("change", () => changeSetting("light", renderLightSelect.value));
+        renderViewSelect.addEventListener("change", () => changeSetting("view", renderViewSelect.value));
+        renderAzimuthInput.addEventListener("input", () => changeSetting("azimuth", Number(renderAzimuthInput.value)));
+        renderElevationInput.addEventListener("input", () => changeSetting("elevation", Number(renderElevationInput.value)));
+
+        renderResetButton.addEventListener("click", () => {
+            settings = {...defaults};
+            if (sceneName) {
+                try {
+                    localStorage.removeItem(storageKey + sceneName);
+                } catch (error) {
+                    console.error("Failed to remove render settings", error);
+                }
+            }
+            refreshInputs();
+            applyLight();
+            applyView();
+        });
+
+        refreshInputs();
+        disable();
+    }
+
+    const showButton = () => {
+        renderButton.classList.add("is-visible");
+    };
+    const hideButton = () => {
+        renderButton.classList.remove("is-visible");
+    };
+
+    return {
+        showButton,
+        hideButton,
+        enable,
+        disable,
+        init,
+        loadScene,
+        setMesh,
+        unloadScene,
+        setOverlayMaterial
+    };
+})();
+
+export default RenderPanel;
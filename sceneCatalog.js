@@ -0,0 +1,363 @@
+/******************************************************************************************************
+ * Scene Catalog                                                                                      *
+ * Loads scenes.json and validates its entries, reporting malformed ones instead of dropping them     *
+ * silently. The file is either a list of scenes, or {"map": {...}, "routes": [...], "scenes": [...]}  *
+ ******************************************************************************************************/
+
+import GeoReference from "./geoReference.js";
+
+const SceneCatalog = (function () {
+    const catalogFile = "./scenes.json";
+
+    /* A scene entry has the following fields:
+    /  name         (required) file name of the model in ./meshes, without extension
+    /  uvx, uvy     position of the pin on the map image, as fractions of its width (from the left) and height (from the bottom)
+    /  location     {crs: "WGS84", lat, lon} in degrees, or {crs: "EGSA87", x, y} in meters, position of the model's origin
+    /               replaces uvx/uvy when the map has bounds
+    /  elevation    altitude of the model's origin, in meters
+    /  orientation  azimuth of the model's +X axis, in degrees clockwise from grid north
+    /  scale        meters per mesh unit
+    /  up           up direction in the model's own coordinates, e.g. [0, 0, 1] for Z-up exports
+    /  lods         model files in ./meshes from lightest to heaviest, strings or {file, label}
+    /               defaults to "<name>Light.glb" then "<name>.glb"
+    /
+    /  Optional metadata shown in the site list and information panel:
+    /  period, description, dimensions, captureDate, photographer (strings), thumbnails (list of image URLs)
+    /  and bibliography (list of references, each a string or {text, url})
+    /
+    /  Map bounds are the coordinates of the map image's edges: {crs: "WGS84", west, east, south, north} (degrees)
+    /  or {crs: "EGSA87", west, east, south, north} (meters)
+    /
+    /  Map layers (map.layers) replace gui/map.jpg by a list of images covering the same area, each one being:
+    /  id           (required) unique name of the layer
+    /  label        name shown in the layer switcher, defaults to the id
+    /  type         "base" (one shown at a time, the first one at start) or "overlay" (shown over it, can be toggled)
+    /  image        URL of a single image
+    /  tiles        or an image pyramid: {url, width, height, tileSize, overlap, minLevel, maxLevel}
+    /               url contains {z}, {x} and {y}, width and height are the full resolution size in pixels,
+    /               tileSize defaults to 256 and overlap (pixels shared by neighbouring tiles) to 0
+    /               levels halve the resolution from maxLevel (full resolution) down to minLevel, maxLevel defaults
+    /               to the Deep Zoom convention (level 0 is 1 pixel wide) and minLevel to 0
+    /  opacity      between 0 and 1, defaults to 1
+    /  visible      for overlays, if they are shown at start, defaults to false
+    /  map.width and map.height give the size of the map in map pixels (how much the map can be zoomed),
+    /  they default to the size of the first base layer
+    /
+    /  Routes are the aqueduct systems the sites belong to, each one being:
+    /  name         (required) unique name of the aqueduct
+    /  sites        (required) names of its scenes, in order along the aqueduct
+    /  color        CSS color of its line on the map, one is picked otherwise
+    /  path         points of its line, as [uvx, uvy] or locations (like the scenes'), the sites' positions by default */
+
+    /* Loads and validates scenes.json
+    /  Returns {map, routes, scenes, errors}, scenes only holds valid entries (with uvx and uvy computed), routes only
+    /  the valid routes and their known sites (with points, their path as [{uvx, uvy}]), errors describes the others */
+    async function load() {
+        let data;
+        try {
+            const response = await fetch(catalogFile);
+            if (!response.ok) return {map: {}, routes: [], scenes: [], errors: [`Failed to load scenes.json (HTTP ${response.status})`]};
+            data = await response.json();
+        } catch (error) {
+            return {map: {}, routes: [], scenes: [], errors: [`Failed to read scenes.json: ${error.message}`]};
+        }
+
+        return validate(data);
+    }
+
+    /* Validates the content of scenes.json
+    /  Returns {map, scenes, errors} like load */
+    function validate(data) {
+        const errors = [];
+        const entries = Array.isArray(data) ? data : data && data.scenes;
+        const map = (!Array.isArray(data) && data && data.map) || {};
+
+        if (!Array.isArray(entries)) {
+            return {map: {}, routes: [], scenes: [], errors: ["scenes.json must be a list of scenes, or an object with a \"scenes\" list"]};
+        }
+
+        if (map.bounds !== undefined) {
+            const boundsErrors = validateBounds(map.bounds);
+            if (boundsErrors.length > 0) {
+                errors.push(`Map bounds: ${boundsErrors.join(", ")}`);
+                delete map.bounds;
+            }
+        }
+
+        if ((map.width !== undefined || map.height !== undefined) && !(isPositive(map.width) && isPositive(map.height))) {
+            errors.push("Map size: width and height must both be positive numbers");
+            delete map.width;
+            delete map.height;
+        }
+
+        if (map.layers !== undefined) {
+            if (!Array.isArray(map.layers)) {
+                errors.push("Map layers must be a list");
+                map.layers = [];
+            }
+            const ids = new Set();
+            map.layers = map.layers.filter((layer, index) => {
+                const label = layer && typeof layer.id === "string" ? `"${layer.id}"` : `#${index + 1}`;
+                const layerErrors = validateLayer(layer);
+                if (layer && ids.has(layer.id)) layerErrors.push("id is already used by another layer");
+
+                if (layerErrors.length > 0) {
+                    errors.push(`Map layer ${label}: ${layerErrors.join(", ")}`);
+                    return false;
+                }
+                ids.add(layer.id);
+                return true;
+            });
+        }
+
+        const names = new Set();
+        const scenes = [];
+        entries.forEach((entry, index) => {
+            const label = entry && typeof entry.name === "string" ? `"${entry.name}"` : `#${index + 1}`;
+            const entryErrors = validateEntry(entry, map);
+            if (entry && names.has(entry.name)) entryErrors.push("name is already used by another scene");
+
+            if (entryErrors.length > 0) {
+                errors.push(`Scene ${label}: ${entryErrors.join(", ")}`);
+                return;
+            }
+
+            names.add(entry.name);
+            const scene = {...entry};
+            if (typeof scene.uvx !== "number") Object.assign(scene, GeoReference.toUV(scene.location, map.bounds));
+            scenes.push(scene);
+        });
+
+        const routes = validateRoutes(Array.isArray(data) ? undefined : data.routes, scenes, map, errors);
+        return {map, routes, scenes, errors};
+    }
+
+    // LOCAL FUNCTION
+    // Returns the valid routes, with their unknown sites left out and their path as points, and adds the problems to errors
+    function validateRoutes(entries, scenes, map, errors) {
+        if (entries === undefined) return [];
+        if (!Array.isArray(entries)) {
+            errors.push("Routes must be a list");
+            return [];
+        }
+
+        const names = new Set();
+        const routes = [];
+        entries.forEach((entry, index) => {
+            const label = entry && typeof entry.name === "string" ? `"${entry.name}"` : `#${index + 1}`;
+            const routeErrors = validateRoute(entry, map);
+            if (entry && names.has(entry.name)) routeErrors.push("name is already used by another route");
+
+            if (routeErrors.length > 0) {
+                errors.push(`Route ${label}: ${routeErrors.join(", ")}`);
+                return;
+            }
+
+            // Sites that were left out (or misspelled) are reported, the route is kept with the others
+            const sites = entry.sites.map(name => scenes.find(scene => scene.name === name));
+            const unknown = entry.sites.filter((name, i) => !sites[i]);
+            if (unknown.length > 0) errors.push(`Route ${label}: unknown sites ${unknown.map(name => `"${name}"`).join(", ")}`);
+
+            const known = sites.filter(Boolean);
+            const path = entry.path || known;
+            names.add(entry.name);
+            routes.push({
+                ...entry,
+                sites: known.map(scene => scene.name),
+                points: path.map(point => {
+                    if (Array.isArray(point)) return {uvx: point[0], uvy: point[1]};
+                    if (typeof point.uvx === "number") return {uvx: point.uvx, uvy: point.uvy};
+                    return GeoReference.toUV(point, map.bounds);
+                })
+            });
+        });
+        return routes;
+    }
+
+    // LOCAL FUNCTION
+    // Lists the problems of a route, empty if it is valid
+    function validateRoute(entry, map) {
+        if (typeof entry !== "object" || entry === null || Array.isArray(entry)) return ["route must be an object"];
+
+        const errors = [];
+        if (typeof entry.name !== "string" || entry.name.trim() === "") errors.push("name must be a non-empty string");
+        if (!Array.isArray(entry.sites) || entry.sites.length === 0 || !entry.sites.every(name => typeof name === "string")) {
+            errors.push("sites must be a non-empty list of scene names");
+        }
+        if (entry.color !== undefined && typeof entry.color !== "string") errors.push("color must be a string");
+
+        if (entry.path !== undefined) {
+            if (!Array.isArray(entry.path) || entry.path.length < 2) {
+                errors.push("path must be a list of at least 2 points");
+            } else {
+                entry.path.forEach((point, index) => {
+                    if (Array.isArray(point)) {
+                        if (point.length !== 2 || !point.every(isFraction)) errors.push(`path point #${index + 1} must be [uvx, uvy] between 0 and 1`);
+                        return;
+                    }
+                    const pointErrors = validateLocation(point);
+                    if (pointErrors.length > 0) errors.push(`path point #${index + 1}: ${pointErrors.join(", ")}`);
+                    else if (!map.bounds) errors.push(`path point #${index + 1} can't be placed on the map without valid map bounds`);
+                });
+            }
+        }
+        return errors;
+    }
+
+    // LOCAL FUNCTION
+    // Lists the problems of a scene entry, empty if it is valid
+    function validateEntry(entry, map) {
+        const errors = [];
+        if (typeof entry !== "object" || entry === null || Array.isArray(entry)) return ["entry must be an object"];
+
+        if (typeof entry.name !== "string" || entry.name.trim() === "") errors.push("name must be a non-empty string");
+
+        const hasUV = entry.uvx !== undefined || entry.uvy !== undefined;
+        if (hasUV) {
+            if (!isFraction(entry.uvx)) errors.push("uvx must be a number between 0 and 1");
+            if (!isFraction(entry.uvy)) errors.push("uvy must be a number between 0 and 1");
+        }
+
+        if (entry.location !== undefined) errors.push(...validateLocation(entry.location));
+
+        if (!hasUV) {
+            if (entry.location === undefined) errors.push("needs either uvx/uvy or a location");
+            else if (!map.bounds) errors.push("location can't be placed on the map without valid map bounds, add uvx/uvy");
+        }
+
+        if (entry.elevation !== undefined && !Number.isFinite(entry.elevation)) errors.push("elevation must be a number");
+        if (entry.orientation !== undefined && !Number.isFinite(entry.orientation)) errors.push("orientation must be a number");
+        if (entry.scale !== undefined && !(Number.isFinite(entry.scale) && entry.scale > 0)) errors.push("scale must be a positive number");
+
+        ["period", "description", "dimensions", "captureDate", "photographer"].forEach(field => {
+            if (entry[field] !== undefined && typeof entry[field] !== "string") errors.push(`${field} must be a string`);
+        });
+        if (entry.thumbnails !== undefined && !(Array.isArray(entry.thumbnails) && entry.thumbnails.every(url => typeof url === "string"))) {
+            errors.push("thumbnails must be a list of URLs");
+        }
+        if (entry.bibliography !== undefined && !(Array.isArray(entry.bibliography) && entry.bibliography.every(isReference))) {
+            errors.push("bibliography must be a list of strings or {text, url} objects");
+        }
+
+        if (entry.lods !== undefined) {
+            const isLevel = (level) => typeof level === "string" ||
+                (typeof level === "object" && level !== null && typeof level.file === "string" && (level.label === undefined || typeof level.label === "string"));
+            if (!Array.isArray(entry.lods) || entry.lods.length === 0 || !entry.lods.every(isLevel)) {
+                errors.push("lods must be a non-empty list of file names or {file, label} objects");
+            }
+        }
+
+        if (entry.up !== undefined) {
+            if (!Array.isArray(entry.up) || entry.up.length !== 3 || !entry.up.every(Number.isFinite)) {
+                errors.push("up must be a list of 3 numbers");
+            } else if (entry.up.every(value => value === 0)) {
+                errors.push("up can't be a null vector");
+            }
+        }
+
+        return errors;
+    }
+
+    // LOCAL FUNCTION
+    // Lists the problems of a location, empty if it is valid
+    function validateLocation(location) {
+        if (typeof location !== "object" || location === null) return ["location must be an object"];
+
+        switch (location.crs) {
+            case "WGS84": {
+                const errors = [];
+                if (!(Number.isFinite(location.lat) && Math.abs(location.lat) <= 90)) errors.push("location lat must be between -90 and 90");
+                if (!(Number.isFinite(location.lon) && Math.abs(location.lon) <= 180)) errors.push("location lon must be between -180 and 180");
+                return errors;
+            }
+            case "EGSA87": {
+                const errors = [];
+                if (!Number.isFinite(location.x)) errors.push("location x must be a number");
+                if (!Number.isFinite(location.y)) errors.push("location y must be a number");
+                return errors;
+            }
+            default:
+                return ["location crs must be \"WGS84\" or \"EGSA87\""];
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Lists the problems of map bounds, empty if they are valid
+    function validateBounds(bounds) {
+        if (typeof bounds !== "object" || bounds === null) return ["bounds must be an object"];
+
+        const errors = [];
+        if (bounds.crs !== "WGS84" && bounds.crs !== "EGSA87") errors.push("crs must be \"WGS84\" or \"EGSA87\"");
+        ["west", "east", "south", "north"].forEach(side => {
+            if (!Number.isFinite(bounds[side])) errors.push(`${side} must be a number`);
+        });
+        if (errors.length === 0 && (bounds.west >= bounds.east || bounds.south >= bounds.north)) {
+            errors.push("west must be less than east and south less than north");
+        }
+        return errors;
+    }
+
+    // LOCAL FUNCTION
+    // Lists the problems of a map layer, empty if it is valid
+    function validateLayer(layer) {
+        if (typeof layer !== "object" || layer === null || Array.isArray(layer)) return ["layer must be an object"];
+
+        const errors = [];
+        if (typeof layer.id !== "string" || layer.id.trim() === "") errors.push("id must be a non-empty string");
+        if (layer.label !== undefined && typeof layer.label !== "string") errors.push("label must be a string");
+        if (layer.type !== undefined && layer.type !== "base" && layer.type !== "overlay") errors.push("type must be \"base\" or \"overlay\"");
+        if (layer.opacity !== undefined && !isFraction(layer.opacity)) errors.push("opacity must be a number between 0 and 1");
+        if (layer.visible !== undefined && typeof layer.visible !== "boolean") errors.push("visible must be true or false");
+
+        if ((layer.image === undefined) === (layer.tiles === undefined)) {
+            errors.push("needs either an image or tiles");
+        } else if (layer.image !== undefined && typeof layer.image !== "string") {
+            errors.push("image must be a URL");
+        } else if (layer.tiles !== undefined) {
+            const tiles = layer.tiles;
+            if (typeof tiles !== "object" || tiles === null) return [...errors, "tiles must be an object"];
+
+            if (typeof tiles.url !== "string" || !["{z}", "{x}", "{y}"].every(part => tiles.url.includes(part))) {
+                errors.push("tiles url must contain {z}, {x} and {y}");
+            }
+            if (!isPositive(tiles.width) || !isPositive(tiles.height)) errors.push("tiles width and height must be positive numbers");
+            if (tiles.tileSize !== undefined && !(Number.isInteger(tiles.tileSize) && tiles.tileSize > 0)) errors.push("tiles tileSize must be a positive integer");
+            if (tiles.overlap !== undefined && !(Number.isInteger(tiles.overlap) && tiles.overlap >= 0)) errors.push("tiles overlap must be a positive integer or 0");
+            ["minLevel", "maxLevel"].forEach(field => {
+                if (tiles[field] !== undefined && !(Number.isInteger(tiles[field]) && tiles[field] >= 0)) errors.push(`tiles ${field} must be a positive integer or 0`);
+            });
+            if (Number.isInteger(tiles.minLevel) && Number.isInteger(tiles.maxLevel) && tiles.minLevel > tiles.maxLevel) {
+                errors.push("tiles minLevel can't be above maxLevel");
+            }
+        }
+        return errors;
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if a value is a bibliography reference, a string or {text, url}
+    function isReference(value) {
+        if (typeof value === "string") return true;
+        return typeof value === "object" && value !== null &&
+            (typeof value.text === "string" || typeof value.url === "string") &&
+            (value.text === undefined || typeof value.text === "string") &&
+            (value.url === undefined || typeof value.url === "string");
+    }
+
+    // LOCAL FUNCTION
+    function isPositive(value) {
+        return Number.isFinite(value) && value > 0;
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if a value is a number between 0 and 1
+    function isFraction(value) {
+        return Number.isFinite(value) && value >= 0 && value <= 1;
+    }
+
+    return {
+        load,
+        validate
+    };
+})();
+
+export default SceneCatalog;
@@ -0,0 +1,153 @@
+/******************************************************************************************************
+ * Section Profile                                                                                    *
+ * Draws the 2D profile of a cross-section as SVG, with a ruler, and converts it to DXF               *
+ * A profile is {polylines: [{points: [[u, v], ...], closed}], unit}, u running along the cut and v   *
+ * upwards, both in the given unit ("m" for scaled scenes, "mesh units" otherwise)                    *
+ ******************************************************************************************************/
+
+const SectionProfile = (function () {
+    const tickCount = 6; // Approximate number of ruler graduations along the longest side
+
+    // Returns the extent of a profile, {minU, maxU, minV, maxV}, or null if it has no points
+    function getBounds(profile) {
+        const points = profile.polylines.flatMap(polyline => polyline.points);
+        if (points.length === 0) return null;
+        return {
+            minU: Math.min(...points.map(p => p[0])),
+            maxU: Math.max(...points.map(p => p[0])),
+            minV: Math.min(...points.map(p => p[1])),
+            maxV: Math.max(...points.map(p => p[1]))
+        };
+    }
+
+    /* Converts a profile to an SVG document, drawn in the profile's unit (1 SVG unit = 1 m for scaled scenes)
+    /  A ruler is drawn below and to the left of the profile, with graduations at round values */
+    function toSVG(profile) {
+        const bounds = getBounds(profile);
+        if (!bounds) return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"></svg>`;
+
+        const size = Math.max(bounds.maxU - bounds.minU, bounds.maxV - bounds.minV) || 1;
+        const step = niceStep(size / tickCount);
+        const margin = size * 0.12;
+        const fontSize = size * 0.035;
+        const tickLength = size * 0.015;
+
+        // Ruler starts on a graduation, just outside the profile
+        const rulerU = Math.floor(bounds.minU / step) * step;
+        const rulerV = Math.floor(bounds.minV / step) * step;
+        const endU = Math.ceil(bounds.maxU / step) * step;
+        const endV = Math.ceil(bounds.maxV / step) * step;
+        const baseY = -rulerV + tickLength * 2; // SVG y axis points down, v points up
+        const baseX = rulerU - tickLength * 2;
+
+        const x0 = baseX - margin, y0 = -endV - margin / 2;
+        const width = endU - x0 + margin / 2, height = baseY + margin - y0;
+
+        const parts = [];
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="${fmt(x0)} ${fmt(y0)} ${fmt(width)} ${fmt(height)}" font-family="sans-serif" font-size="${fmt(fontSize)}">`);
+        parts.push(`<rect x="${fmt(x0)}" y="${fmt(y0)}" width="${fmt(width)}" height="${fmt(height)}" fill="white"/>`);
+
+        // Profile
+        profile.polylines.forEach(polyline => {
+            const tag = polyline.closed ? "polygon" : "polyline";
+            const points = polyline.points.map(p => `${fmt(p[0])},${fmt(-p[1])}`).join(" ");
+            parts.push(`<${tag} points="${points}" fill="none" stroke="black" stroke-width="1.5" vector-effect="non-scaling-stroke" stroke-linejoin="round"/>`);
+        });
+
+        // Ruler, horizontal then vertical
+        parts.push(`<g stroke="#555" stroke-width="1" fill="#333">`);
+        parts.push(`<line x1="${fmt(rulerU)}" y1="${fmt(baseY)}" x2="${fmt(endU)}" y2="${fmt(baseY)}" vector-effect="non-scaling-stroke"/>`);
+        for (let u = rulerU; u <= endU + step / 2; u += step) {
+            parts.push(`<line x1="${fmt(u)}" y1="${fmt(baseY)}" x2="${fmt(u)}" y2="${fmt(baseY + tickLength)}" vector-effect="non-scaling-stroke"/>`);
+            parts.push(`<text x="${fmt(u)}" y="${fmt(baseY + tickLength + fontSize)}" text-anchor="middle" stroke="none">${label(u - rulerU, step)}</text>`);
+        }
+        parts.push(`<line x1="${fmt(baseX)}" y1="${fmt(-rulerV)}" x2="${fmt(baseX)}" y2="${fmt(-endV)}" vector-effect="non-scaling-stroke"/>`);
+        for (let v = rulerV; v <= endV + step / 2; v += step) {
+            parts.push(`<line x1="${fmt(baseX)}" y1="${fmt(-v)}" x2="${fmt(baseX - tickLength)}" y2="${fmt(-v)}" vector-effect="non-scaling-stroke"/>`);
+            parts.push(`<text x="${fmt(baseX - tickLength * 1.5)}" y="${fmt(-v + fontSize / 3)}" text-anchor="end" stroke="none">${label(v - rulerV, step)}</text>`);
+        }
+        parts.push(`</g>`);
+        parts.push(`<text x="${fmt(endU)}" y="${fmt(y0 + fontSize * 1.2)}" text-anchor="end" fill="#333">${escapeXML(profile.unit)}</text>`);
+
+        parts.push(`</svg>`);
+        return parts.join("\n");
+    }
+
+    /* Converts a profile to a DXF file content (AutoCAD R12, readable by most CAD software)
+    /  Each polyline of the profile is a POLYLINE entity in the "SECTION" layer, in the XY plane */
+    function toDXF(profile) {
+        const lines = [];
+        const group = (code, value) => lines.push(String(code), String(value));
+
+        group(0, "SECTION");
+        group(2, "HEADER");
+        group(9, "$ACADVER");
+        group(1, "AC1009");
+        group(9, "$INSUNITS");
+        group(70, profile.unit === "m" ? 6 : 0); // 6 is meters, 0 is unitless
+        group(0, "ENDSEC");
+
+        group(0, "SECTION");
+        group(2, "ENTITIES");
+        profile.polylines.forEach(polyline => {
+            group(0, "POLYLINE");
+            group(8, "SECTION");
+            group(66, 1); // vertices follow
+            group(10, 0);
+            group(20, 0);
+            group(30, 0);
+            group(70, polyline.closed ? 1 : 0);
+            polyline.points.forEach(p => {
+                group(0, "VERTEX");
+                group(8, "SECTION");
+                group(10, p[0]);
+                group(20, p[1]);
+                group(30, 0);
+            });
+            group(0, "SEQEND");
+            group(8, "SECTION");
+        });
+        group(0, "ENDSEC");
+        group(0, "EOF");
+
+        return lines.join("\n");
+    }
+
+    // LOCAL FUNCTION
+    // Rounds a step up to 1, 2 or 5 times a power of 10
+    function niceStep(rawStep) {
+        const power = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const fraction = rawStep / power;
+        if (fraction <= 1) return power;
+        if (fraction <= 2) return 2 * power;
+        if (fraction <= 5) return 5 * power;
+        return 10 * power;
+    }
+
+    // LOCAL FUNCTION
+    // Text of a ruler graduation, with as many decimals as the step needs
+    function label(value, step) {
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        return value.toFixed(decimals);
+    }
+
+    // LOCAL FUNCTION
+    // Short number for SVG attributes
+    function fmt(value) {
+        return Number(value.toPrecision(7)).toString();
+    }
+
+    // LOCAL FUNCTION
+    // Escapes the characters that have a meaning in XML
+    function escapeXML(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    }
+
+    return {
+        getBounds,
+        toSVG,
+        toDXF
+    };
+})();
+
+export default SectionProfile;
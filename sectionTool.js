@@ -0,0 +1,403 @@
+/*********************************************************************************************
+ * Section Tool                                                                              *
+ * Cuts the current mesh with a vertical plane, placed from two picked points or moved with  *
+ * a gizmo, clips the model to show the cut and draws the section as a scaled 2D profile     *
+ * The scale is the one of the measurement tool (scenes.json or reference line)              *
+ *********************************************************************************************/
+
+import ConversionHelper from "./conversions.js";
+import GeometryHelper from "./geometryHelper.js";
+import InputManager from "./inputManager.js";
+import MeasurementLog from "./measurementLog.js";
+import MeasurementTool from "./measurementTool.js";
+import SectionProfile from "./sectionProfile.js";
+
+const SectionTool = (function () {
+    var scene; // BabylonJS scene, required to process mouse inputs, for example
+    var sceneName = null, sceneMesh = null; // Name and root mesh of the current scene
+    var secObserver; // Removes the gesture listeners placing the points of the cutting line
+    var secPoint1, secPoint2; // Points the cutting plane goes through
+    var secPlaneMesh; // Semi-transparent quad showing the cutting plane, the gizmo moves it
+    var gizmoManager; // Position and rotation gizmos of the cutting plane
+    var secPlane = null; // Cutting plane, {origin, normal, axisU, axisV} in world space, null if not placed
+    var secFlipped = false; // Indicates if the clipped side is the one in front of the normal instead of behind it
+    var secClipPlane = null; // Plane clipping the model, the cutting plane facing the clipped side
+    var secClipObservers = []; // Render observers clipping the meshes of the current scene, [{mesh, before, after, material, wasFrozen}]
+    var secSection = []; // Intersection of the plane with the mesh, polylines of 2D points in mesh units
+    var secShownScale; // Scale the profile was last drawn with, it is redrawn when the scale changes
+    var secLayerMask = 0x0FFFFFFF; // Layer mask of the tool's objects, restricts the tool to one side in comparison mode
+
+    var secButton, secPanel, secCloseButton, secResult, secProfile; // HTML UI elements
+    var secGizmoButton, secFlipButton, secClearButton; // HTML UI buttons acting on the plane
+
+    // Enables the section tool on the current mesh
+    function enable() {
+        hideButton();
+        if (secPanel) secPanel.classList.add("sec-visible");
+        updateDisplay();
+
+        // If the tool is already enabled, do nothing
+        if (secObserver) return;
+
+        // Taps (or short stationary left clicks) on the mesh place the points, like in the measurement tool
+        secObserver = InputManager.createGestureRecognizer(scene.getEngine().getRenderingCanvas(), {
+            onTap: (gesture) => {
+                if(gesture.button !== 0) return;
+                // Only the model of the focused side can be cut, the other one is at the same place in comparison mode
+                const pick = scene.pick(gesture.x, gesture.y, mesh => mesh.isPickable && mesh.isEnabled() && isOnLayer(mesh));
+                if(!pick.hit || !pick.pickedPoint) return;
+
+                placePoint(pick.pickedPoint);
+            }
+        }, {exclusive: true});
+    }
+
+    // Disables the section tool and removes the cut
+    function disable() {
+        if(secObserver) {
+            secObserver();
+            secObserver = null;
+        }
+        clearPlane();
+        if (secPanel) secPanel.classList.remove("sec-visible");
+    }
+
+    // LOCAL FUNCTION
+    // First click places the start of the cutting line, second click its end, a third click starts a new line
+    function placePoint(position) {
+        if(!secPoint1.isVisible || secPoint2.isVisible) {
+            clearPlane();
+            secPoint1.position = position.clone();
+            secPoint1.isVisible = true;
+            updateDisplay();
+            return;
+        }
+
+        secPoint2.position = position.clone();
+        secPoint2.isVisible = true;
+
+        // Plane is vertical, it contains both points and the up direction
+        const up = MeasurementTool.getUpVector();
+        const direction = position.subtract(secPoint1.position);
+        const along = direction.subtract(up.scale(BABYLON.Vector3.Dot(direction, up)));
+        if(along.length() === 0) {
+            clearPlane();
+            showResult("The two points are above each other, pick points apart horizontally", "error");
+            return;
+        }
+        setPlane(secPoint1.position, BABYLON.Vector3.Cross(along, up));
+    }
+
+    // LOCAL FUNCTION
+    // Places the cutting plane, computes the section and clips the model
+    function setPlane(origin, normal) {
+        normal = normal.normalizeToNew();
+        const up = MeasurementTool.getUpVector();
+
+        // Profile axes: v follows the up direction as seen in the plane, u runs along the cut
+        let axisV = up.subtract(normal.scale(BABYLON.Vector3.Dot(up, normal)));
+        if(axisV.length() < 1e-6) axisV = BABYLON.Vector3.Cross(normal, Math.abs(normal.x) < 0.9 ? BABYLON.Axis.X : BABYLON.Axis.Y);
+        axisV.normalize();
+        const axisU = BABYLON.Vector3.Cross(axisV, normal);
+
+        secPlane = {origin: origin.clone(), normal, axisU, axisV};
+        placePlaneMesh();
+        applyClip();
+        computeSection();
+    }
+
+    // LOCAL FUNCTION
+    // Moves the plane quad to the cutting plane, large enough to cover the whole mesh
+    function placePlaneMesh() {
+        const bounds = sceneMesh.getHierarchyBoundingVectors();
+        const size = bounds.max.subtract(bounds.min).length();
+        secPlaneMesh.scaling = new BABYLON.Vector3(size, size, size); // uniform, as required by the rotation gizmo
+        secPlaneMesh.position = secPlane.origin.clone();
+        secPlaneMesh.rotationQuaternion = BABYLON.Quaternion.RotationQuaternionFromAxis(secPlane.axisU, secPlane.axisV, secPlane.normal);
+        secPlaneMesh.setEnabled(true);
+    }
+
+    // LOCAL FUNCTION
+    // Reads the cutting plane back from the quad moved by the gizmo
+    function readPlaneMesh() {
+        secPlaneMesh.computeWorldMatrix(true);
+        return {origin: secPlaneMesh.position.clone(), normal: secPlaneMesh.getDirection(BABYLON.Axis.Z)};
+    }
+
+    // LOCAL FUNCTION
+    // Returns the meshes of the current scene that have triangles, on the tool's layer
+    function getSceneMeshes() {
+        if (!sceneMesh) return [];
+        return [sceneMesh].concat(sceneMesh.getChildMeshes()).filter(mesh => mesh.getTotalVertices && mesh.getTotalVertices() > 0 && isOnLayer(mesh));
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if a mesh is seen by the cameras of the tool's layer
+    function isOnLayer(mesh) {
+        return (mesh.layerMask & secLayerMask) !== 0;
+    }
+
+    // LOCAL FUNCTION
+    // Clips the meshes of the current scene on one side of the cutting plane, other meshes (e.g. a compared model) are left whole
+    function applyClip() {
+        const normal = secFlipped ? secPlane.normal.negate() : secPlane.normal;
+        secClipPlane = BABYLON.Plane.FromPositionAndNormal(secPlane.origin, normal);
+        if (secClipObservers.length > 0) return;
+
+        getSceneMeshes().forEach(mesh => {
+            // Frozen materials don't pick up the clip plane, they are frozen again once the cut is removed
+            const material = mesh.material;
+            const wasFrozen = !!material && material.isFrozen;
+            if (wasFrozen) material.unfreeze();
+            const before = mesh.onBeforeRenderObservable.add(() => scene.clipPlane = secClipPlane);
+            const after = mesh.onAfterRenderObservable.add(() => scene.clipPlane = null);
+            secClipObservers.push({mesh, before, after, material, wasFrozen});
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Shows the whole model again, materials swapped in meanwhile (e.g. by a render view) are left as they are
+    function removeClip() {
+        secClipObservers.forEach(({mesh, before, after, material, wasFrozen}) => {
+            mesh.onBeforeRenderObservable.remove(before);
+            mesh.onAfterRenderObservable.remove(after);
+            if (wasFrozen) material.freeze();
+        });
+        secClipObservers = [];
+        secClipPlane = null;
+        if (scene) scene.clipPlane = null;
+    }
+
+    // LOCAL FUNCTION
+    // Intersects the cutting plane with the mesh and expresses the result in the plane's 2D axes
+    function computeSection() {
+        const polylines = GeometryHelper.planeSection(getSceneMeshes(), secPlane);
+
+        secSection = polylines.map(polyline => ({
+            closed: polyline.closed,
+            points: polyline.points.map(p => {
+                const offset = p.subtract(secPlane.origin);
+                return [BABYLON.Vector3.Dot(offset, secPlane.axisU), BABYLON.Vector3.Dot(offset, secPlane.axisV)];
+            })
+        }));
+        updateDisplay();
+    }
+
+    // LOCAL FUNCTION
+    // Removes the cutting plane, its points and the clipping
+    function clearPlane() {
+        removeClip();
+        if (gizmoManager) gizmoManager.attachToMesh(null);
+        if (secGizmoButton) secGizmoButton.classList.remove("is-active");
+        if (secPlaneMesh) secPlaneMesh.setEnabled(false);
+        if (secPoint1) secPoint1.isVisible = false;
+        if (secPoint2) secPoint2.isVisible = false;
+        secPlane = null;
+        secSection = [];
+        updateDisplay();
+    }
+
+    // LOCAL FUNCTION
+    // Returns the section in real units if the scale is known, in mesh units otherwise
+    function getProfile(scale) {
+        const factor = scale.error ? 1 : scale.value;
+        return {
+            unit: scale.error ? "mesh units" : "m",
+            polylines: secSection.map(polyline => ({
+                closed: polyline.closed,
+                points: polyline.points.map(p => [p[0] * factor, p[1] * factor])
+            }))
+        };
+    }
+
+    // LOCAL FUNCTION
+    // Redraws the profile and the text describing it
+    function updateDisplay() {
+        if (!secPanel || !secPanel.classList.contains("sec-visible")) return;
+
+        const hasSection = secSection.length > 0;
+        const scale = MeasurementTool.getScale();
+        const profile = getProfile(scale);
+        secShownScale = scale.value;
+        [secGizmoButton, secFlipButton, secClearButton].forEach(button => button.disabled = !secPlane);
+        document.querySelectorAll("[data-sec-export]").forEach(button => button.disabled = !hasSection);
+        secProfile.innerHTML = hasSection ? SectionProfile.toSVG(profile) : "";
+
+        if (!secPlane) {
+            showResult(secPoint1.isVisible ? "Click the end of the cutting line" : "Click the start of the cutting line", "info");
+            return;
+        }
+        if (!hasSection) {
+            showResult("The plane doesn't cut the model", "error");
+            return;
+        }
+
+        const bounds = SectionProfile.getBounds(profile);
+        const format = (length) => profile.unit === "m" ? ConversionHelper.metersToString(length) : `${length.toFixed(3)} units`;
+        let text = `Width: ${format(bounds.maxU - bounds.minU)}, Height: ${format(bounds.maxV - bounds.minV)}`;
+        if (scale.error) text += `\nIn mesh units: ${scale.error}`;
+        showResult(text, "ok");
+    }
+
+    // LOCAL FUNCTION
+    // Writes a message in the result field, state being "ok", "info" or "error"
+    function showResult(text, state) {
+        secResult.textContent = text;
+        secResult.dataset.state = state;
+    }
+
+    // LOCAL FUNCTION
+    // Downloads the profile as an SVG or DXF file
+    function exportProfile(format) {
+        if (secSection.length === 0) return;
+        const profile = getProfile(MeasurementTool.getScale());
+        const filename = `${sceneName || "section"}-section.${format}`;
+        if (format === "dxf") MeasurementLog.download(filename, SectionProfile.toDXF(profile), "application/dxf");
+        else MeasurementLog.download(filename, SectionProfile.toSVG(profile), "image/svg+xml");
+    }
+
+    // LOCAL FUNCTION
+    // Shows or hides the gizmos moving the cutting plane
+    function toggleGizmo() {
+        if (!secPlane) return;
+        const attached = gizmoManager.gizmos.positionGizmo && gizmoManager.gizmos.positionGizmo.attachedMesh;
+        gizmoManager.attachToMesh(attached ? null : secPlaneMesh);
+        secGizmoButton.classList.toggle("is-active", !attached);
+    }
+
+    // Initializes the section tool in the given scene
+    async function init(babylonScene) {
+        scene = babylonScene;
+
+        const pointMat = new BABYLON.StandardMaterial("Section Point Material", scene);
+        pointMat.diffuseColor = BABYLON.Color3.Teal();
+
+        secPoint1 = BABYLON.MeshBuilder.CreateSphere("sectionPoint1", {diameter: 0.05}, scene);
+        secPoint1.material = pointMat;
+        secPoint1.isPickable = false;
+
+        secPoint2 = BABYLON.MeshBuilder.CreateSphere("sectionPoint2", {diameter: 0.05}, scene);
+        secPoint2.material = pointMat;
+        secPoint2.isPickable = false;
+
+        const planeMat = new BABYLON.StandardMaterial("Section Plane Material", scene);
+        planeMat.diffuseColor = BABYLON.Color3.Teal();
+        planeMat.emissiveColor = BABYLON.Color3.Teal().scale(0.5);
+        planeMat.alpha = 0.25;
+        planeMat.backFaceCulling = false;
+
+        secPlaneMesh = BABYLON.MeshBuilder.CreatePlane("sectionPlane", {size: 1}, scene);
+        secPlaneMesh.material = planeMat;
+        secPlaneMesh.isPickable = false;
+        secPlaneMesh.setEnabled(false);
+
+        // Gizmos only move the plane quad, the cut follows it: the clip while dragging, the section once released
+        gizmoManager = new BABYLON.GizmoManager(scene);
+        gizmoManager.usePointerToAttachGizmos = false;
+        gizmoManager.positionGizmoEnabled = true;
+        gizmoManager.rotationGizmoEnabled = true;
+        gizmoManager.attachToMesh(null);
+        [gizmoManager.gizmos.positionGizmo, gizmoManager.gizmos.rotationGizmo].forEach(gizmo => {
+            gizmo.onDragObservable.add(() => {
+                const plane = readPlaneMesh();
+                secPlane.origin = plane.origin;
+                secPlane.normal = plane.normal;
+                applyClip();
+            });
+            gizmo.onDragEndObservable.add(() => {
+                const plane = readPlaneMesh();
+                secPoint1.isVisible = secPoint2.isVisible = false; // points no longer lie on the plane
+                setPlane(plane.origin, plane.normal);
+            });
+        });
+
+        secButton = document.getElementById("secActivateButton");
+        secPanel = document.getElementById("secPanel");
+        secCloseButton = document.getElementById("secCloseButton");
+        secResult = document.getElementById("secResult");
+        secProfile = document.getElementById("secProfile");
+        secGizmoButton = document.getElementById("secGizmoButton");
+        secFlipButton = document.getElementById("secFlipButton");
+        secClearButton = document.getElementById("secClearButton");
+
+        secButton.addEventListener("click", enable);
+
+        secCloseButton.addEventListener("click", () => {
+            disable();
+            showButton();
+        });
+
+        secGizmoButton.addEventListener("click", toggleGizmo);
+
+        secFlipButton.addEventListener("click", () => {
+            secFlipped = !secFlipped;
+            if (secPlane) applyClip();
+        });
+
+        secClearButton.addEventListener("click", clearPlane);
+
+        document.querySelectorAll("[data-sec-export]").forEach(button => {
+            button.addEventListener("click", () => exportProfile(button.dataset.secExport));
+        });
+
+        // Profile follows the scale, which can change with the reference line of the measurement tool
+        MeasurementTool.onChangeObservable.add(() => {
+            if (secSection.length > 0 && MeasurementTool.getScale().value !== secShownScale) updateDisplay();
+        });
+        ConversionHelper.addSettingsListener(updateDisplay);
+
+        // Section tool is disabled by default since there's no mesh
+        disable();
+    }
+
+    // Set current scene, the cut is made through the given mesh
+    function loadScene(name, mesh) {
+        clearPlane();
+        sceneName = name;
+        sceneMesh = mesh;
+    }
+
+    // Replace the current scene's mesh by another level of detail of the same model, the cut is made again through it
+    function setMesh(mesh) {
+        removeClip();
+        sceneMesh = mesh;
+        if (secPlane) {
+            applyClip();
+            computeSection();
+        }
+    }
+
+    // Forget current scene (e.g., when going back to the map)
+    function unloadScene() {
+        disable();
+        sceneName = null;
+        sceneMesh = null;
+    }
+
+    // Restricts the tool's objects to the cameras matching the given layer mask
+    function setLayerMask(mask) {
+        secLayerMask = mask;
+        [secPoint1, secPoint2, secPlaneMesh].forEach(mesh => mesh.layerMask = mask);
+    }
+
+    const showButton = () => {
+        secButton.classList.add("sec-visible");
+    };
+    const hideButton = () => {
+        secButton.classList.remove("sec-visible");
+    };
+
+    return {
+        showButton,
+        hideButton,
+        enable,
+        disable,
+        init,
+        loadScene,
+        setMesh,
+        unloadScene,
+        setLayerMask
+    };
+})();
+
+export default SectionTool;
@@ -0,0 +1,143 @@
+/*********************************************************************************************
+ * Service Worker                                                                            *
+ * Keeps the app usable without a connection: the page, its modules, the Babylon libraries,  *
+ * the GUI images and the site data are cached when it installs, the models the user         *
+ * downloads in the "Offline" panel (offlineMode.js) are served from their own cache, and    *
+ * the map tiles and other files are cached as they are fetched                              *
+ *********************************************************************************************/
+
+"use strict";
+
+// Changing the version replaces the cached app by the current files, the downloaded models are kept
+const version = "v1";
+const appCache = "aqueducts-app-" + version;
+const runtimeCache = "aqueducts-runtime";
+const runtimeCacheLimit = 500; // Files kept in the runtime cache (e.g. map tiles, thumbnails), the oldest are removed past it
+const modelCache = "aqueducts-models"; // Same name as in offlineMode.js
+
+// Files needed to start the app, relative to this script
+const appFiles = [
+    "./",
+    "./index.html",
+    "./styles.css",
+    "./manifest.webmanifest",
+    "./scenes.json",
+    "./annotations.json",
+    "./viewpoints.json",
+
+    "./annotationTool.js",
+    "./aqueductRoutes.js",
+    "./babylonScene.js",
+    "./cameraTool.js",
+    "./captureTool.js",
+    "./conversions.js",
+    "./deepLink.js",
+    "./geoReference.js",
+    "./geometryHelper.js",
+    "./heatmapOverlay.js",
+    "./inputManager.js",
+    "./loadingScreen.js",
+    "./mapLayers.js",
+    "./mapView.js",
+    "./measurementLog.js",
+    "./measurementTool.js",
+    "./modelLoader.js",
+    "./offlineMode.js",
+    "./performanceMonitor.js",
+    "./renderPanel.js",
+    "./sceneCatalog.js",
+    "./sectionProfile.js",
+    "./sectionTool.js",
+    "./siteInfoPanel.js",
+    "./vrMode.js",
+
+    "./gui/annotation.png",
+    "./gui/map.jpg",
+    "./gui/measure-tape-white.png",
+    "./gui/measure-tape.png",
+    "./gui/pin.png",
+
+    "./libs/babylon/babylon.js",
+    "./libs/babylon/recast.js",
+    "./libs/babylon/ammo.js",
+    "./libs/babylon/havok/HavokPhysics_umd.js",
+    "./libs/babylon/cannon.js",
+    "./libs/babylon/Oimo.js",
+    "./libs/babylon/earcut.min.js",
+    "./libs/babylon/materialsLibrary/babylonjs.materials.min.js",
+    "./libs/babylon/proceduralTexturesLibrary/babylonjs.proceduralTextures.min.js",
+    "./libs/babylon/postProcessesLibrary/babylonjs.postProcess.min.js",
+    "./libs/babylon/loaders/babylonjs.loaders.js",
+    "./libs/babylon/serializers/babylonjs.serializers.min.js",
+    "./libs/babylon/gui/babylon.gui.min.js",
+    "./libs/babylon/addons/babylonjs.addons.min.js",
+    "./libs/babylon/inspector/babylon.inspector.bundle.js"
+];
+
+// Caches the app's files, a missing one (e.g. a library left out of a deployment) doesn't prevent the installation
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(appCache).then(async (cache) => {
+        const results = await Promise.allSettled(appFiles.map(file => cache.add(file)));
+        results.forEach((result, i) => {
+            if (result.status === "rejected") console.warn(`Failed to cache ${appFiles[i]} for offline use`, result.reason);
+        });
+        await self.skipWaiting();
+    }));
+});
+
+// Removes the files of the previous versions of the app, and takes control of the open pages
+self.addEventListener("activate", (event) => {
+    event.waitUntil(caches.keys().then(async (names) => {
+        await Promise.all(names.filter(name => name.startsWith("aqueducts-app-") && name !== appCache).map(name => caches.delete(name)));
+        await self.clients.claim();
+    }));
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes("/meshes/")) event.respondWith(fetchModel(request));
+    else event.respondWith(fetchFile(event));
+});
+
+// Models are served from the cache when they were downloaded, from the network otherwise (they are too large to
+// be cached without the user asking). The cached responses have a length, so the loader's progress is shown
+async function fetchModel(request) {
+    const cached = await caches.match(request, {cacheName: modelCache, ignoreSearch: true});
+    return cached || fetch(request);
+}
+
+// Other files are served from the cache if they are in it, and refreshed in the background for the next visit
+// Files that aren't cached yet (e.g. map tiles, Babylon plugins) are cached the first time they are fetched
+async function fetchFile(event) {
+    const request = event.request;
+    const cached = await caches.match(request, {ignoreSearch: true});
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) {
+            const appFile = isAppFile(request);
+            const cache = await caches.open(appFile ? appCache : runtimeCache);
+            await cache.put(request, response.clone());
+            if (!appFile) await trimCache(cache, runtimeCacheLimit);
+        }
+        return response;
+    });
+
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {})); // offline, the cached file is used until the next visit
+    return cached;
+}
+
+// Removes the oldest files of a cache past the given number, files are listed in the order they were last put
+async function trimCache(cache, limit) {
+    const requests = await cache.keys();
+    await Promise.all(requests.slice(0, Math.max(0, requests.length - limit)).map(request => cache.delete(request)));
+}
+
+// Tells if a request is for one of the app's files, which are kept with their version
+function isAppFile(request) {
+    const path = new URL(request.url).pathname;
+    return appFiles.some(file => new URL(file, self.location.href).pathname === path);
+}
@@ -0,0 +1,217 @@
+/*********************************************************************************************
+ * Site Info Panel                                                                           *
+ * Shows the metadata of the sites from scenes.json: searchable site list on the map menu,   *
+ * pin tooltips with a thumbnail, and an information panel in the 3D view                    *
+ *********************************************************************************************/
+
+const SiteInfoPanel = (function () {
+    var sites = []; // Scene entries from scenes.json, in the same order as the pins
+    var onSelect = null; // Called with a site's index when it is picked in the list
+    var siteSearchInput, sitePeriodSelect, siteList; // HTML UI elements of the map menu list
+    var mapTooltip; // HTML tooltip shown over hovered pins
+    var infoButton, infoPanel, infoCloseButton, infoContent; // HTML UI elements of the 3D view panel
+
+    // Initializes the site list with the given scene entries, onSelectSite is called with the index of a clicked entry
+    function init(sceneInfos, onSelectSite) {
+        sites = sceneInfos;
+        onSelect = onSelectSite;
+
+        siteSearchInput = document.getElementById("siteSearchInput");
+        sitePeriodSelect = document.getElementById("sitePeriodSelect");
+        siteList = document.getElementById("siteList");
+        mapTooltip = document.getElementById("mapTooltip");
+        infoButton = document.getElementById("siteInfoButton");
+        infoPanel = document.getElementById("siteInfoPanel");
+        infoCloseButton = document.getElementById("siteInfoCloseButton");
+        infoContent = document.getElementById("siteInfoContent");
+
+        // Periods found in the catalogue can be used as a filter
+        const periods = [...new Set(sites.map(site => site.period).filter(Boolean))].sort();
+        periods.forEach(period => {
+            const option = document.createElement("option");
+            option.value = period;
+            option.textContent = period;
+            sitePeriodSelect.appendChild(option);
+        });
+
+        siteSearchInput.addEventListener("input", refreshList);
+        sitePeriodSelect.addEventListener("change", refreshList);
+
+        infoButton.addEventListener("click", () => {
+            infoPanel.classList.add("is-visible");
+            infoButton.classList.remove("is-visible");
+        });
+        infoCloseButton.addEventListener("click", () => {
+            infoPanel.classList.remove("is-visible");
+            infoButton.classList.add("is-visible");
+        });
+
+        refreshList();
+    }
+
+    // Shows the tooltip of a site (name, period and thumbnail) while its pin is hovered or focused
+    function attachTooltip(pin, site) {
+        const show = () => {
+            if (!mapTooltip) return;
+            mapTooltip.replaceChildren();
+
+            const thumbnail = getThumbnail(site);
+            if (thumbnail) {
+                const image = document.createElement("img");
+                image.src = thumbnail;
+                image.alt = "";
+                mapTooltip.appendChild(image);
+            }
+
+            const title = document.createElement("strong");
+            title.textContent = site.name;
+            mapTooltip.appendChild(title);
+
+            if (site.period) {
+                const period = document.createElement("span");
+                period.textContent = site.period;
+                mapTooltip.appendChild(period);
+            }
+
+            // Tooltip is placed above the pin, in screen space so that it keeps its size at every zoom
+            const rect = pin.getBoundingClientRect();
+            mapTooltip.style.left = `${rect.left + rect.width / 2}px`;
+            mapTooltip.style.top = `${rect.top}px`;
+            mapTooltip.classList.add("is-visible");
+        };
+        const hide = () => {
+            if (mapTooltip) mapTooltip.classList.remove("is-visible");
+        };
+
+        pin.addEventListener("pointerenter", show);
+        pin.addEventListener("focus", show);
+        pin.addEventListener("pointerleave", hide);
+        pin.addEventListener("blur", hide);
+        pin.addEventListener("click", hide);
+    }
+
+    // Fills the information panel of the 3D view with the metadata of the given site
+    function showSite(site) {
+        infoContent.replaceChildren();
+
+        const title = document.createElement("h3");
+        title.textContent = site.name;
+        infoContent.appendChild(title);
+
+        (site.thumbnails || []).forEach(url => {
+            const image = document.createElement("img");
+            image.src = url;
+            image.alt = site.name;
+            image.className = "site-thumbnail";
+            infoContent.appendChild(image);
+        });
+
+        if (site.description) {
+            const description = document.createElement("p");
+            description.textContent = site.description;
+            infoContent.appendChild(description);
+        }
+
+        const details = document.createElement("dl");
+        [["Period", site.period], ["Dimensions", site.dimensions], ["Captured", site.captureDate], ["Photographer", site.photographer]]
+            .filter(([, value]) => value)
+            .forEach(([label, value]) => {
+                const term = document.createElement("dt");
+                term.textContent = label;
+                const definition = document.createElement("dd");
+                definition.textContent = value;
+                details.append(term, definition);
+            });
+        if (details.children.length > 0) infoContent.appendChild(details);
+
+        if (site.bibliography && site.bibliography.length > 0) {
+            const heading = document.createElement("h4");
+            heading.textContent = "Bibliography";
+            const list = document.createElement("ul");
+            site.bibliography.forEach(reference => {
+                const item = document.createElement("li");
+                // A reference is either plain text or {text, url}
+                if (typeof reference === "object" && reference.url) {
+                    const link = document.createElement("a");
+                    link.href = reference.url;
+                    link.target = "_blank";
+                    link.rel = "noopener";
+                    link.textContent = reference.text || reference.url;
+                    item.appendChild(link);
+                } else {
+                    item.textContent = typeof reference === "object" ? reference.text : reference;
+                }
+                list.appendChild(item);
+            });
+            infoContent.append(heading, list);
+        }
+
+        infoPanel.classList.remove("is-visible");
+        infoButton.classList.add("is-visible");
+    }
+
+    // Hides the information panel and its button (e.g., when going back to the map)
+    function hideSite() {
+        infoPanel.classList.remove("is-visible");
+        infoButton.classList.remove("is-visible");
+    }
+
+    // LOCAL FUNCTION
+    // Rebuilds the site list, keeping the sites matching the search text (name, period or description) and period filter
+    function refreshList() {
+        siteList.replaceChildren();
+        const search = siteSearchInput.value.trim().toLowerCase();
+        const period = sitePeriodSelect.value;
+
+        sites.forEach((site, index) => {
+            if (period && site.period !== period) return;
+            const haystack = [site.name, site.period, site.description].filter(Boolean).join(" ").toLowerCase();
+            if (search && !haystack.includes(search)) return;
+
+            const item = document.createElement("li");
+            const entry = document.createElement("button");
+            entry.type = "button";
+            entry.className = "site-entry";
+
+            const name = document.createElement("span");
+            name.className = "site-entry-name";
+            name.textContent = site.name;
+            entry.appendChild(name);
+
+            if (site.period) {
+                const periodLabel = document.createElement("span");
+                periodLabel.className = "site-entry-period";
+                periodLabel.textContent = site.period;
+                entry.appendChild(periodLabel);
+            }
+
+            entry.addEventListener("click", () => {
+                if (onSelect) onSelect(index);
+            });
+            item.appendChild(entry);
+            siteList.appendChild(item);
+        });
+
+        if (siteList.children.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "site-empty";
+            empty.textContent = "No site matches the search";
+            siteList.appendChild(empty);
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Returns the first thumbnail of a site, if any
+    function getThumbnail(site) {
+        return site.thumbnails && site.thumbnails.length > 0 ? site.thumbnails[0] : null;
+    }
+
+    return {
+        init,
+        attachTooltip,
+        showSite,
+        hideSite
+    };
+})();
+
+export default SiteInfoPanel;
@@ -0,0 +1,127 @@
+/*********************************************************************************************
+ * Babylon Stub                                                                              *
+ * The few parts of BabylonJS and of the page that the modules use when they are imported    *
+ * and that VR mode uses, so that they run in Node. Imported first, it sets the globals      *
+ *********************************************************************************************/
+
+// Observable keeping its observers in order, like BABYLON.Observable
+class Observable {
+    constructor() {
+        this.observers = [];
+    }
+    add(callback) {
+        const observer = {callback};
+        this.observers.push(observer);
+        return observer;
+    }
+    remove(observer) {
+        this.observers = this.observers.filter(other => other !== observer);
+        return true;
+    }
+    notifyObservers(value) {
+        this.observers.slice().forEach(observer => observer.callback(value));
+    }
+    notifyObserver(observer, value) {
+        observer.callback(value);
+    }
+}
+
+class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+    static Zero() {
+        return new Vector3();
+    }
+    static Up() {
+        return new Vector3(0, 1, 0);
+    }
+    static Forward() {
+        return new Vector3(0, 0, 1);
+    }
+    scaleInPlace(factor) {
+        this.x *= factor;
+        this.y *= factor;
+        this.z *= factor;
+        return this;
+    }
+    addInPlace(other) {
+        this.x += other.x;
+        this.y += other.y;
+        this.z += other.z;
+        return this;
+    }
+}
+
+class Ray {
+    constructor(origin, direction) {
+        this.origin = origin;
+        this.direction = direction;
+    }
+}
+
+// GUI control, only keeps its children
+class Control {
+    constructor(name, text = "") {
+        this.name = name;
+        this.text = text;
+        this.children = [];
+    }
+    addControl(control) {
+        this.children.push(control);
+    }
+}
+
+globalThis.BABYLON = {
+    Observable,
+    Vector3,
+    Ray,
+    WebXRState: {ENTERING_XR: 0, EXITING_XR: 1, IN_XR: 2, NOT_IN_XR: 3},
+    WebXRControllerComponent: {TRIGGER_TYPE: "trigger", SQUEEZE_TYPE: "squeeze", TOUCHPAD_TYPE: "touchpad", THUMBSTICK_TYPE: "thumbstick"},
+    WebXRFeatureName: {MOVEMENT: "xr-controller-movement"},
+    MeshBuilder: {
+        CreatePlane: (name) => ({
+            name,
+            enabled: true,
+            setEnabled(enabled) {
+                this.enabled = enabled;
+            }
+        })
+    },
+    GUI: {
+        AdvancedDynamicTexture: {CreateForMesh: () => new Control("texture")},
+        Rectangle: Control,
+        TextBlock: Control
+    }
+};
+
+// Elements found by id, created on first use with the class list and listeners the modules use
+const elements = new Map();
+
+function createElement(id) {
+    const classes = new Set();
+    const listeners = new Map();
+    return {
+        id,
+        classList: {
+            add: (name) => classes.add(name),
+            remove: (name) => classes.delete(name),
+            contains: (name) => classes.has(name)
+        },
+        addEventListener(type, listener) {
+            listeners.set(type, (listeners.get(type) || []).concat([listener]));
+        },
+        click() {
+            (listeners.get("click") || []).forEach(listener => listener({type: "click"}));
+        }
+    };
+}
+
+globalThis.document = {
+    getElementById(id) {
+        if (!elements.has(id)) elements.set(id, createElement(id));
+        return elements.get(id);
+    }
+};
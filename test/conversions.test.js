@@ -0,0 +1,55 @@
+/*********************************************************************************************
+ * Conversion Helper tests                                                                   *
+ * Lengths and areas read from what the user types, including the signs and separators that  *
+ * used to be misread, run with "npm test"                                                   *
+ *********************************************************************************************/
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import ConversionHelper from "../conversions.js";
+
+// Asserts that a parsed value is close to the expected one, conversions aren't exact in floating point
+function assertValue(result, expected) {
+    assert.equal(result.error, undefined, `unexpected error: ${result.error}`);
+    assert.ok(Math.abs(result.value - expected) < 1e-9, `${result.value} isn't ${expected}`);
+}
+
+test("reads lengths in any unit, with a decimal point or comma", () => {
+    assertValue(ConversionHelper.parseLength("10.3 cm"), 0.103);
+    assertValue(ConversionHelper.parseLength("10,3 cm"), 0.103);
+    assertValue(ConversionHelper.parseLength("3 m 20 cm"), 3.2);
+    assertValue(ConversionHelper.parseLength("2"), 2);
+});
+
+test("applies a sign to the whole length", () => {
+    assertValue(ConversionHelper.parseLength("-10 cm"), -0.1);
+    assertValue(ConversionHelper.parseLength("−1 m 50 cm"), -1.5);
+    assertValue(ConversionHelper.parseLength("+2 m"), 2);
+});
+
+test("rejects a sign without a length", () => {
+    for (const sign of ["-", "+", "−", " - "]) {
+        assert.ok(ConversionHelper.parseLength(sign).error, `"${sign}" was read as a length`);
+        assert.ok(Number.isNaN(ConversionHelper.stringToMeters(sign)), `"${sign}" was converted`);
+    }
+    assert.ok(ConversionHelper.parseArea("-").error);
+});
+
+test("rejects empty, unknown and mixed-up input", () => {
+    assert.ok(ConversionHelper.parseLength("").error);
+    assert.ok(ConversionHelper.parseLength("3 parsecs").error);
+    assert.ok(ConversionHelper.parseLength("1.2.3 m").error);
+    assert.ok(ConversionHelper.parseLength("2 m²").error);
+    assert.ok(ConversionHelper.parseArea("2 m").error);
+});
+
+test("reads areas", () => {
+    assertValue(ConversionHelper.parseArea("12 cm²"), 0.0012);
+    assertValue(ConversionHelper.parseArea("1.2 m2"), 1.2);
+    assertValue(ConversionHelper.parseArea("2 ha"), 20000);
+});
+
+test("writes lengths with a decimal point by default", () => {
+    assert.equal(ConversionHelper.metersToString(0.8), "80.000 cm");
+    assert.equal(ConversionHelper.metersToString(1.5), "1.500 m");
+});
@@ -0,0 +1,22 @@
+/*********************************************************************************************
+ * Deep Link tests                                                                           *
+ * Links read back into the viewer's state, malformed cameras are left out, run with         *
+ * "npm test"                                                                                *
+ *********************************************************************************************/
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import DeepLink from "../deepLink.js";
+
+test("reads back the state it writes", () => {
+    const state = {scene: "Morosini", camera: {alpha: 1.571, beta: 1.2, radius: 5, target: [0, 0.5, 0]}};
+    assert.deepEqual(DeepLink.parse(DeepLink.format(state)), state);
+});
+
+test("leaves out cameras that can't be restored", () => {
+    for (const camera of ["1,1.2,0,0,0,0", "1,1.2,-5,0,0,0", "1,Infinity,5,0,0,0", "1,x,5,0,0,0", "1,1.2,5,0,0"]) {
+        const state = DeepLink.parse(`#scene=Morosini&camera=${camera}`);
+        assert.equal(state.scene, "Morosini");
+        assert.equal(state.camera, undefined, `camera=${camera} was read`);
+    }
+});
@@ -0,0 +1,125 @@
+/*********************************************************************************************
+ * Model Loader tests                                                                        *
+ * Loads files from the stub server: errors shown to the user, retries, cancellation and     *
+ * overlapping loads, run with "npm test"                                                    *
+ *********************************************************************************************/
+
+import {test, before, after} from "node:test";
+import assert from "node:assert/strict";
+import ModelLoader from "../modelLoader.js";
+import {startStubServer, parseModel} from "./stubServer.js";
+
+var server; // Stub server serving the model files
+
+before(async () => {
+    server = await startStubServer();
+});
+
+after(() => server.close());
+
+// Loads a file of the stub server, with parseModel standing in for the Babylon loader
+function load(fileName, options = {}) {
+    return ModelLoader.load(server.url + fileName, options.onProgress, {parse: parseModel, ...options});
+}
+
+// Resolves with the error a load rejects with
+async function loadError(fileName, options) {
+    try {
+        await load(fileName, options);
+    } catch (error) {
+        return error;
+    }
+    assert.fail(`${fileName} was loaded`);
+}
+
+test("loads a model and reports its progress", async () => {
+    const progress = [];
+    const model = await load("model.glb", {onProgress: percent => progress.push(Number(percent))});
+    assert.equal(model.size, 4096);
+    assert.equal(progress.at(-1), 100);
+});
+
+test("reports a missing model", async () => {
+    const error = await loadError("missing.glb");
+    assert.equal(error.message, "missing.glb was not found on the server");
+});
+
+test("reports a server error", async () => {
+    const error = await loadError("error.glb");
+    assert.equal(error.message, "error.glb could not be downloaded (500 Internal Server Error)");
+});
+
+test("reports an unreachable server", async () => {
+    const closed = await startStubServer();
+    const url = closed.url;
+    await closed.close();
+
+    await assert.rejects(ModelLoader.load(url + "model.glb", null, {parse: parseModel}), {message: "model.glb could not be downloaded"});
+});
+
+test("reports a truncated download", async () => {
+    const error = await loadError("truncated.glb");
+    assert.equal(error.message, "The download of truncated.glb was interrupted");
+});
+
+test("reports a file that isn't a model", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const error = await loadError("broken.glb");
+    assert.equal(error.message, "broken.glb is not a model that can be displayed (Unexpected magic)");
+});
+
+test("loads the model again when a failed load is retried", async () => {
+    const error = await loadError("flaky.glb");
+    assert.equal(error.message, "flaky.glb could not be downloaded (503 Service Unavailable)");
+
+    // Retry button of the loading screen
+    const model = await load("flaky.glb");
+    assert.equal(model.size, 4096);
+    assert.equal(server.requests.get("/flaky.glb"), 2);
+});
+
+test("cancels a download", async () => {
+    const controller = new AbortController();
+    let parsed = false;
+    const error = await loadError("slow.glb", {
+        signal: controller.signal,
+        onProgress: () => controller.abort(), // Cancel button, once the download has started
+        parse: (data) => {
+            parsed = true;
+            return parseModel(data);
+        }
+    });
+    assert.equal(error.name, "AbortError");
+    assert.equal(parsed, false);
+});
+
+test("drops a load replaced by another one", async () => {
+    const group = ModelLoader.createLoadGroup();
+    const first = load("slow.glb", {signal: group.renew()});
+    const second = load("model.glb", {signal: group.renew()});
+
+    await assert.rejects(first, {name: "AbortError"});
+    assert.equal((await second).size, 4096);
+});
+
+test("disposes a model parsed after its load was replaced", async () => {
+    const group = ModelLoader.createLoadGroup();
+    const disposed = [];
+    let parsing;
+    const parsed = new Promise(resolve => parsing = resolve);
+
+    const first = load("model.glb", {
+        signal: group.renew(),
+        parse: (data) => {
+            parsing();
+            return parseModel(data, 50);
+        },
+        dispose: model => disposed.push(model)
+    });
+    await parsed;
+    const second = load("model.glb", {signal: group.renew(), dispose: model => disposed.push(model)});
+
+    await assert.rejects(first, {name: "AbortError"});
+    assert.equal((await second).size, 4096);
+    assert.deepEqual(disposed, [{size: 4096}]);
+});
@@ -0,0 +1,113 @@
+/*********************************************************************************************
+ * Stub Server                                                                               *
+ * Local HTTP server for the loader tests, serving a valid model and broken ones: missing,   *
+ * failing, truncated, invalid, slow, and failing only once (to be retried)                  *
+ *********************************************************************************************/
+
+import http from "node:http";
+
+const modelMagic = "glTF"; // First bytes of a binary glTF file, what parseModel expects
+const modelSize = 4096; // Length of the served models in bytes
+const slowChunks = 8; // The slow model is sent in this many chunks...
+const slowChunkDelay = 100; // ...one every X ms
+
+// Bytes of a model that parseModel accepts
+function createModel() {
+    const data = Buffer.alloc(modelSize, 1);
+    data.write(modelMagic, 0, "latin1");
+    return data;
+}
+
+/* Stands in for the Babylon loader: resolves with {size} for a model starting with the glTF magic, rejects otherwise
+/  Models are parsed after delay ms, e.g. to leave time for a load to be dropped while it parses */
+export function parseModel(data, delay = 0) {
+    return new Promise((resolve, reject) => setTimeout(() => {
+        if (Buffer.from(data.subarray(0, 4)).toString("latin1") === modelMagic) resolve({size: data.length});
+        else reject(new Error("Unexpected magic"));
+    }, delay));
+}
+
+/* Starts the server on a free local port
+/  Resolves with {url, requests, close}: url of its root, requests counts the requests by path, close() stops it */
+export async function startStubServer() {
+    const model = createModel();
+    const requests = new Map();
+    const timers = new Set();
+
+    const server = http.createServer((request, response) => {
+        const path = new URL(request.url, "http://localhost").pathname;
+        const count = (requests.get(path) || 0) + 1;
+        requests.set(path, count);
+
+        switch (path) {
+            case "/model.glb":
+                response.writeHead(200, {"Content-Type": "model/gltf-binary", "Content-Length": model.length});
+                response.end(model);
+                break;
+            case "/error.glb":
+                response.writeHead(500, {"Content-Type": "text/plain"});
+                response.end("Internal error");
+                break;
+            // Fails the first time, like a server that was briefly unavailable
+            case "/flaky.glb":
+                if (count === 1) {
+                    response.writeHead(503, {"Content-Type": "text/plain"});
+                    response.end("Unavailable");
+                } else {
+                    response.writeHead(200, {"Content-Type": "model/gltf-binary", "Content-Length": model.length});
+                    response.end(model);
+                }
+                break;
+            // Announces the whole model, sends a quarter of it and closes the connection
+            case "/truncated.glb":
+                response.writeHead(200, {"Content-Type": "model/gltf-binary", "Content-Length": model.length});
+                response.write(model.subarray(0, model.length / 4), () => response.destroy());
+                break;
+            // Complete download of a file that isn't a model
+            case "/broken.glb": {
+                const text = Buffer.from("<html>Not a model</html>");
+                response.writeHead(200, {"Content-Type": "model/gltf-binary", "Content-Length": text.length});
+                response.end(text);
+                break;
+            }
+            case "/slow.glb": {
+                response.writeHead(200, {"Content-Type": "model/gltf-binary", "Content-Length": model.length});
+                const chunkSize = model.length / slowChunks;
+                let sent = 0;
+                const sendChunk = () => {
+                    if (response.destroyed) return;
+                    response.write(model.subarray(sent, sent + chunkSize));
+                    sent += chunkSize;
+                    if (sent >= model.length) {
+                        response.end();
+                        return;
+                    }
+                    const timer = setTimeout(() => {
+                        timers.delete(timer);
+                        sendChunk();
+                    }, slowChunkDelay);
+                    timers.add(timer);
+                };
+                sendChunk();
+                break;
+            }
+            default:
+                response.writeHead(404, {"Content-Type": "text/plain"});
+                response.end("Not found");
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const {port} = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}/`,
+        requests,
+        close() {
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
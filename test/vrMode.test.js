@@ -0,0 +1,185 @@
+/*********************************************************************************************
+ * VR Mode tests                                                                             *
+ * Drives VR mode with a mocked XRSystem and session: support check, measuring with the      *
+ * controllers' triggers, and the measurement tool given back when the session ends          *
+ *********************************************************************************************/
+
+import "./babylonStub.js";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import VRMode from "../vrMode.js";
+import MeasurementTool from "../measurementTool.js";
+
+const {WebXRState, WebXRControllerComponent, Observable} = BABYLON;
+
+/* Mocked XRSystem, supported tells if immersive-vr sessions are (a function may throw instead)
+/  Sessions it gives are listed in sessions, end() ends one like the user taking the headset off */
+function createXRSystem(supported) {
+    return {
+        sessions: [],
+        async isSessionSupported(mode) {
+            return typeof supported === "function" ? supported(mode) : supported && mode === "immersive-vr";
+        },
+        async requestSession(mode, init) {
+            const session = {
+                mode,
+                init,
+                ended: false,
+                onend: null,
+                async end() {
+                    this.ended = true;
+                    if (this.onend) this.onend();
+                }
+            };
+            this.sessions.push(session);
+            return session;
+        }
+    };
+}
+
+// Mocked scene, whose XR experience requests its sessions from the given XRSystem, like Babylon's does from navigator.xr
+function createScene(xrSystem) {
+    const scene = {
+        experiences: [],
+        onBeforeRenderObservable: new Observable(),
+        async createDefaultXRExperienceAsync() {
+            const baseExperience = {
+                state: WebXRState.NOT_IN_XR,
+                camera: {cameraDirection: BABYLON.Vector3.Zero(), _computeLocalCameraSpeed: () => 1},
+                featuresManager: {enableFeature: () => ({movementSpeed: 0.1})},
+                onStateChangedObservable: new Observable(),
+                session: null,
+                setState(state) {
+                    this.state = state;
+                    this.onStateChangedObservable.notifyObservers(state);
+                },
+                async enterXRAsync(mode, referenceSpaceType) {
+                    this.session = await xrSystem.requestSession(mode, {optionalFeatures: [referenceSpaceType]});
+                    this.session.onend = () => this.setState(WebXRState.NOT_IN_XR);
+                    this.setState(WebXRState.IN_XR);
+                },
+                async exitXRAsync() {
+                    await this.session.end();
+                }
+            };
+            const experience = {baseExperience, input: {controllers: [], onControllerAddedObservable: new Observable()}};
+            scene.experiences.push(experience);
+            return experience;
+        }
+    };
+    return scene;
+}
+
+// Mocked controller of the given hand, its ray starts at x = 1 for the right hand and -1 for the left one
+function createController(handedness) {
+    const component = () => ({pressed: false, changes: {}, onButtonStateChangedObservable: new Observable()});
+    const components = {[WebXRControllerComponent.TRIGGER_TYPE]: component(), [WebXRControllerComponent.SQUEEZE_TYPE]: component()};
+    return {
+        grip: {name: handedness + "Grip"},
+        motionController: {handedness, getComponentOfType: (type) => components[type]},
+        onMotionControllerInitObservable: new Observable(),
+        getWorldPointerRayToRef(ray) {
+            ray.origin = new BABYLON.Vector3(handedness === "right" ? 1 : -1, 0, 0);
+        },
+        // Presses and releases a button, "trigger" or "squeeze", held keeps it pressed
+        press(type, held = false) {
+            const button = components[type];
+            button.pressed = true;
+            button.changes = {pressed: {previous: false, current: true}};
+            button.onButtonStateChangedObservable.notifyObservers(button);
+            if (held) return;
+            button.pressed = false;
+            button.changes = {pressed: {previous: true, current: false}};
+            button.onButtonStateChangedObservable.notifyObservers(button);
+        }
+    };
+}
+
+// Replaces the measurement tool's methods used by VR mode, measuring tells if the tool is open
+// Returns the calls made to them, by method name
+function mockMeasurementTool(t, measuring) {
+    const calls = {enable: [], disable: [], showButton: [], pickRay: []};
+    t.mock.method(MeasurementTool, "getState", () => measuring ? {mode: "distance", points: []} : null);
+    Object.keys(calls).forEach(name => t.mock.method(MeasurementTool, name, (...args) => {
+        calls[name].push(args);
+        return true;
+    }));
+    return calls;
+}
+
+test("isn't offered without an XRSystem supporting immersive-vr", async () => {
+    for (const xrSystem of [undefined, createXRSystem(false), createXRSystem(() => { throw new Error("Denied"); })]) {
+        const scene = createScene(xrSystem);
+        assert.equal(await VRMode.init(scene, {xrSystem}), false);
+        assert.equal(scene.experiences.length, 0);
+    }
+});
+
+test("is offered when the XRSystem supports immersive-vr", async () => {
+    const xrSystem = createXRSystem(true);
+    const scene = createScene(xrSystem);
+    assert.equal(await VRMode.init(scene, {xrSystem}), true);
+    assert.equal(scene.experiences.length, 1);
+
+    VRMode.showButton();
+    assert.ok(document.getElementById("vrButton").classList.contains("is-visible"));
+    VRMode.hideButton();
+});
+
+test("measures with the triggers and closes the tool it opened when the session ends", async (t) => {
+    const xrSystem = createXRSystem(true);
+    const scene = createScene(xrSystem);
+    let entering = 0;
+    await VRMode.init(scene, {xrSystem, onBeforeEnter: () => entering++});
+    const calls = mockMeasurementTool(t, false);
+
+    const right = createController("right");
+    const input = scene.experiences[0].input;
+    input.controllers.push(right);
+
+    await VRMode.enter();
+    assert.equal(entering, 1);
+    assert.equal(xrSystem.sessions.length, 1);
+    assert.equal(xrSystem.sessions[0].mode, "immersive-vr");
+    assert.ok(VRMode.isInVR());
+    assert.equal(calls.enable.length, 1);
+
+    // Right trigger is a left click, on the controller's ray
+    right.press(WebXRControllerComponent.TRIGGER_TYPE);
+    assert.equal(calls.pickRay.length, 1);
+    const [ray, button, ctrlKey] = calls.pickRay[0];
+    assert.equal(ray.origin.x, 1);
+    assert.equal(button, 0);
+    assert.equal(ctrlKey, false);
+
+    // Controllers connected in VR work too, left trigger is a right click and the grip is like Ctrl
+    const left = createController("left");
+    input.controllers.push(left);
+    input.onControllerAddedObservable.notifyObservers(left);
+    left.press(WebXRControllerComponent.SQUEEZE_TYPE, true);
+    left.press(WebXRControllerComponent.TRIGGER_TYPE);
+    assert.deepEqual(calls.pickRay[1].slice(1), [2, true]);
+
+    await VRMode.exit();
+    assert.ok(xrSystem.sessions[0].ended);
+    assert.equal(VRMode.isInVR(), false);
+    assert.equal(calls.disable.length, 1);
+    assert.equal(calls.showButton.length, 1);
+
+    // Triggers don't measure anymore
+    right.press(WebXRControllerComponent.TRIGGER_TYPE);
+    assert.equal(calls.pickRay.length, 2);
+});
+
+test("leaves the measurement tool open if it was before the session", async (t) => {
+    const xrSystem = createXRSystem(true);
+    const scene = createScene(xrSystem);
+    await VRMode.init(scene, {xrSystem});
+    const calls = mockMeasurementTool(t, true);
+
+    await VRMode.enter();
+    await xrSystem.sessions[0].end(); // e.g. the headset's own menu
+    assert.equal(VRMode.isInVR(), false);
+    assert.equal(calls.disable.length, 0);
+    assert.equal(calls.showButton.length, 0);
+});
@@ -0,0 +1,250 @@
+/*********************************************************************************************
+ * VR Mode                                                                                   *
+ * Immersive WebXR view of the current scene, offered only when the browser supports         *
+ * immersive-vr. Left stick moves, right stick turns and moves up/down, triggers measure     *
+ * and a panel held in the left hand shows the measurement result                            *
+ *********************************************************************************************/
+
+import MeasurementTool from "./measurementTool.js";
+
+const VRMode = (function () {
+    var scene; // BabylonJS scene, required to create the XR experience
+    var xrHelper = null; // Default XR experience, null if immersive VR is not supported
+    var movementFeature = null; // Stick movement feature of the XR experience
+    var cameraYMovement = 0; // Vertical movement requested by the right stick, from -1 to 1
+    var onBeforeEnter = null; // Called before entering VR, e.g. to leave the comparison view
+    var vrButton; // HTML button entering VR
+    var resultPlane, resultText; // 3D panel showing the measurement result, and its text
+    var triggerObservers = []; // Controller observers to remove when leaving VR, [{observable, observer}]
+    var wasMeasuring = null; // Indicates if the measurement tool was open before entering VR, null outside of VR
+
+    /* Initializes VR mode in the given scene, options.onBeforeEnter is called before entering VR
+    /  options.xrSystem replaces navigator.xr, e.g. a mocked XRSystem with a scene whose XR experience requests its sessions
+    /  from it (see test/vrMode.test.js). Babylon's own experience uses navigator.xr, which the WebXR emulator replaces
+    /  Resolves with true if immersive VR is supported, the "Enter VR" button can then be shown */
+    async function init(babylonScene, options = {}) {
+        scene = babylonScene;
+        onBeforeEnter = options.onBeforeEnter || null;
+        const xrSystem = "xrSystem" in options ? options.xrSystem : navigator.xr;
+
+        vrButton = document.getElementById("vrButton");
+        vrButton.addEventListener("click", enter);
+        hideButton();
+
+        if (!(await isSupported(xrSystem))) return false;
+
+        try {
+            xrHelper = await scene.createDefaultXRExperienceAsync({
+                disableDefaultUI: true, // the app shows its own button, in the 3D view only
+                disableTeleportation: true // Disable teleportation so we can use movement
+            });
+        } catch (error) {
+            console.error("Failed to initialize WebXR", error);
+            xrHelper = null;
+            return false;
+        }
+
+        enableMovement();
+        createResultPanel();
+
+        xrHelper.baseExperience.onStateChangedObservable.add((state) => {
+            if (state === BABYLON.WebXRState.IN_XR) startMeasuring();
+            else if (state === BABYLON.WebXRState.NOT_IN_XR) stopMeasuring();
+        });
+        return true;
+    }
+
+    // LOCAL FUNCTION
+    // Indicates if the given XRSystem can start an immersive-vr session
+    async function isSupported(xrSystem) {
+        if (!xrSystem || typeof xrSystem.isSessionSupported !== "function") return false;
+        try {
+            return await xrSystem.isSessionSupported("immersive-vr");
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // LOCAL FUNCTION
+    // Left stick moves, right stick turns (horizontal axis) and moves up or down (vertical axis)
+    function enableMovement() {
+        const xrCamera = xrHelper.baseExperience.camera;
+        const featureManager = xrHelper.baseExperience.featuresManager;
+
+        // Swaps the configuration for the two hands, making it so that left is movement and right is rotation
+        const swappedHandednessConfiguration = [
+            {
+                // Right stick configuration
+                allowedComponentTypes: [BABYLON.WebXRControllerComponent.THUMBSTICK_TYPE, BABYLON.WebXRControllerComponent.TOUCHPAD_TYPE],
+                forceHandedness: "right",
+                axisChangedHandler: (axes, movementState, featureContext) => {
+                    // Apply axes to rotation if above threshold
+                    movementState.rotateX = Math.abs(axes.x) > featureContext.rotationThreshold ? axes.x : 0;
+                    cameraYMovement = Math.abs(axes.y) > featureContext.rotationThreshold ? -axes.y : 0;
+                },
+            },
+            {
+                // Left stick configuration
+                allowedComponentTypes: [BABYLON.WebXRControllerComponent.THUMBSTICK_TYPE, BABYLON.WebXRControllerComponent.TOUCHPAD_TYPE],
+                forceHandedness: "left",
+                axisChangedHandler: (axes, movementState, featureContext) => {
+                    // Apply axes to movement if above threshold
+                    movementState.moveX = Math.abs(axes.x) > featureContext.movementThreshold ? axes.x : 0;
+                    movementState.moveY = Math.abs(axes.y) > featureContext.movementThreshold ? axes.y : 0;
+                },
+            },
+        ];
+
+        movementFeature = featureManager.enableFeature(BABYLON.WebXRFeatureName.MOVEMENT, "latest", {
+            xrInput: xrHelper.input,
+            movementSpeed: 0.1,
+            rotationSpeed: 0.4,
+            customRegistrationConfigurations: swappedHandednessConfiguration,
+        });
+
+        // Camera Y Movement each frame based on the right stick vertical axis
+        scene.onBeforeRenderObservable.add(() => {
+            if (!isInVR() || cameraYMovement == 0) return;
+
+            // Inspired by internal BabylonJS code for the movement feature
+            let yMovement = new BABYLON.Vector3(0, cameraYMovement, 0);
+            yMovement.scaleInPlace(xrCamera._computeLocalCameraSpeed() * movementFeature.movementSpeed);
+            xrCamera.cameraDirection.addInPlace(yMovement);
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Creates the panel showing the measurement result, it follows the left controller once one is connected
+    function createResultPanel() {
+        resultPlane = BABYLON.MeshBuilder.CreatePlane("vrResultPanel", {width: 0.3, height: 0.12}, scene);
+        resultPlane.isPickable = false;
+        resultPlane.setEnabled(false);
+
+        const texture = BABYLON.GUI.AdvancedDynamicTexture.CreateForMesh(resultPlane, 768, 307);
+        const background = new BABYLON.GUI.Rectangle("vrResultBackground");
+        background.background = "rgba(20, 20, 20, 0.85)";
+        background.cornerRadius = 24;
+        background.thickness = 0;
+        texture.addControl(background);
+
+        resultText = new BABYLON.GUI.TextBlock("vrResultText", "");
+        resultText.color = "white";
+        resultText.fontSize = 36;
+        resultText.textWrapping = true;
+        resultText.paddingLeft = resultText.paddingRight = "24px";
+        background.addControl(resultText);
+
+        MeasurementTool.onResultObservable.add(({text, state}) => {
+            resultText.text = text;
+            resultText.color = state === "ok" ? "#7fe19a" : state === "error" ? "#ff9b9b" : "white";
+        });
+    }
+
+    // LOCAL FUNCTION
+    // Makes the controllers' triggers place measurement points, like clicks: right trigger is a left click, left trigger a
+    // right click, and holding the grip of the same hand is like holding Ctrl (reference points)
+    function startMeasuring() {
+        wasMeasuring = MeasurementTool.getState() !== null;
+        MeasurementTool.enable();
+
+        // Panel floats in front of the user until the left controller holds it
+        resultPlane.parent = xrHelper.baseExperience.camera;
+        resultPlane.position = new BABYLON.Vector3(0, -0.2, 0.6);
+        resultPlane.rotationQuaternion = null;
+        resultPlane.rotation = BABYLON.Vector3.Zero();
+        resultPlane.setEnabled(true);
+
+        const observer = xrHelper.input.onControllerAddedObservable.add(attachController);
+        triggerObservers.push({observable: xrHelper.input.onControllerAddedObservable, observer});
+        xrHelper.input.controllers.forEach(attachController);
+    }
+
+    // LOCAL FUNCTION
+    // Listens to the trigger and grip of a controller once its motion controller is known
+    function attachController(controller) {
+        const observer = controller.onMotionControllerInitObservable.add((motionController) => {
+            const trigger = motionController.getComponentOfType(BABYLON.WebXRControllerComponent.TRIGGER_TYPE);
+            const squeeze = motionController.getComponentOfType(BABYLON.WebXRControllerComponent.SQUEEZE_TYPE);
+            const handedness = motionController.handedness;
+
+            if (handedness === "left") {
+                resultPlane.parent = controller.grip || controller.pointer;
+                resultPlane.position = new BABYLON.Vector3(0, 0.08, 0.1);
+                resultPlane.rotation = new BABYLON.Vector3(Math.PI / 4, 0, 0);
+            }
+
+            if (!trigger) return;
+            const triggerObserver = trigger.onButtonStateChangedObservable.add((component) => {
+                if (!component.changes.pressed || !component.pressed) return;
+
+                const ray = new BABYLON.Ray(BABYLON.Vector3.Zero(), BABYLON.Vector3.Forward());
+                controller.getWorldPointerRayToRef(ray);
+                MeasurementTool.pickRay(ray, handedness === "left" ? 2 : 0, !!(squeeze && squeeze.pressed));
+            });
+            triggerObservers.push({observable: trigger.onButtonStateChangedObservable, observer: triggerObserver});
+        });
+        triggerObservers.push({observable: controller.onMotionControllerInitObservable, observer});
+
+        // Motion controller may already be initialized
+        if (controller.motionController) controller.onMotionControllerInitObservable.notifyObserver(observer, controller.motionController);
+    }
+
+    // LOCAL FUNCTION
+    // Removes the controller listeners and hides the result panel, and closes the measurement tool if VR opened it
+    function stopMeasuring() {
+        if (wasMeasuring === false) {
+            MeasurementTool.disable();
+            MeasurementTool.showButton();
+        }
+        wasMeasuring = null;
+
+        triggerObservers.forEach(({observable, observer}) => observable.remove(observer));
+        triggerObservers = [];
+        cameraYMovement = 0;
+        if (resultPlane) {
+            resultPlane.parent = null;
+            resultPlane.setEnabled(false);
+        }
+    }
+
+    // Enters immersive VR, if supported
+    async function enter() {
+        if (!xrHelper || isInVR()) return;
+        if (onBeforeEnter) onBeforeEnter();
+        try {
+            await xrHelper.baseExperience.enterXRAsync("immersive-vr", "local-floor");
+        } catch (error) {
+            console.error("Failed to enter VR", error);
+        }
+    }
+
+    // Leaves immersive VR, if in it (e.g., when going back to the map)
+    async function exit() {
+        if (!isInVR()) return;
+        await xrHelper.baseExperience.exitXRAsync();
+    }
+
+    // Indicates if an immersive VR session is running
+    function isInVR() {
+        return !!xrHelper && xrHelper.baseExperience.state === BABYLON.WebXRState.IN_XR;
+    }
+
+    // Shows the "Enter VR" button, only if immersive VR is supported
+    const showButton = () => {
+        if (xrHelper) vrButton.classList.add("is-visible");
+    };
+    const hideButton = () => {
+        vrButton.classList.remove("is-visible");
+    };
+
+    return {
+        init,
+        enter,
+        exit,
+        isInVR,
+        showButton,
+        hideButton
+    };
+})();
+
+export default VRMode;